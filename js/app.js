@@ -11,6 +11,42 @@
 // el backend en otra dirección.
 const API_BASE = '';
 
+// Devuelve el token de sesión emitido por el servidor al iniciar sesión
+function getSessionToken() {
+  return localStorage.getItem('sessionToken');
+}
+
+// Caché de las respuestas de la API para el uso sin conexión (mismo nombre
+// que en sw.js)
+const OFFLINE_API_CACHE = 'settleme-api-v1';
+
+// Borra los datos de sesión guardados en el navegador, incluidas las
+// respuestas de la API guardadas por el service worker
+function clearSession() {
+  localStorage.removeItem('sessionToken');
+  localStorage.removeItem('currentUserId');
+  localStorage.removeItem('currentUserRole');
+  if (window.caches) caches.delete(OFFLINE_API_CACHE).catch(() => {});
+}
+
+// Realiza una petición a la API adjuntando el token de sesión.  Si el
+// servidor responde 401 con una sesión activa, esta ha expirado: se limpia
+// y se redirige a la página de inicio.
+async function apiFetch(path, options = {}) {
+  const token = getSessionToken();
+  const headers = Object.assign({}, options.headers);
+  if (token) {
+    headers['Authorization'] = 'Bearer ' + token;
+  }
+  const res = await fetch(API_BASE + path, Object.assign({}, options, { headers }));
+  if (res.status === 401 && token) {
+    clearSession();
+    alert('Tu sesión ha expirado. Inicia sesión nuevamente.');
+    window.location.href = 'index.html';
+  }
+  return res;
+}
+
 // Inicializa el tema (claro u oscuro) según la preferencia almacenada
 function initTheme() {
   const theme = localStorage.getItem('theme') || 'light';
@@ -36,10 +72,52 @@ function toBase64(file) {
   });
 }
 
+// Zona horaria (IANA) con la que se muestran las fechas y se agrupan los
+// registros por día: la del grupo del usuario o la de la compañía.  Cada
+// página la fija con setAppTimeZone; sin fijar se usa la del navegador.
+let appTimeZone;
+
+function setAppTimeZone(timeZone) {
+  appTimeZone = timeZone || undefined;
+}
+
 // Formato de fecha y hora
-function formatDateTime(isoStr) {
+function formatDateTime(isoStr, timeZone = appTimeZone) {
   const d = new Date(isoStr);
-  return d.toLocaleString('es-ES', { dateStyle: 'short', timeStyle: 'short' });
+  return d.toLocaleString('es-ES', { dateStyle: 'short', timeStyle: 'short', timeZone });
+}
+
+// Día (YYYY-MM-DD) de una fecha ISO en la zona horaria indicada
+function dateKeyInZone(isoStr, timeZone = appTimeZone) {
+  // en-CA da el formato año-mes-día
+  return new Date(isoStr).toLocaleDateString('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' });
+}
+
+// Día de hoy (YYYY-MM-DD) en la zona horaria indicada
+function todayKey(timeZone = appTimeZone) {
+  return dateKeyInZone(new Date().toISOString(), timeZone);
+}
+
+// Fecha legible de un día YYYY-MM-DD.  Se formatea en UTC para que el día
+// no cambie con la zona del navegador.
+function formatDayKey(dateStr, options) {
+  return new Date(dateStr + 'T00:00:00Z').toLocaleDateString('es-ES', { ...options, timeZone: 'UTC' });
+}
+
+// Campos de fecha y hora de un instante en una zona horaria
+function zonedParts(date, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(date).forEach(p => { parts[p.type] = p.value; });
+  return parts;
+}
+
+// Diferencia en milisegundos entre la hora de la zona y UTC en un instante
+function zoneOffset(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(Number(p.year), Number(p.month) - 1, Number(p.day), Number(p.hour), Number(p.minute), Number(p.second));
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
 }
 
 // Calcula número de horas entre dos fechas ISO
@@ -49,6 +127,80 @@ function calcHours(startIso, endIso) {
   return (end - start) / (1000 * 60 * 60);
 }
 
+// Horas netas de un registro cerrado.  El servidor las calcula descontando
+// los descansos no pagados; calcHours queda para registros sin ese dato.
+function recordHours(record) {
+  if (!record.clockOut) return 0;
+  return typeof record.netHours === 'number' ? record.netHours : calcHours(record.clockIn, record.clockOut);
+}
+
+// Horas de descanso no pagadas de un registro (incluido el descuento automático)
+function recordBreakHours(record) {
+  return (record.unpaidBreakHours || 0) + (record.autoDeductHours || 0);
+}
+
+// Indica si el registro tiene un descanso en curso
+function isOnBreak(record) {
+  return Boolean(record && !record.clockOut && (record.breaks || []).some(b => !b.end));
+}
+
+// Valor para un <input type="datetime-local"> a partir de una fecha ISO,
+// con la hora de la zona indicada
+function toDateTimeLocal(isoStr, timeZone = appTimeZone) {
+  if (!isoStr) return '';
+  const p = zonedParts(new Date(isoStr), timeZone);
+  return `${p.year}-${p.month}-${p.day}T${p.hour}:${p.minute}`;
+}
+
+// Fecha ISO a partir del valor de un <input type="datetime-local"> escrito
+// en la zona indicada
+function fromDateTimeLocal(value, timeZone = appTimeZone) {
+  const [datePart, timePart] = value.split('T');
+  const [year, month, day] = datePart.split('-').map(Number);
+  const [hour, minute] = timePart.split(':').map(Number);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+  // Segunda pasada por si el desfase cambia entre ambos instantes (horario de verano)
+  let time = asUtc - zoneOffset(new Date(asUtc), timeZone);
+  time = asUtc - zoneOffset(new Date(time), timeZone);
+  return new Date(time).toISOString();
+}
+
+// Descripción de los valores originales de un registro corregido ('' si no lo fue)
+function describeTimeCorrection(record, timeZone = appTimeZone) {
+  if (!record.original) return '';
+  if (!record.original.clockIn) return 'Añadido por corrección';
+  const end = record.original.clockOut ? formatDateTime(record.original.clockOut, timeZone) : 'sin salida';
+  return `Original: ${formatDateTime(record.original.clockIn, timeZone)} - ${end}`;
+}
+
+// Nota de un fichaje enviado desde la bandeja de salida: si se guardó sin
+// conexión y si el reloj del dispositivo estaba desfasado ('' si no hay nada
+// que señalar)
+function describePunchSync(sync) {
+  if (!sync) return '';
+  const parts = [];
+  if (new Date(sync.receivedAt) - new Date(sync.recordedAt) > 60000) parts.push('enviado sin conexión');
+  if (sync.skewFlagged) parts.push(`reloj del dispositivo desfasado ${Math.round(sync.skewSeconds / 60)} min`);
+  return parts.join(', ');
+}
+
+// Texto de la ubicación de un fichaje: coordenadas y si estaba dentro de la
+// zona de trabajo del grupo ('' si no se registró)
+function describePunchLocation(punch) {
+  if (!punch) return '';
+  const labels = { inside: 'dentro de la zona', outside: 'fuera de la zona', unknown: 'sin ubicación' };
+  const parts = [];
+  if (punch.lat !== null) parts.push(`${punch.lat.toFixed(5)}, ${punch.lng.toFixed(5)}`);
+  if (punch.geofence) parts.push(labels[punch.geofence]);
+  return parts.join(' - ');
+}
+
+// Enlace al mapa de la ubicación de un fichaje (null si no tiene coordenadas)
+function punchMapUrl(punch) {
+  if (!punch || punch.lat === null) return null;
+  return `https://www.openstreetmap.org/?mlat=${punch.lat}&mlon=${punch.lng}#map=17/${punch.lat}/${punch.lng}`;
+}
+
 // Escapa valores para CSV
 function escapeCsv(value) {
   const str = String(value);
@@ -82,6 +234,44 @@ async function registerUser(userData) {
   return await res.json();
 }
 
+// Indica si el registro está abierto para crear el primer administrador
+async function getRegisterStatus() {
+  const res = await fetch(API_BASE + '/api/register/status');
+  return await res.json();
+}
+
+// Obtiene los datos de una invitación pendiente a partir de su token
+async function getInvite(token) {
+  const res = await fetch(API_BASE + '/api/invites/token/' + encodeURIComponent(token));
+  return await res.json();
+}
+
+// Solicita el envío de un enlace para restablecer la contraseña
+async function requestPasswordReset(email) {
+  const res = await fetch(API_BASE + '/api/password-reset', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email })
+  });
+  return await res.json();
+}
+
+// Comprueba si un enlace de restablecimiento sigue siendo válido
+async function getPasswordReset(token) {
+  const res = await fetch(API_BASE + '/api/password-reset/' + encodeURIComponent(token));
+  return await res.json();
+}
+
+// Establece una nueva contraseña con el token recibido por correo
+async function resetPassword(token, password) {
+  const res = await fetch(API_BASE + '/api/password-reset/' + encodeURIComponent(token), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ password })
+  });
+  return await res.json();
+}
+
 // Iniciar sesión via API.  Almacena id y rol si es exitoso.
 async function login(email, password) {
   const res = await fetch(API_BASE + '/api/login', {
@@ -91,16 +281,50 @@ async function login(email, password) {
   });
   const data = await res.json();
   if (data.success) {
+    // Las respuestas guardadas pueden ser de otro usuario del dispositivo
+    if (window.caches) await caches.delete(OFFLINE_API_CACHE).catch(() => {});
+    localStorage.setItem('sessionToken', data.token);
     localStorage.setItem('currentUserId', data.user.id);
     localStorage.setItem('currentUserRole', data.user.role);
   }
   return data;
 }
 
-// Cierra sesión limpiando almacenamiento local
+// Confirma la contraseña del usuario de la sesión sin iniciar una nueva
+async function verifyPassword(password) {
+  const res = await apiFetch('/api/session/verify', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ password })
+  });
+  return await res.json();
+}
+
+// Lista de bloqueos y esperas por intentos fallidos (solo admin)
+async function getLockouts() {
+  const res = await apiFetch('/api/lockouts');
+  if (!res.ok) return [];
+  return await res.json();
+}
+
+// Elimina un bloqueo de inicio de sesión (solo admin)
+async function clearLockout(key) {
+  const res = await apiFetch('/api/lockouts/' + encodeURIComponent(key), { method: 'DELETE' });
+  return await res.json();
+}
+
+// Cierra sesión en el servidor y limpia el almacenamiento local.
+// keepalive permite completar la petición aunque la página navegue.
 function logout() {
-  localStorage.removeItem('currentUserId');
-  localStorage.removeItem('currentUserRole');
+  const token = getSessionToken();
+  if (token) {
+    fetch(API_BASE + '/api/logout', {
+      method: 'POST',
+      headers: { 'Authorization': 'Bearer ' + token },
+      keepalive: true
+    }).catch(() => {});
+  }
+  clearSession();
 }
 
 /*
@@ -161,28 +385,234 @@ function getCurrentUserId() {
 
 // Obtiene usuario completo por ID
 async function fetchUser(id) {
-  const res = await fetch(API_BASE + '/api/users/' + id);
+  const res = await apiFetch('/api/users/' + id);
   return await res.json();
 }
 
 // Obtiene usuario actual o null
 async function getCurrentUser() {
   const id = getCurrentUserId();
-  if (!id) return null;
-  return await fetchUser(id);
+  if (!id || !getSessionToken()) return null;
+  const res = await apiFetch('/api/users/' + id);
+  if (!res.ok) return null;
+  return await res.json();
 }
 
 // Lista todos los usuarios (para admin)
 async function getUsers() {
-  const res = await fetch(API_BASE + '/api/users');
+  const res = await apiFetch('/api/users');
   return await res.json();
 }
 
-// Alterna clock in/out en el servidor
+// Revela el SSN y/o la identificación sin enmascarar (solo admin; queda registrado)
+async function revealSensitiveData(userId, fields) {
+  const res = await apiFetch('/api/users/' + userId + '/reveal', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ fields })
+  });
+  return await res.json();
+}
+
+// Historial de consultas de datos sensibles de un usuario (solo admin)
+async function getSensitiveAccessLog(userId) {
+  const res = await apiFetch('/api/users/' + userId + '/reveal');
+  return await res.json();
+}
+
+// Ubicación actual del navegador { lat, lng, accuracy }, o null si no está
+// disponible o el usuario no da permiso
+function getBrowserLocation() {
+  return new Promise(resolve => {
+    if (!navigator.geolocation) {
+      resolve(null);
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      pos => resolve({ lat: pos.coords.latitude, lng: pos.coords.longitude, accuracy: pos.coords.accuracy }),
+      () => resolve(null),
+      { enableHighAccuracy: true, timeout: 10000, maximumAge: 60000 }
+    );
+  });
+}
+
+/*
+ * Bandeja de salida del panel del empleado.  Los fichajes y los recibos se
+ * guardan primero en IndexedDB con la hora del dispositivo y se envían en
+ * orden; sin conexión quedan pendientes hasta que syncOutbox() consiga
+ * enviarlos.  Cada envío lleva su clave de idempotencia para que un
+ * reintento no se registre dos veces.
+ *
+ * Entrada: { id (clave de idempotencia), userId, kind: 'clock' | 'receipt',
+ *            recordedAt, body, error }
+ * `error` es el motivo por el que el servidor rechazó un envío diferido; esas
+ * entradas no se reintentan hasta que el empleado las descarte.
+ */
+const OUTBOX_DB = 'settleme';
+const OUTBOX_STORE = 'outbox';
+
+function openOutbox() {
+  return new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error('IndexedDB no disponible'));
+      return;
+    }
+    const request = indexedDB.open(OUTBOX_DB, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(OUTBOX_STORE, { keyPath: 'id' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Ejecuta una operación sobre el almacén de la bandeja y devuelve su resultado
+async function outboxRequest(mode, operation) {
+  const db = await openOutbox();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(OUTBOX_STORE, mode);
+    const request = operation(tx.objectStore(OUTBOX_STORE));
+    tx.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    tx.onerror = () => {
+      db.close();
+      reject(tx.error);
+    };
+  });
+}
+
+// Envíos pendientes de un usuario, del más antiguo al más reciente
+async function getOutboxEntries(userId) {
+  try {
+    const entries = await outboxRequest('readonly', store => store.getAll());
+    return entries
+      .filter(e => e.userId === userId)
+      .sort((a, b) => a.recordedAt.localeCompare(b.recordedAt));
+  } catch (e) {
+    return [];
+  }
+}
+
+async function putOutboxEntry(entry) {
+  await outboxRequest('readwrite', store => store.put(entry));
+}
+
+// Descarta un envío pendiente
+async function deleteOutboxEntry(id) {
+  await outboxRequest('readwrite', store => store.delete(id));
+}
+
+function newIdempotencyKey() {
+  if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+  return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 12);
+}
+
+// Envía una entrada de la bandeja.  Devuelve { status, result } con status
+// 'sent', 'duplicate' (ya se había registrado), 'rejected' (el servidor no
+// la admite) u 'offline' (sin conexión o error del servidor: se reintenta).
+async function sendOutboxEntry(entry) {
+  const path = '/api/users/' + entry.userId + (entry.kind === 'clock' ? '/clock' : '/receipts');
+  let res;
+  try {
+    res = await apiFetch(path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Idempotency-Key': entry.id },
+      body: JSON.stringify({ ...entry.body, recordedAt: entry.recordedAt, sentAt: new Date().toISOString() })
+    });
+  } catch (e) {
+    return { status: 'offline', result: null };
+  }
+  if (res.status >= 500) return { status: 'offline', result: null };
+  const result = await res.json().catch(() => ({}));
+  if (res.ok) return { status: 'sent', result };
+  return { status: result.duplicate ? 'duplicate' : 'rejected', result };
+}
+
+// Envía en orden los envíos pendientes del usuario.  Se detiene al perder
+// la conexión para no desordenar los fichajes.  Devuelve [{ entry, status,
+// result }] de las entradas intentadas.
+let outboxSyncing = null;
+function syncOutbox(userId) {
+  if (!outboxSyncing) {
+    outboxSyncing = (async () => {
+      const outcomes = [];
+      for (const entry of await getOutboxEntries(userId)) {
+        if (entry.error) continue;
+        const outcome = await sendOutboxEntry(entry);
+        outcomes.push({ entry, ...outcome });
+        if (outcome.status === 'offline') break;
+        if (outcome.status === 'rejected') {
+          await putOutboxEntry({ ...entry, error: outcome.result.message || 'Envío rechazado' });
+        } else {
+          await deleteOutboxEntry(entry.id);
+        }
+      }
+      return outcomes;
+    })().finally(() => { outboxSyncing = null; });
+  }
+  return outboxSyncing;
+}
+
+// Guarda un fichaje o recibo en la bandeja e intenta enviarlo.  Devuelve el
+// resultado del servidor, { success: true, queued: true } si queda pendiente
+// o { success: false, message } si se rechaza (y se descarta: el empleado lo
+// ve al momento).
+async function submitThroughOutbox(userId, kind, body) {
+  const entry = { id: newIdempotencyKey(), userId, kind, recordedAt: new Date().toISOString(), body, error: null };
+  try {
+    await putOutboxEntry(entry);
+  } catch (e) {
+    // Sin IndexedDB se envía directamente, sin poder guardarlo
+    const outcome = await sendOutboxEntry(entry);
+    if (outcome.status === 'offline') return { success: false, message: 'Sin conexión: inténtalo de nuevo más tarde' };
+    return outcome.result;
+  }
+  // Otra sincronización en curso puede haberla enviado ya
+  let own = (await syncOutbox(userId)).find(o => o.entry.id === entry.id);
+  if (!own) own = (await syncOutbox(userId)).find(o => o.entry.id === entry.id);
+  if (!own || own.status === 'offline') return { success: true, queued: true };
+  if (own.status === 'rejected') {
+    await deleteOutboxEntry(entry.id);
+    return own.result;
+  }
+  return own.result.success ? own.result : { success: true };
+}
+
+// Indica si la jornada del usuario actual está abierta, contando los
+// fichajes pendientes de enviar
+async function isClockedIn() {
+  const pending = (await getOutboxEntries(getCurrentUserId())).filter(e => e.kind === 'clock' && !e.error);
+  if (pending.length > 0) return pending[pending.length - 1].body.action === 'clock_in';
+  const times = window.currentTimes || [];
+  return times.length > 0 && !times[times.length - 1].clockOut;
+}
+
+// Alterna clock in/out del usuario actual, enviando la ubicación del
+// navegador.  Sin conexión el fichaje queda en la bandeja de salida.
 async function toggleClock() {
   const id = getCurrentUserId();
   if (!id) return;
-  await fetch(API_BASE + '/api/users/' + id + '/clock', { method: 'POST' });
+  const action = (await isClockedIn()) ? 'clock_out' : 'clock_in';
+  const location = await getBrowserLocation();
+  const result = await submitThroughOutbox(id, 'clock', { action, location });
+  if (!result.success) {
+    alert(result.message || 'No se pudo registrar la jornada');
+  }
+  await updateTimeTable();
+  await updateClockButton();
+}
+
+// Inicia o termina un descanso en la jornada abierta del usuario actual
+async function toggleBreak() {
+  const id = getCurrentUserId();
+  if (!id) return;
+  const res = await apiFetch('/api/users/' + id + '/break', { method: 'POST' });
+  const result = await res.json();
+  if (!result.success) {
+    alert(result.message || 'No se pudo registrar el descanso');
+  }
   await updateTimeTable();
   await updateClockButton();
 }
@@ -190,14 +620,19 @@ async function toggleClock() {
 // Alterna clock in/out para un usuario específico (usado por admin)
 async function toggleClockForUser(userId) {
   if (!userId) return;
-  await fetch(API_BASE + '/api/users/' + userId + '/clock', { method: 'POST' });
+  const res = await apiFetch('/api/users/' + userId + '/clock', { method: 'POST' });
+  const result = await res.json();
+  if (!result.success) {
+    alert(result.message || 'No se pudo registrar la jornada');
+  }
+  return result;
 }
 
 // Actualiza tabla de horarios para usuario actual
 async function updateTimeTable() {
   const id = getCurrentUserId();
   if (!id) return;
-  const res = await fetch(API_BASE + '/api/users/' + id + '/times');
+  const res = await apiFetch('/api/users/' + id + '/times');
   const times = await res.json();
   // Guardar global para updateClockButton
   window.currentTimes = times;
@@ -208,45 +643,60 @@ async function updateTimeTable() {
     const tr = document.createElement('tr');
     const tdIn = document.createElement('td');
     const tdOut = document.createElement('td');
+    const tdBreak = document.createElement('td');
     const tdHours = document.createElement('td');
     tdIn.textContent = formatDateTime(record.clockIn);
     tdOut.textContent = record.clockOut ? formatDateTime(record.clockOut) : '—';
-    tdHours.textContent = record.clockOut ? calcHours(record.clockIn, record.clockOut).toFixed(2) : '—';
+    if (record.clockOut) {
+      tdBreak.textContent = recordBreakHours(record).toFixed(2);
+    } else {
+      tdBreak.textContent = isOnBreak(record) ? 'En descanso' : '—';
+    }
+    tdHours.textContent = record.clockOut ? recordHours(record).toFixed(2) : '—';
+    // Registros corregidos: se marcan y se muestran los valores originales
+    if (record.autoClosed) {
+      tdHours.textContent += record.autoClosed.reviewedAt ? ' (cierre automático)' : ' (cierre automático, pendiente de revisión)';
+      tr.title = describeTimeCorrection(record);
+    } else if (record.original) {
+      tdHours.textContent += ' (corregido)';
+      tr.title = describeTimeCorrection(record);
+    }
     tr.appendChild(tdIn);
     tr.appendChild(tdOut);
+    tr.appendChild(tdBreak);
     tr.appendChild(tdHours);
     tbody.appendChild(tr);
   });
 }
 
-// Actualiza el texto del botón de reloj según estado
+// Actualiza el texto de los botones de reloj y descanso según estado
 async function updateClockButton() {
   const btn = document.getElementById('clockButton');
   if (!btn) return;
-  const times = window.currentTimes;
-  if (!times || times.length === 0) {
-    btn.textContent = 'Iniciar jornada';
-    return;
+  const times = window.currentTimes || [];
+  const last = times.length > 0 ? times[times.length - 1] : null;
+  const clockedIn = await isClockedIn();
+  btn.textContent = clockedIn ? 'Finalizar jornada' : 'Iniciar jornada';
+  // El descanso solo tiene sentido con la jornada iniciada
+  const breakBtn = document.getElementById('breakButton');
+  if (breakBtn) {
+    breakBtn.style.display = clockedIn ? '' : 'none';
+    breakBtn.textContent = isOnBreak(last) ? 'Terminar descanso' : 'Iniciar descanso';
   }
-  const last = times[times.length - 1];
-  btn.textContent = last.clockOut ? 'Iniciar jornada' : 'Finalizar jornada';
 }
 
 // Añade recibo para usuario
-// Añade recibo con categoría, monto, imagen y nota
+// Añade recibo con categoría, monto, imagen y nota.  Sin conexión queda en
+// la bandeja de salida ({ success: true, queued: true }).
 async function addReceipt(userId, category, amount, imageData, note) {
-  await fetch(API_BASE + '/api/users/' + userId + '/receipts', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ category, amount, imageData, note })
-  });
+  return await submitThroughOutbox(userId, 'receipt', { category, amount, imageData, note });
 }
 
 // Actualiza tabla de recibos para usuario actual
 async function updateReceiptsTable() {
   const id = getCurrentUserId();
   if (!id) return;
-  const res = await fetch(API_BASE + '/api/users/' + id + '/receipts');
+  const res = await apiFetch('/api/users/' + id + '/receipts');
   const receipts = await res.json();
   const tbody = document.querySelector('#receiptsTable tbody');
   if (!tbody) return;
@@ -262,6 +712,10 @@ async function updateReceiptsTable() {
     tdAmt.textContent = r.amount !== null && r.amount !== undefined ? r.amount.toFixed(2) : '—';
     const tdNote = document.createElement('td');
     tdNote.textContent = r.note || '';
+    // Estado de la revisión, con el motivo si se rechazó
+    const tdStatus = document.createElement('td');
+    tdStatus.textContent = describeReceiptStatus(r.status);
+    if (r.status === 'rejected' && r.reviewNote) tdStatus.textContent += `: ${r.reviewNote}`;
     const tdView = document.createElement('td');
     const viewLink = document.createElement('a');
     viewLink.className = 'action-link';
@@ -276,11 +730,64 @@ async function updateReceiptsTable() {
     tr.appendChild(tdCat);
     tr.appendChild(tdAmt);
     tr.appendChild(tdNote);
+    tr.appendChild(tdStatus);
     tr.appendChild(tdView);
     tbody.appendChild(tr);
   });
 }
 
+// Nombre legible del estado de revisión de un recibo
+function describeReceiptStatus(status) {
+  const labels = { pending: 'Pendiente', approved: 'Aprobado', rejected: 'Rechazado', reimbursed: 'Reembolsado' };
+  return labels[status] || status;
+}
+
+// Recibos de todos los empleados para revisar (solo admin); status vacío
+// devuelve todos
+async function getReceiptQueue(status) {
+  const res = await apiFetch('/api/receipts' + (status ? '?status=' + encodeURIComponent(status) : ''));
+  if (!res.ok) return [];
+  return await res.json();
+}
+
+// Aprueba, rechaza o marca como reembolsado un recibo (action: 'approve',
+// 'reject' o 'reimburse')
+async function reviewReceipt(id, action, note) {
+  const res = await apiFetch('/api/receipts/' + id + '/' + action, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ note: note || '' })
+  });
+  return await res.json();
+}
+
+// Descarta como falso positivo la alerta de posible duplicado de un recibo
+// (solo admin)
+async function dismissReceiptFlag(id, note) {
+  const res = await apiFetch('/api/receipts/' + id + '/dismiss-duplicate', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ note: note || '' })
+  });
+  return await res.json();
+}
+
+// Texto de la alerta de posible duplicado de un recibo ('' sin alerta)
+function describeDuplicateFlag(flag) {
+  if (!flag) return '';
+  const reasonLabels = { image: 'misma imagen', similar: 'imagen parecida', details: 'mismo importe y categoría' };
+  const matches = flag.matches.map(m => {
+    const amount = m.amount !== undefined && m.amount !== null ? parseFloat(m.amount).toFixed(2) : '';
+    const reasons = m.reasons.map(r => reasonLabels[r] || r).join(', ');
+    return `${m.userName}, ${formatDateTime(m.date)}, ${m.category || ''} ${amount} (${reasons})`;
+  });
+  const text = 'Posible duplicado de: ' + matches.join('; ');
+  if (flag.status === 'dismissed') {
+    return `${text}.  Falso positivo según ${flag.reviewerName}` + (flag.reviewNote ? `: ${flag.reviewNote}` : '');
+  }
+  return text;
+}
+
 // Muestra modal para ver recibo
 function showModal(imageData, note) {
   const modal = document.getElementById('modal');
@@ -296,14 +803,268 @@ function closeModal() {
   if (modal) modal.style.display = 'none';
 }
 
+// Invitaciones de registro (solo admin)
+async function getInvites() {
+  const res = await apiFetch('/api/invites');
+  return await res.json();
+}
+
+async function createInvite(inviteData) {
+  const res = await apiFetch('/api/invites', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(inviteData)
+  });
+  return await res.json();
+}
+
+async function revokeInvite(id) {
+  const res = await apiFetch('/api/invites/' + id, { method: 'DELETE' });
+  return await res.json();
+}
+
+// Dispositivos de kiosco (solo admin).  registerKioskDevice registra el
+// navegador actual y guarda su token; el de la sesión no se usa en el kiosco.
+async function getKioskDevices() {
+  const res = await apiFetch('/api/kiosk-devices');
+  return await res.json();
+}
+
+async function registerKioskDevice(name) {
+  const res = await apiFetch('/api/kiosk-devices', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ name })
+  });
+  const data = await res.json();
+  if (data.success) localStorage.setItem('kioskToken', data.token);
+  return data;
+}
+
+async function revokeKioskDevice(id) {
+  const res = await apiFetch('/api/kiosk-devices/' + id, { method: 'DELETE' });
+  return await res.json();
+}
+
+// Token del kiosco registrado en este navegador (o null)
+function getKioskToken() {
+  return localStorage.getItem('kioskToken');
+}
+
+function clearKioskToken() {
+  localStorage.removeItem('kioskToken');
+}
+
+// Petición del kiosco: se identifica con el token del dispositivo.  Un 401
+// indica que el dispositivo no está registrado o fue revocado.
+async function kioskFetch(path, options = {}) {
+  const headers = Object.assign({}, options.headers, { 'X-Kiosk-Token': getKioskToken() || '' });
+  const res = await fetch(API_BASE + path, Object.assign({}, options, { headers }));
+  const data = await res.json();
+  if (res.status === 401) clearKioskToken();
+  return data;
+}
+
+async function getKioskEmployees() {
+  return await kioskFetch('/api/kiosk/employees');
+}
+
+async function kioskClock(userId, pin, location) {
+  return await kioskFetch('/api/kiosk/clock', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ userId, pin, location })
+  });
+}
+
+// Solicitudes de corrección de horario de un usuario
+async function getTimeCorrections(userId) {
+  const res = await apiFetch('/api/users/' + userId + '/time-corrections');
+  if (!res.ok) return [];
+  return await res.json();
+}
+
+// Solicita corregir un registro ({ timeId, clockIn, clockOut, reason }) o
+// añadir uno que falta (sin timeId)
+async function requestTimeCorrection(userId, correction) {
+  const res = await apiFetch('/api/users/' + userId + '/time-corrections', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(correction)
+  });
+  return await res.json();
+}
+
+// Retira una solicitud de corrección pendiente
+async function cancelTimeCorrection(userId, correctionId) {
+  const res = await apiFetch('/api/users/' + userId + '/time-corrections/' + correctionId, { method: 'DELETE' });
+  return await res.json();
+}
+
+// Cola de revisión de correcciones (solo admin); status vacío devuelve todas
+async function getTimeCorrectionQueue(status) {
+  const res = await apiFetch('/api/time-corrections' + (status ? '?status=' + encodeURIComponent(status) : ''));
+  if (!res.ok) return [];
+  return await res.json();
+}
+
+// Aprueba o rechaza una solicitud de corrección (action: 'approve' o 'reject')
+async function reviewTimeCorrection(id, action, note) {
+  const res = await apiFetch('/api/time-corrections/' + id + '/' + action, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ note: note || '' })
+  });
+  return await res.json();
+}
+
+// Saldos y solicitudes de permiso de un usuario: { balances, requests }
+async function getLeave(userId) {
+  const res = await apiFetch('/api/users/' + userId + '/leave');
+  return await res.json();
+}
+
+// Solicita un permiso ({ type, from, to, hours, note })
+async function requestLeave(userId, request) {
+  const res = await apiFetch('/api/users/' + userId + '/leave', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(request)
+  });
+  return await res.json();
+}
+
+// Retira una solicitud de permiso pendiente
+async function cancelLeave(userId, requestId) {
+  const res = await apiFetch('/api/users/' + userId + '/leave/' + requestId, { method: 'DELETE' });
+  return await res.json();
+}
+
+// Solicitudes de permiso de todos los empleados (solo admin); status vacío
+// devuelve todas
+async function getLeaveQueue(status) {
+  const res = await apiFetch('/api/leave' + (status ? '?status=' + encodeURIComponent(status) : ''));
+  if (!res.ok) return [];
+  return await res.json();
+}
+
+// Saldos de permisos de todos los empleados (solo admin)
+async function getLeaveBalances() {
+  const res = await apiFetch('/api/leave/balances');
+  if (!res.ok) return [];
+  return await res.json();
+}
+
+// Aprueba o deniega una solicitud de permiso (action: 'approve' o 'deny')
+async function reviewLeave(id, action, note) {
+  const res = await apiFetch('/api/leave/' + id + '/' + action, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ note: note || '' })
+  });
+  return await res.json();
+}
+
+// Políticas de acumulación de permisos
+async function getLeavePolicies() {
+  const res = await apiFetch('/api/company/leave-policies');
+  return await res.json();
+}
+
+// Actualiza las políticas de permisos (solo admin)
+async function updateLeavePolicies(policies) {
+  const res = await apiFetch('/api/company/leave-policies', {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(policies)
+  });
+  return await res.json();
+}
+
+// Nombre legible de un tipo de permiso
+function describeLeaveType(type) {
+  const labels = { vacation: 'Vacaciones', sick: 'Enfermedad', unpaid: 'Sin sueldo' };
+  return labels[type] || type;
+}
+
+// Nombre legible del estado de una solicitud de permiso
+function describeLeaveStatus(status) {
+  const labels = { pending: 'Pendiente', approved: 'Aprobado', denied: 'Denegado', cancelled: 'Retirado' };
+  return labels[status] || status;
+}
+
+// Saldo y movimientos de la liquidación de un usuario:
+// { owed, paid, balance, statement }
+async function getLedger(userId) {
+  const res = await apiFetch('/api/users/' + userId + '/ledger');
+  return await res.json();
+}
+
+// Registra un pago, anticipo o ajuste (solo admin):
+// { type, amount, date, method, reference, note, covers: { from, to, receiptIds } }
+async function addLedgerEntry(userId, entry) {
+  const res = await apiFetch('/api/users/' + userId + '/ledger', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(entry)
+  });
+  return await res.json();
+}
+
+// Anula un movimiento de la liquidación con un motivo (solo admin)
+async function voidLedgerEntry(id, note) {
+  const res = await apiFetch('/api/ledger/' + id + '/void', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ note: note || '' })
+  });
+  return await res.json();
+}
+
+// Saldos de las liquidaciones de todos los empleados (solo admin)
+async function getLedgerBalances() {
+  const res = await apiFetch('/api/ledger/balances');
+  if (!res.ok) return [];
+  return await res.json();
+}
+
+// Nombre legible de un tipo de movimiento de la liquidación
+function describeLedgerType(type) {
+  const labels = { payout: 'Pago', advance: 'Anticipo', adjustment: 'Ajuste' };
+  return labels[type] || type;
+}
+
+// Nombre legible de una forma de pago
+function describePaymentMethod(method) {
+  const labels = { transfer: 'Transferencia', cash: 'Efectivo', check: 'Cheque', other: 'Otro' };
+  return labels[method] || method || '';
+}
+
+// Jornadas abiertas y cerradas automáticamente pendientes de revisión (solo admin)
+async function getOpenShifts() {
+  const res = await apiFetch('/api/open-shifts');
+  return await res.json();
+}
+
+// Cierra una jornada abierta o revisa una cerrada automáticamente.  clockOut
+// (ISO) es obligatoria para las abiertas y opcional para las cerradas.
+async function resolveOpenShift(userId, timeId, clockOut) {
+  const res = await apiFetch('/api/open-shifts/' + userId + '/' + timeId + '/resolve', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ clockOut: clockOut || null })
+  });
+  return await res.json();
+}
+
 // Gestión de grupos
 async function getGroups() {
-  const res = await fetch(API_BASE + '/api/groups');
+  const res = await apiFetch('/api/groups');
   return await res.json();
 }
 
 async function createGroup(name) {
-  const res = await fetch(API_BASE + '/api/groups', {
+  const res = await apiFetch('/api/groups', {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({ name })
@@ -312,12 +1073,12 @@ async function createGroup(name) {
 }
 
 async function getGroupById(id) {
-  const res = await fetch(API_BASE + '/api/groups/' + id);
+  const res = await apiFetch('/api/groups/' + id);
   return await res.json();
 }
 
 async function addUserToGroup(groupId, userId) {
-  const res = await fetch(API_BASE + '/api/groups/' + groupId + '/users', {
+  const res = await apiFetch('/api/groups/' + groupId + '/users', {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({ userId })
@@ -326,15 +1087,35 @@ async function addUserToGroup(groupId, userId) {
 }
 
 async function removeUserFromGroup(groupId, userId) {
-  await fetch(API_BASE + '/api/groups/' + groupId + '/users/' + userId, {
+  await apiFetch('/api/groups/' + groupId + '/users/' + userId, {
     method: 'DELETE'
   });
 }
 
+// Cambia la zona horaria de un grupo (null para usar la de la compañía)
+async function updateGroupTimeZone(groupId, timeZone) {
+  const res = await apiFetch('/api/groups/' + groupId, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ timeZone })
+  });
+  return await res.json();
+}
+
+// Cambia la zona de trabajo de un grupo (null para quitarla)
+async function updateGroupGeofence(groupId, geofence) {
+  const res = await apiFetch('/api/groups/' + groupId, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ geofence })
+  });
+  return await res.json();
+}
+
 // Actualiza la información de pago de un usuario (tipo y tarifa)
 async function updateUserPay(userId, payType, payRate) {
   if (!userId) return;
-  await fetch(API_BASE + '/api/users/' + userId + '/pay', {
+  await apiFetch('/api/users/' + userId + '/pay', {
     method: 'PUT',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({ payType, payRate })
@@ -342,14 +1123,14 @@ async function updateUserPay(userId, payType, payRate) {
 }
 
 async function deleteGroup(id) {
-  await fetch(API_BASE + '/api/groups/' + id, {
+  await apiFetch('/api/groups/' + id, {
     method: 'DELETE'
   });
 }
 
 // Actualiza la contraseña del usuario. Requiere la contraseña actual y la nueva contraseña.
 async function updateUserPassword(userId, oldPassword, newPassword) {
-  const res = await fetch(API_BASE + '/api/users/' + userId + '/password', {
+  const res = await apiFetch('/api/users/' + userId + '/password', {
     method: 'PUT',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({ oldPassword, newPassword })
@@ -357,9 +1138,19 @@ async function updateUserPassword(userId, oldPassword, newPassword) {
   return await res.json();
 }
 
+// Fija el PIN del kiosco de un usuario (null para quitarlo)
+async function updateKioskPin(userId, pin) {
+  const res = await apiFetch('/api/users/' + userId + '/kiosk-pin', {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ pin })
+  });
+  return await res.json();
+}
+
 // Elimina la cuenta del usuario. Requiere confirmar el correo electrónico.
 async function deleteUserAccount(userId, email) {
-  const res = await fetch(API_BASE + '/api/users/' + userId, {
+  const res = await apiFetch('/api/users/' + userId, {
     method: 'DELETE',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({ email })
@@ -400,36 +1191,322 @@ function exportGroupReceiptsPDF(groupId) {
   window.location.href = API_BASE + '/api/exports/group/' + groupId + '/receipts/pdf';
 }
 
-// Añade una fecha programada (schedule) para un usuario específico
-async function addSchedule(userId, dateStr) {
-  if (!userId || !dateStr) return;
-  await fetch(API_BASE + '/api/users/' + userId + '/schedules', {
+// Desglose de pagos (horas normales, extra, dobles y festivos) de un usuario
+// en un periodo { from, to } (días YYYY-MM-DD, opcionales)
+function exportEarningsCSV(userId, period) {
+  window.location.href = API_BASE + '/api/exports/user/' + userId + '/earnings' + auditQueryString(period);
+}
+function exportEarningsPDF(userId, period) {
+  window.location.href = API_BASE + '/api/exports/user/' + userId + '/earnings/pdf' + auditQueryString(period);
+}
+function exportGroupEarningsCSV(groupId, period) {
+  window.location.href = API_BASE + '/api/exports/group/' + groupId + '/earnings' + auditQueryString(period);
+}
+function exportGroupEarningsPDF(groupId, period) {
+  window.location.href = API_BASE + '/api/exports/group/' + groupId + '/earnings/pdf' + auditQueryString(period);
+}
+
+// Pago de un usuario en un periodo { from, to } calculado por el servidor
+async function getEarnings(userId, period) {
+  const res = await apiFetch('/api/users/' + userId + '/earnings' + auditQueryString(period));
+  return await res.json();
+}
+
+// Construye la cadena de consulta para los filtros de auditoría (y periodos)
+function auditQueryString(filters = {}) {
+  const params = new URLSearchParams();
+  Object.keys(filters).forEach(key => {
+    if (filters[key]) params.set(key, filters[key]);
+  });
+  const qs = params.toString();
+  return qs ? '?' + qs : '';
+}
+
+// Consulta el registro de auditoría (solo admin)
+async function getAuditLog(filters) {
+  const res = await apiFetch('/api/audit' + auditQueryString(filters));
+  return await res.json();
+}
+
+// Descarga el registro de auditoría filtrado en CSV
+function exportAuditCSV(filters) {
+  window.location.href = API_BASE + '/api/exports/audit' + auditQueryString(filters);
+}
+
+// Lista de instantáneas (copias de seguridad) de los datos
+async function getSnapshots() {
+  const res = await apiFetch('/api/snapshots');
+  if (!res.ok) return [];
+  return await res.json();
+}
+
+// Crea una instantánea manual de los datos
+async function createSnapshot() {
+  const res = await apiFetch('/api/snapshots', { method: 'POST' });
+  return await res.json();
+}
+
+// Restaura los datos a una instantánea
+async function restoreSnapshot(id) {
+  const res = await apiFetch('/api/snapshots/' + encodeURIComponent(id) + '/restore', { method: 'POST' });
+  return await res.json();
+}
+
+// Programa un turno para un usuario: { date, start, end, groupId, notes }
+// (sin horas, el turno ocupa todo el día)
+async function addSchedule(userId, shift) {
+  if (!userId || !shift || !shift.date) return { success: false };
+  const res = await apiFetch('/api/users/' + userId + '/schedules', {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ date: dateStr })
+    body: JSON.stringify(shift)
   });
+  return await res.json();
 }
 
-// Elimina una fecha programada para un usuario específico
-async function removeSchedule(userId, dateStr) {
-  if (!userId || !dateStr) return;
-  await fetch(API_BASE + '/api/users/' + userId + '/schedules', {
-    method: 'DELETE',
+// Elimina un turno programado de un usuario
+async function removeSchedule(userId, shiftId) {
+  if (!userId || !shiftId) return { success: false };
+  const res = await apiFetch('/api/users/' + userId + '/schedules/' + encodeURIComponent(shiftId), { method: 'DELETE' });
+  return await res.json();
+}
+
+// Horario de un turno para mostrarlo ("09:00 – 17:00" o "Todo el día")
+function formatShiftHours(shift) {
+  return shift.start ? `${shift.start} – ${shift.end}` : 'Todo el día';
+}
+
+// Indica si el resultado de asistencia de un turno es una incidencia
+function attendanceIssue(result) {
+  return !!result && (result.status === 'absent' || result.lateMinutes > 0 || result.earlyLeaveMinutes > 0);
+}
+
+// Texto de la asistencia a un turno (ver checkAttendance en lib/shifts.js)
+function describeAttendance(result) {
+  if (result.status === 'pending') return 'Pendiente';
+  if (result.status === 'absent') return 'No se presentó';
+  if (result.status === 'leave') return 'Permiso';
+  const issues = [];
+  if (result.lateMinutes > 0) issues.push(`Retraso de ${result.lateMinutes} min`);
+  if (result.earlyLeaveMinutes > 0) issues.push(`Salida anticipada de ${result.earlyLeaveMinutes} min`);
+  return issues.length > 0 ? issues.join(', ') : 'Correcto';
+}
+
+// Asistencia de un usuario en sus turnos ({ from, to })
+async function getUserAttendance(userId, period) {
+  const res = await apiFetch('/api/users/' + userId + '/attendance' + auditQueryString(period));
+  return await res.json();
+}
+
+// Informe de asistencia de todos los empleados ({ from, to, groupId }, solo admin)
+async function getAttendance(filters) {
+  const res = await apiFetch('/api/attendance' + auditQueryString(filters));
+  return await res.json();
+}
+
+// Plantillas semanales de turnos (solo admin)
+async function getShiftTemplates() {
+  const res = await apiFetch('/api/shift-templates');
+  return await res.json();
+}
+
+// Crea una plantilla: { name, days: [{ weekday, start, end }], notes }
+async function createShiftTemplate(template) {
+  const res = await apiFetch('/api/shift-templates', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(template)
+  });
+  return await res.json();
+}
+
+// Elimina una plantilla (los turnos ya creados se conservan)
+async function deleteShiftTemplate(id) {
+  const res = await apiFetch('/api/shift-templates/' + encodeURIComponent(id), { method: 'DELETE' });
+  return await res.json();
+}
+
+// Aplica una plantilla a los miembros de un grupo entre dos fechas
+async function applyShiftTemplate(id, groupId, from, to) {
+  const res = await apiFetch('/api/shift-templates/' + encodeURIComponent(id) + '/apply', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ groupId, from, to })
+  });
+  return await res.json();
+}
+
+// Márgenes de puntualidad de los turnos
+async function getAttendanceRules() {
+  const res = await apiFetch('/api/company/attendance-rules');
+  return await res.json();
+}
+
+// Actualiza los márgenes de puntualidad (solo admin)
+async function updateAttendanceRules(rules) {
+  const res = await apiFetch('/api/company/attendance-rules', {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(rules)
+  });
+  return await res.json();
+}
+
+// Zona horaria de la compañía
+async function getCompanyTimeZone() {
+  const res = await apiFetch('/api/company/time-zone');
+  const data = await res.json();
+  return data.timeZone;
+}
+
+// Cambia la zona horaria de la compañía (solo admin)
+async function updateCompanyTimeZone(timeZone) {
+  const res = await apiFetch('/api/company/time-zone', {
+    method: 'PUT',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ date: dateStr })
+    body: JSON.stringify({ timeZone })
   });
+  return await res.json();
+}
+
+// Rellena un <select> con las zonas horarias que conoce el navegador.  Con
+// `emptyLabel` se añade primero una opción vacía (valor '').
+function fillTimeZoneSelect(select, selected, emptyLabel) {
+  let zones = typeof Intl.supportedValuesOf === 'function'
+    ? Intl.supportedValuesOf('timeZone')
+    : [Intl.DateTimeFormat().resolvedOptions().timeZone];
+  if (!zones.includes('UTC')) zones = ['UTC', ...zones];
+  // La zona guardada puede no estar en la lista del navegador
+  if (selected && !zones.includes(selected)) zones = [selected, ...zones];
+  select.innerHTML = '';
+  if (emptyLabel) {
+    const opt = document.createElement('option');
+    opt.value = '';
+    opt.textContent = emptyLabel;
+    select.appendChild(opt);
+  }
+  zones.forEach(zone => {
+    const opt = document.createElement('option');
+    opt.value = zone;
+    opt.textContent = zone;
+    select.appendChild(opt);
+  });
+  select.value = selected || '';
+}
+
+// Reglas de jornadas olvidadas y cierre automático
+async function getOpenShiftRules() {
+  const res = await apiFetch('/api/company/open-shift-rules');
+  return await res.json();
+}
+
+// Actualiza las reglas de jornadas olvidadas (solo admin)
+async function updateOpenShiftRules(rules) {
+  const res = await apiFetch('/api/company/open-shift-rules', {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(rules)
+  });
+  return await res.json();
+}
+
+// Frecuencia de los periodos de pago
+async function getPayPeriodRules() {
+  const res = await apiFetch('/api/company/pay-period-rules');
+  return await res.json();
+}
+
+// Cambia la frecuencia de los periodos de pago (solo admin)
+async function updatePayPeriodRules(rules) {
+  const res = await apiFetch('/api/company/pay-period-rules', {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(rules)
+  });
+  return await res.json();
+}
+
+// Hojas de horas de los últimos periodos de un usuario, la actual primero
+async function getUserTimesheets(userId, count) {
+  const res = await apiFetch('/api/users/' + userId + '/timesheets' + auditQueryString({ count }));
+  return await res.json();
+}
+
+// Envía la hoja del periodo que empieza en `from` para su aprobación
+async function submitTimesheet(userId, from) {
+  const res = await apiFetch('/api/users/' + userId + '/timesheets', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ from })
+  });
+  return await res.json();
+}
+
+// Hojas de horas de todos los empleados en el periodo que contiene `date`
+// ({ date, groupId }, solo admin)
+async function getPeriodTimesheets(filters) {
+  const res = await apiFetch('/api/timesheets' + auditQueryString(filters));
+  return await res.json();
+}
+
+// Aprueba ('approve'), devuelve ('reject') o reabre ('reopen') una hoja de horas
+async function reviewTimesheet(id, action, note) {
+  const res = await apiFetch('/api/timesheets/' + encodeURIComponent(id) + '/' + action, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ note: note || '' })
+  });
+  return await res.json();
+}
+
+// Nombre legible del estado de una hoja de horas
+function describeTimesheetStatus(status) {
+  const labels = { open: 'Abierta', submitted: 'Enviada', approved: 'Aprobada y bloqueada', rejected: 'Devuelta' };
+  return labels[status] || status;
+}
+
+// Reglas de horas extra y festivos de la compañía
+async function getPayRules() {
+  const res = await apiFetch('/api/company/pay-rules');
+  return await res.json();
+}
+
+// Actualiza las reglas de horas extra y festivos (solo admin)
+async function updatePayRules(rules) {
+  const res = await apiFetch('/api/company/pay-rules', {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(rules)
+  });
+  return await res.json();
+}
+
+// Reglas de descanso de la compañía
+async function getBreakRules() {
+  const res = await apiFetch('/api/company/break-rules');
+  return await res.json();
+}
+
+// Actualiza las reglas de descanso (solo admin)
+async function updateBreakRules(rules) {
+  const res = await apiFetch('/api/company/break-rules', {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(rules)
+  });
+  return await res.json();
 }
 
 // Obtiene el logo de la compañía en base64 (devuelve null si no existe)
 async function getCompanyLogo() {
-  const res = await fetch(API_BASE + '/api/company/logo');
+  const res = await apiFetch('/api/company/logo');
   const data = await res.json();
   return data.logo || null;
 }
 
 // Actualiza el logo de la compañía
 async function updateCompanyLogo(logoData) {
-  const res = await fetch(API_BASE + '/api/company/logo', {
+  const res = await apiFetch('/api/company/logo', {
     method: 'PUT',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify({ logoData })
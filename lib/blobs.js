@@ -0,0 +1,122 @@
+/*
+ * Almacén de archivos direccionado por contenido.
+ *
+ * Cada archivo se guarda una sola vez en `dir/<2 primeros caracteres>/<id>`,
+ * donde el id es el SHA-256 de su contenido, junto a un archivo `<id>.json`
+ * con sus metadatos (tipo de contenido, tamaño, si está cifrado).  Los
+ * registros de data.json solo guardan la referencia `file:<id>`.
+ *
+ * Los archivos sensibles (identificaciones) se guardan cifrados con
+ * AES-256-GCM.  Su id es un HMAC del contenido con la clave de cifrado, para
+ * que el nombre del archivo no permita confirmar el contenido.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { writeFileAtomic } = require('./fs-utils');
+
+const FILE_REF_PREFIX = 'file:';
+const ID_PATTERN = /^[0-9a-f]{64}$/;
+
+// Separa un data URL ("data:image/png;base64,...") en tipo y contenido
+function parseDataUrl(value) {
+  const match = /^data:([^;,]*)((?:;[^;,]*)*),(.*)$/s.exec(String(value));
+  if (!match) return null;
+  const contentType = (match[1] || 'application/octet-stream').toLowerCase();
+  const isBase64 = /;base64/i.test(match[2]);
+  try {
+    const buffer = isBase64 ? Buffer.from(match[3], 'base64') : Buffer.from(decodeURIComponent(match[3]), 'utf-8');
+    return { contentType, buffer };
+  } catch (err) {
+    return null;
+  }
+}
+
+function isFileRef(value) {
+  return typeof value === 'string' && value.startsWith(FILE_REF_PREFIX) && ID_PATTERN.test(value.slice(FILE_REF_PREFIX.length));
+}
+
+function fileIdFromRef(ref) {
+  return isFileRef(ref) ? ref.slice(FILE_REF_PREFIX.length) : null;
+}
+
+function createBlobStore({ dir, encryptionKey }) {
+  function blobPath(id) {
+    return path.join(dir, id.slice(0, 2), id);
+  }
+
+  // Guarda un contenido y devuelve su id.  Si ya existe no se vuelve a escribir.
+  function put(buffer, contentType, { encrypted = false } = {}) {
+    if (encrypted && !encryptionKey) throw new Error('Se requiere una clave para cifrar archivos');
+    const id = encrypted
+      ? crypto.createHmac('sha256', encryptionKey).update(buffer).digest('hex')
+      : crypto.createHash('sha256').update(buffer).digest('hex');
+    const file = blobPath(id);
+    if (!fs.existsSync(file + '.json')) {
+      let content = buffer;
+      if (encrypted) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey, iv);
+        const ciphertext = Buffer.concat([cipher.update(buffer), cipher.final()]);
+        content = Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+      }
+      writeFileAtomic(file, content);
+      // Los metadatos se escriben al final: su presencia indica archivo completo
+      writeFileAtomic(file + '.json', JSON.stringify({
+        contentType,
+        size: buffer.length,
+        encrypted,
+        createdAt: new Date().toISOString()
+      }));
+    }
+    return id;
+  }
+
+  // Metadatos de un archivo o null si no existe
+  function stat(id) {
+    if (!ID_PATTERN.test(String(id))) return null;
+    try {
+      return JSON.parse(fs.readFileSync(blobPath(id) + '.json', 'utf-8'));
+    } catch (err) {
+      return null;
+    }
+  }
+
+  // Devuelve { buffer, contentType, size, encrypted } (descifrado) o null
+  function get(id) {
+    const meta = stat(id);
+    if (!meta) return null;
+    let buffer = fs.readFileSync(blobPath(id));
+    if (meta.encrypted) {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey, buffer.subarray(0, 12));
+      decipher.setAuthTag(buffer.subarray(12, 28));
+      buffer = Buffer.concat([decipher.update(buffer.subarray(28)), decipher.final()]);
+    }
+    return { ...meta, buffer };
+  }
+
+  // Flujo de lectura del contenido almacenado (solo archivos sin cifrar)
+  function createReadStream(id) {
+    return fs.createReadStream(blobPath(id));
+  }
+
+  // Guarda un data URL y devuelve la referencia `file:<id>`.  Los valores que
+  // no son data URL (vacíos o referencias existentes) se devuelven tal cual.
+  function putDataUrl(value, options) {
+    const parsed = value ? parseDataUrl(value) : null;
+    if (!parsed) return value;
+    return FILE_REF_PREFIX + put(parsed.buffer, parsed.contentType, options);
+  }
+
+  // Reconstruye el data URL de una referencia (o null si no existe)
+  function toDataUrl(ref) {
+    const id = fileIdFromRef(ref);
+    const file = id ? get(id) : null;
+    return file ? `data:${file.contentType};base64,${file.buffer.toString('base64')}` : null;
+  }
+
+  return { dir, put, stat, get, createReadStream, putDataUrl, toDataUrl };
+}
+
+module.exports = { createBlobStore, parseDataUrl, isFileRef, fileIdFromRef, FILE_REF_PREFIX };
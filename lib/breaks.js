@@ -0,0 +1,108 @@
+/*
+ * Descansos dentro de una jornada y cálculo de horas netas.
+ *
+ * Cada registro de horario puede tener descansos `breaks: [{ start, end }]`
+ * (end es null mientras el descanso sigue abierto).  Las reglas de la
+ * compañía (`company.breakRules`) deciden qué parte se paga:
+ *
+ *   paidBreakMaxMinutes   los descansos de esta duración o menos se pagan
+ *                         (0: ningún descanso se paga)
+ *   autoDeductAfterHours  en jornadas de más horas que esta se garantiza un
+ *                         descanso no pagado de autoDeductMinutes; si el
+ *                         empleado registró menos, se descuenta la diferencia
+ *                         (null: sin descuento automático)
+ *   autoDeductMinutes
+ *
+ * Las horas netas son la duración de la jornada menos los descansos no
+ * pagados y el descuento automático.
+ */
+
+const DEFAULT_BREAK_RULES = {
+  paidBreakMaxMinutes: 0,
+  autoDeductAfterHours: null,
+  autoDeductMinutes: 30
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// Reglas completas a partir de las guardadas (campos ausentes por defecto)
+function resolveBreakRules(rules) {
+  return { ...DEFAULT_BREAK_RULES, ...(rules || {}) };
+}
+
+// Valida las reglas enviadas por un administrador.  Devuelve
+// { rules } o { error } con el mensaje para el cliente.
+function parseBreakRules(input) {
+  const paid = Number(input.paidBreakMaxMinutes);
+  if (!Number.isFinite(paid) || paid < 0 || paid > 240) {
+    return { error: 'Los minutos de descanso pagado deben estar entre 0 y 240' };
+  }
+  let afterHours = null;
+  if (input.autoDeductAfterHours !== null && input.autoDeductAfterHours !== undefined && input.autoDeductAfterHours !== '') {
+    afterHours = Number(input.autoDeductAfterHours);
+    if (!Number.isFinite(afterHours) || afterHours <= 0 || afterHours > 24) {
+      return { error: 'Las horas para el descuento automático deben estar entre 0 y 24' };
+    }
+  }
+  const deductMinutes = Number(input.autoDeductMinutes);
+  if (afterHours !== null && (!Number.isFinite(deductMinutes) || deductMinutes <= 0 || deductMinutes > 240)) {
+    return { error: 'Los minutos a descontar deben estar entre 1 y 240' };
+  }
+  return {
+    rules: {
+      paidBreakMaxMinutes: paid,
+      autoDeductAfterHours: afterHours,
+      autoDeductMinutes: Number.isFinite(deductMinutes) && deductMinutes > 0 ? deductMinutes : DEFAULT_BREAK_RULES.autoDeductMinutes
+    }
+  };
+}
+
+// Descanso abierto de un registro (o null)
+function openBreak(record) {
+  return (record.breaks || []).find(b => !b.end) || null;
+}
+
+// Desglose de horas de un registro cerrado:
+// { grossHours, paidBreakHours, unpaidBreakHours, autoDeductHours, netHours }.
+// Los registros abiertos devuelven null.  Los descansos se recortan a la
+// jornada por si una corrección cambió la entrada o la salida.
+function hoursBreakdown(record, rules) {
+  if (!record.clockIn || !record.clockOut) return null;
+  const r = resolveBreakRules(rules);
+  const start = new Date(record.clockIn).getTime();
+  const end = new Date(record.clockOut).getTime();
+  const gross = Math.max(0, end - start);
+  let paid = 0;
+  let unpaid = 0;
+  (record.breaks || []).forEach(b => {
+    const bStart = Math.max(start, new Date(b.start).getTime());
+    const bEnd = Math.min(end, b.end ? new Date(b.end).getTime() : end);
+    const duration = Math.max(0, bEnd - bStart);
+    if (duration <= r.paidBreakMaxMinutes * MINUTE_MS) {
+      paid += duration;
+    } else {
+      unpaid += duration;
+    }
+  });
+  let autoDeduct = 0;
+  if (r.autoDeductAfterHours !== null && gross > r.autoDeductAfterHours * HOUR_MS) {
+    autoDeduct = Math.max(0, r.autoDeductMinutes * MINUTE_MS - unpaid);
+  }
+  const net = Math.max(0, gross - unpaid - autoDeduct);
+  return {
+    grossHours: gross / HOUR_MS,
+    paidBreakHours: paid / HOUR_MS,
+    unpaidBreakHours: unpaid / HOUR_MS,
+    autoDeductHours: autoDeduct / HOUR_MS,
+    netHours: net / HOUR_MS
+  };
+}
+
+// Horas netas de un registro (0 si está abierto)
+function netHours(record, rules) {
+  const breakdown = hoursBreakdown(record, rules);
+  return breakdown ? breakdown.netHours : 0;
+}
+
+module.exports = { DEFAULT_BREAK_RULES, resolveBreakRules, parseBreakRules, openBreak, hoursBreakdown, netHours };
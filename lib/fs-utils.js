@@ -0,0 +1,30 @@
+/*
+ * Utilidades de archivos compartidas por los módulos del servidor.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Escribe un archivo de forma atómica: primero en un temporal del mismo
+// directorio, se fuerza a disco y después se renombra sobre el destino.  Un
+// fallo a mitad de escritura deja intacta la versión anterior.
+function writeFileAtomic(file, content) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  const fd = fs.openSync(tmp, 'w');
+  try {
+    fs.writeFileSync(fd, content);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  try {
+    fs.renameSync(tmp, file);
+  } catch (err) {
+    fs.rmSync(tmp, { force: true });
+    throw err;
+  }
+}
+
+module.exports = { writeFileAtomic };
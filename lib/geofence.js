@@ -0,0 +1,110 @@
+/*
+ * Ubicación de los fichajes y zonas de trabajo (geocercas) de los grupos.
+ *
+ * El navegador envía su ubicación con cada entrada y salida
+ * (`{ lat, lng, accuracy }`).  Cada grupo puede definir una zona
+ * (`group.geofence`):
+ *
+ *   { type: 'circle', center: { lat, lng }, radius, enforcement }
+ *   { type: 'polygon', points: [{ lat, lng }, ...], enforcement }
+ *
+ * `radius` está en metros.  Con `enforcement: 'reject'` los fichajes fuera de
+ * la zona (o sin ubicación) se rechazan; con 'flag' se guardan marcados.
+ *
+ * La comprobación usa el punto informado sin tener en cuenta su precisión,
+ * que se guarda para consultarla.
+ */
+
+const EARTH_RADIUS_M = 6371000;
+const ENFORCEMENTS = ['flag', 'reject'];
+const MAX_POLYGON_POINTS = 100;
+
+function isLatitude(n) {
+  return typeof n === 'number' && Number.isFinite(n) && n >= -90 && n <= 90;
+}
+
+function isLongitude(n) {
+  return typeof n === 'number' && Number.isFinite(n) && n >= -180 && n <= 180;
+}
+
+// Punto { lat, lng } a partir de la entrada (o null si no es válido)
+function parsePoint(input) {
+  if (!input || typeof input !== 'object') return null;
+  const lat = Number(input.lat);
+  const lng = Number(input.lng);
+  return isLatitude(lat) && isLongitude(lng) ? { lat, lng } : null;
+}
+
+// Ubicación enviada por el navegador: { lat, lng, accuracy } o null si no se
+// envió o no es válida
+function parseLocation(input) {
+  const point = parsePoint(input);
+  if (!point) return null;
+  const accuracy = Number(input.accuracy);
+  return { ...point, accuracy: Number.isFinite(accuracy) && accuracy >= 0 ? Math.round(accuracy) : null };
+}
+
+// Valida la zona enviada por un administrador.  Devuelve { geofence } (null
+// para quitarla) o { error } con el mensaje para el cliente.
+function parseGeofence(input) {
+  if (!input || !input.type) return { geofence: null };
+  const enforcement = input.enforcement || 'flag';
+  if (!ENFORCEMENTS.includes(enforcement)) {
+    return { error: 'La acción para fichajes fuera de la zona no es válida' };
+  }
+  if (input.type === 'circle') {
+    const center = parsePoint(input.center);
+    if (!center) return { error: 'El centro de la zona no es válido' };
+    const radius = Number(input.radius);
+    if (!Number.isFinite(radius) || radius < 10 || radius > 100000) {
+      return { error: 'El radio debe estar entre 10 y 100000 metros' };
+    }
+    return { geofence: { type: 'circle', center, radius, enforcement } };
+  }
+  if (input.type === 'polygon') {
+    const raw = Array.isArray(input.points) ? input.points : [];
+    const points = raw.map(parsePoint);
+    if (points.length < 3 || points.length > MAX_POLYGON_POINTS || points.some(p => !p)) {
+      return { error: `El polígono necesita entre 3 y ${MAX_POLYGON_POINTS} puntos válidos` };
+    }
+    return { geofence: { type: 'polygon', points, enforcement } };
+  }
+  return { error: 'Tipo de zona no válido' };
+}
+
+// Distancia en metros entre dos puntos (fórmula del semiverseno)
+function distanceMeters(a, b) {
+  const rad = deg => deg * Math.PI / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Indica si un punto está dentro de un polígono (trazado de rayos; válido
+// para zonas pequeñas que no cruzan el antimeridiano)
+function insidePolygon(point, points) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    if ((a.lat > point.lat) !== (b.lat > point.lat) &&
+        point.lng < (b.lng - a.lng) * (point.lat - a.lat) / (b.lat - a.lat) + a.lng) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Resultado de un fichaje respecto a la zona: 'inside', 'outside',
+// 'unknown' (sin ubicación) o null si no hay zona
+function checkGeofence(geofence, location) {
+  if (!geofence) return null;
+  if (!location) return 'unknown';
+  const inside = geofence.type === 'circle'
+    ? distanceMeters(geofence.center, location) <= geofence.radius
+    : insidePolygon(location, geofence.points);
+  return inside ? 'inside' : 'outside';
+}
+
+module.exports = { parseLocation, parseGeofence, distanceMeters, checkGeofence };
@@ -0,0 +1,404 @@
+/*
+ * Huella perceptual de imágenes (dHash), sin dependencias.
+ *
+ * La imagen se reduce a 9×8 píxeles en escala de grises y cada uno de los 64
+ * bits de la huella indica si un píxel es más oscuro que el de su derecha.
+ * La huella se guarda como 16 caracteres hexadecimales.  Dos copias de una
+ * misma imagen (con otra compresión, otro tamaño o algo más de brillo) dan
+ * huellas con pocos bits distintos (distancia de Hamming).
+ *
+ * Solo se decodifican:
+ *
+ *   PNG    no entrelazados, de 8 o 16 bits por canal o con paleta de 8 bits
+ *   JPEG   baseline (el formato de las cámaras de los móviles).  Basta el
+ *          coeficiente DC de cada bloque de 8×8 de la luminancia, que es una
+ *          miniatura a 1/8 del tamaño, así que no se aplica la IDCT.
+ *
+ * Con otros formatos (JPEG progresivo, WebP, HEIC, GIF...) o archivos dañados
+ * la huella es null.
+ */
+
+const zlib = require('zlib');
+
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+// Píxeles como máximo de una imagen a decodificar (16 megapíxeles: más que
+// la foto de un recibo con la cámara de un móvil).  Las mayores no tienen
+// huella perceptual.
+const MAX_PIXELS = 16000000;
+// Bytes como máximo de los datos descomprimidos de un PNG.  La decodificación
+// es síncrona: este límite acota la memoria y el tiempo de cada subida.
+const MAX_PNG_BYTES = 48 * 1024 * 1024;
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+// Canales por tipo de color de PNG
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+function luma(r, g, b) {
+  return 0.299 * r + 0.587 * g + 0.114 * b;
+}
+
+// Predictor de Paeth del filtro 4 de PNG
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+// Decodifica un PNG a escala de grises: { width, height, pixels } o null
+function decodePng(buffer) {
+  if (buffer.length < 8 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return null;
+  let header = null;
+  let palette = null;
+  const idat = [];
+  let pos = 8;
+  while (pos + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(pos);
+    const type = buffer.toString('ascii', pos + 4, pos + 8);
+    const chunk = buffer.subarray(pos + 8, pos + 8 + length);
+    if (type === 'IHDR' && chunk.length >= 13) {
+      header = {
+        width: chunk.readUInt32BE(0),
+        height: chunk.readUInt32BE(4),
+        bitDepth: chunk[8],
+        colorType: chunk[9],
+        interlace: chunk[12]
+      };
+    } else if (type === 'PLTE') {
+      palette = chunk;
+    } else if (type === 'IDAT') {
+      idat.push(chunk);
+    } else if (type === 'IEND') {
+      break;
+    }
+    pos += 12 + length;
+  }
+  if (!header || header.interlace !== 0 || header.width * header.height > MAX_PIXELS) return null;
+  const { width, height, bitDepth, colorType } = header;
+  const channels = PNG_CHANNELS[colorType];
+  if (!channels || width === 0 || height === 0) return null;
+  if (colorType === 3 ? bitDepth !== 8 || !palette : bitDepth !== 8 && bitDepth !== 16) return null;
+  const bpp = channels * bitDepth / 8;
+  const stride = width * bpp;
+  const rawLength = height * (stride + 1);
+  if (rawLength > MAX_PNG_BYTES) return null;
+  // Los datos no pueden ocupar más de lo que indica la cabecera: un IDAT que
+  // se descomprime de más lanza un error (y la huella es null)
+  const raw = zlib.inflateSync(Buffer.concat(idat), { maxOutputLength: rawLength });
+  if (raw.length < rawLength) return null;
+
+  // Muestra `k` del píxel que empieza en `offset` (el byte alto con 16 bits)
+  const sampleSize = bitDepth / 8;
+  const pixels = new Uint8Array(width * height);
+  let prev = new Uint8Array(stride);
+  for (let y = 0; y < height; y++) {
+    const start = y * (stride + 1);
+    const filter = raw[start];
+    const row = raw.subarray(start + 1, start + 1 + stride);
+    for (let i = 0; i < stride; i++) {
+      const a = i >= bpp ? row[i - bpp] : 0;
+      const b = prev[i];
+      const c = i >= bpp ? prev[i - bpp] : 0;
+      if (filter === 1) row[i] += a;
+      else if (filter === 2) row[i] += b;
+      else if (filter === 3) row[i] += (a + b) >> 1;
+      else if (filter === 4) row[i] += paeth(a, b, c);
+      else if (filter !== 0) return null;
+    }
+    for (let x = 0; x < width; x++) {
+      const offset = x * bpp;
+      const sample = k => row[offset + k * sampleSize];
+      let value;
+      if (colorType === 0 || colorType === 4) {
+        value = sample(0);
+      } else if (colorType === 3) {
+        const index = row[offset] * 3;
+        value = luma(palette[index], palette[index + 1], palette[index + 2]);
+      } else {
+        value = luma(sample(0), sample(1), sample(2));
+      }
+      pixels[y * width + x] = value;
+    }
+    prev = row;
+  }
+  return { width, height, pixels };
+}
+
+// Tabla de Huffman de un JPEG (códigos canónicos, anexo C de la norma)
+function buildHuffmanTable(counts, symbols) {
+  const maxCode = new Int32Array(18).fill(-1);
+  const valPtr = new Int32Array(17);
+  const minCode = new Int32Array(17);
+  let code = 0;
+  let k = 0;
+  for (let length = 1; length <= 16; length++) {
+    valPtr[length] = k;
+    minCode[length] = code;
+    code += counts[length - 1];
+    k += counts[length - 1];
+    if (counts[length - 1] > 0) maxCode[length] = code - 1;
+    code <<= 1;
+  }
+  return { maxCode, valPtr, minCode, symbols };
+}
+
+// Lector de bits de los datos de un barrido, sin los bytes de relleno
+// (0xFF 0x00).  Lanza un error si encuentra un marcador inesperado.
+function createBitReader(buffer, start) {
+  let pos = start;
+  let current = 0;
+  let available = 0;
+  function bit() {
+    if (available === 0) {
+      if (pos >= buffer.length) throw new Error('Datos JPEG incompletos');
+      current = buffer[pos++];
+      if (current === 0xff) {
+        if (buffer[pos] !== 0) throw new Error('Marcador inesperado en los datos JPEG');
+        pos++;
+      }
+      available = 8;
+    }
+    available--;
+    return (current >> available) & 1;
+  }
+  function bits(n) {
+    let value = 0;
+    for (let i = 0; i < n; i++) value = (value << 1) | bit();
+    return value;
+  }
+  function decode(table) {
+    let code = bit();
+    let length = 1;
+    while (code > table.maxCode[length]) {
+      code = (code << 1) | bit();
+      if (++length > 16) throw new Error('Código de Huffman no válido');
+    }
+    return table.symbols[table.valPtr[length] + code - table.minCode[length]];
+  }
+  // Salta el marcador RSTn tras un intervalo de reinicio
+  function restart() {
+    available = 0;
+    while (pos + 1 < buffer.length && !(buffer[pos] === 0xff && buffer[pos + 1] >= 0xd0 && buffer[pos + 1] <= 0xd7)) pos++;
+    pos += 2;
+  }
+  return { bits, decode, restart };
+}
+
+// Valor con signo de `size` bits (función EXTEND de la norma)
+function extend(value, size) {
+  return value < 1 << (size - 1) ? value - (1 << size) + 1 : value;
+}
+
+// Decodifica la luminancia de un JPEG baseline a 1/8 del tamaño (un píxel
+// por bloque, su valor medio): { width, height, pixels } o null
+function decodeJpegDc(buffer) {
+  if (buffer.length < 4 || buffer[0] !== 0xff || buffer[1] !== 0xd8) return null;
+  const dcTables = [];
+  const acTables = [];
+  const quant = [];
+  let frame = null;
+  let restartInterval = 0;
+  let pos = 2;
+  while (pos + 4 <= buffer.length) {
+    if (buffer[pos] !== 0xff) return null;
+    const marker = buffer[pos + 1];
+    if (marker === 0xff) {
+      pos++;
+      continue;
+    }
+    pos += 2;
+    if (marker === 0xd9) return null;
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) continue;
+    const length = buffer.readUInt16BE(pos);
+    const segment = buffer.subarray(pos + 2, pos + length);
+    if (marker === 0xdb) {
+      // Tablas de cuantificación: solo interesa el primer valor (el del DC)
+      let p = 0;
+      while (p < segment.length) {
+        const precision = segment[p] >> 4;
+        const id = segment[p] & 15;
+        quant[id] = precision === 0 ? segment[p + 1] : segment.readUInt16BE(p + 1);
+        p += 1 + (precision === 0 ? 64 : 128);
+      }
+    } else if (marker === 0xc4) {
+      let p = 0;
+      while (p + 17 <= segment.length) {
+        const tableClass = segment[p] >> 4;
+        const id = segment[p] & 15;
+        const counts = segment.subarray(p + 1, p + 17);
+        const total = counts.reduce((sum, n) => sum + n, 0);
+        const table = buildHuffmanTable(counts, segment.subarray(p + 17, p + 17 + total));
+        (tableClass === 0 ? dcTables : acTables)[id] = table;
+        p += 17 + total;
+      }
+    } else if (marker === 0xc0 || marker === 0xc1) {
+      // Escala de grises o YCbCr; en CMYK el primer componente no es la luz
+      const count = segment[5];
+      if (count !== 1 && count !== 3) return null;
+      frame = {
+        height: segment.readUInt16BE(1),
+        width: segment.readUInt16BE(3),
+        components: []
+      };
+      for (let i = 0; i < count; i++) {
+        frame.components.push({
+          id: segment[6 + i * 3],
+          h: segment[7 + i * 3] >> 4,
+          v: segment[7 + i * 3] & 15,
+          quant: segment[8 + i * 3]
+        });
+      }
+    } else if (marker >= 0xc2 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      // Progresivo, sin pérdida o con codificación aritmética
+      return null;
+    } else if (marker === 0xdd) {
+      restartInterval = segment.readUInt16BE(0);
+    } else if (marker === 0xda) {
+      if (!frame) return null;
+      return decodeJpegScan(buffer, pos + length, segment, { frame, dcTables, acTables, quant, restartInterval });
+    }
+    pos += length;
+  }
+  return null;
+}
+
+// Decodifica el primer barrido si incluye la luminancia (el primer
+// componente del frame)
+function decodeJpegScan(buffer, start, header, { frame, dcTables, acTables, quant, restartInterval }) {
+  const { width, height } = frame;
+  if (width === 0 || height === 0 || width * height > MAX_PIXELS) return null;
+  const luminance = frame.components[0];
+  const scan = [];
+  for (let i = 0; i < header[0]; i++) {
+    const component = frame.components.find(c => c.id === header[1 + i * 2]);
+    if (!component) return null;
+    const dc = dcTables[header[2 + i * 2] >> 4];
+    const ac = acTables[header[2 + i * 2] & 15];
+    if (!dc || !ac) return null;
+    scan.push({ ...component, dc, ac, pred: 0 });
+  }
+  const target = scan.find(c => c.id === luminance.id);
+  if (!target || quant[luminance.quant] === undefined) return null;
+  const hMax = Math.max(...frame.components.map(c => c.h));
+  const vMax = Math.max(...frame.components.map(c => c.v));
+  // Bloques de la luminancia que cubren la imagen
+  const cols = Math.ceil(Math.ceil(width * target.h / hMax) / 8);
+  const rows = Math.ceil(Math.ceil(height * target.v / vMax) / 8);
+  const reader = createBitReader(buffer, start);
+
+  // Devuelve el DC de un bloque y salta sus coeficientes AC
+  function decodeBlock(component) {
+    const size = reader.decode(component.dc);
+    component.pred += size === 0 ? 0 : extend(reader.bits(size), size);
+    for (let k = 1; k < 64; k++) {
+      const symbol = reader.decode(component.ac);
+      const run = symbol >> 4;
+      const bitsCount = symbol & 15;
+      if (bitsCount === 0) {
+        if (run !== 15) break;
+        k += 15;
+        continue;
+      }
+      k += run;
+      reader.bits(bitsCount);
+    }
+    return component.pred;
+  }
+
+  const dcValues = new Float64Array(cols * rows);
+  const store = (row, col, value) => {
+    if (row < rows && col < cols) dcValues[row * cols + col] = value;
+  };
+  // Un barrido de un solo componente recorre sus bloques uno a uno; uno
+  // entrelazado, por MCU con h×v bloques de cada componente
+  const single = scan.length === 1;
+  const mcuCols = single ? cols : Math.ceil(width / (8 * hMax));
+  const mcuRows = single ? rows : Math.ceil(height / (8 * vMax));
+  const total = mcuCols * mcuRows;
+  for (let mcu = 0; mcu < total; mcu++) {
+    if (restartInterval && mcu > 0 && mcu % restartInterval === 0) {
+      reader.restart();
+      scan.forEach(c => { c.pred = 0; });
+    }
+    const mcuRow = Math.floor(mcu / mcuCols);
+    const mcuCol = mcu % mcuCols;
+    if (single) {
+      store(mcuRow, mcuCol, decodeBlock(target));
+      continue;
+    }
+    for (const component of scan) {
+      for (let v = 0; v < component.v; v++) {
+        for (let h = 0; h < component.h; h++) {
+          const value = decodeBlock(component);
+          if (component === target) store(mcuRow * component.v + v, mcuCol * component.h + h, value);
+        }
+      }
+    }
+  }
+  // El DC es 8 veces la media del bloque menos 128
+  const q = quant[luminance.quant];
+  const pixels = new Float64Array(cols * rows);
+  for (let i = 0; i < pixels.length; i++) pixels[i] = dcValues[i] * q / 8 + 128;
+  return { width: cols, height: rows, pixels };
+}
+
+// Reduce una imagen en grises a 9×8 con la media de cada zona y calcula la
+// huella
+function differenceHash({ width, height, pixels }) {
+  const cells = [];
+  for (let ty = 0; ty < HASH_HEIGHT; ty++) {
+    const y0 = Math.floor(ty * height / HASH_HEIGHT);
+    const y1 = Math.max(y0 + 1, Math.floor((ty + 1) * height / HASH_HEIGHT));
+    for (let tx = 0; tx < HASH_WIDTH; tx++) {
+      const x0 = Math.floor(tx * width / HASH_WIDTH);
+      const x1 = Math.max(x0 + 1, Math.floor((tx + 1) * width / HASH_WIDTH));
+      let sum = 0;
+      for (let y = y0; y < Math.min(y1, height); y++) {
+        for (let x = x0; x < Math.min(x1, width); x++) sum += pixels[y * width + x];
+      }
+      cells.push(sum / ((Math.min(y1, height) - y0) * (Math.min(x1, width) - x0)));
+    }
+  }
+  let hash = '';
+  let nibble = 0;
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      const i = y * HASH_WIDTH + x;
+      nibble = (nibble << 1) | (cells[i] < cells[i + 1] ? 1 : 0);
+      if ((y * (HASH_WIDTH - 1) + x) % 4 === 3) {
+        hash += nibble.toString(16);
+        nibble = 0;
+      }
+    }
+  }
+  return hash;
+}
+
+// Huella perceptual (16 caracteres hexadecimales) del contenido de una
+// imagen o null si el formato no se puede decodificar
+function perceptualHash(buffer) {
+  try {
+    const image = decodePng(buffer) || decodeJpegDc(buffer);
+    return image ? differenceHash(image) : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Número de bits distintos entre dos huellas
+function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let x = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (x) {
+      distance += x & 1;
+      x >>= 1;
+    }
+  }
+  return distance;
+}
+
+module.exports = { perceptualHash, hammingDistance };
@@ -0,0 +1,215 @@
+/*
+ * Permisos y vacaciones: solicitudes, saldos acumulados y días de permiso.
+ *
+ * Tipos de permiso:
+ *
+ *   vacation   vacaciones (pagadas, con saldo)
+ *   sick       enfermedad (pagado, con saldo)
+ *   unpaid     sin sueldo (sin saldo)
+ *
+ * Las políticas de la compañía (`company.leavePolicies`):
+ *
+ *   hoursPerDay   horas que descuenta cada día de permiso
+ *   vacation      { accrualRate, maxBalance }
+ *   sick          { accrualRate, maxBalance }
+ *
+ * `accrualRate` son las horas de permiso que se ganan por cada hora neta
+ * trabajada y `maxBalance` el saldo máximo (null: sin límite); al llegar al
+ * máximo se deja de acumular hasta que se gaste.
+ *
+ * Las solicitudes (`data.leaveRequests`):
+ *
+ *   { id, userId, type, from, to, days: [{ date, hours }], hours, note,
+ *     status: 'pending' | 'approved' | 'denied' | 'cancelled',
+ *     createdAt, createdBy, reviewedAt, reviewedBy, reviewerName, reviewNote }
+ *
+ * `days` se calcula al hacer la solicitud: los sábados y domingos no cuentan
+ * y cada día descuenta `hoursPerDay` horas (o las indicadas en una solicitud
+ * de un solo día).  Los permisos pagados aprobados se pagan con el salario
+ * (ver lib/pay.js).
+ */
+
+const { isDateKey } = require('./pay');
+const { netHours } = require('./breaks');
+const { dateKey } = require('./timezone');
+
+const LEAVE_TYPES = ['vacation', 'sick', 'unpaid'];
+// Tipos pagados, con saldo acumulado
+const PAID_LEAVE_TYPES = ['vacation', 'sick'];
+
+const DEFAULT_LEAVE_POLICIES = {
+  hoursPerDay: 8,
+  // Unos 10 días al año con jornada completa (2080 horas)
+  vacation: { accrualRate: 0.0385, maxBalance: 120 },
+  sick: { accrualRate: 0.0192, maxBalance: 40 }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_NOTE_LENGTH = 500;
+// Días como máximo de una solicitud
+const MAX_REQUEST_DAYS = 60;
+
+// Políticas completas a partir de las guardadas (campos ausentes por defecto)
+function resolveLeavePolicies(policies) {
+  const p = policies || {};
+  return {
+    hoursPerDay: p.hoursPerDay || DEFAULT_LEAVE_POLICIES.hoursPerDay,
+    vacation: { ...DEFAULT_LEAVE_POLICIES.vacation, ...(p.vacation || {}) },
+    sick: { ...DEFAULT_LEAVE_POLICIES.sick, ...(p.sick || {}) }
+  };
+}
+
+// Valida las políticas enviadas por un administrador.  Devuelve
+// { policies } o { error } con el mensaje para el cliente.
+function parseLeavePolicies(input) {
+  const hoursPerDay = Number(input.hoursPerDay);
+  if (!Number.isFinite(hoursPerDay) || hoursPerDay <= 0 || hoursPerDay > 24) {
+    return { error: 'Las horas por día de permiso deben estar entre 0 y 24' };
+  }
+  const policies = { hoursPerDay };
+  for (const type of PAID_LEAVE_TYPES) {
+    const policy = input[type] || {};
+    const accrualRate = Number(policy.accrualRate);
+    if (!Number.isFinite(accrualRate) || accrualRate < 0 || accrualRate > 1) {
+      return { error: 'La acumulación debe estar entre 0 y 1 hora por hora trabajada' };
+    }
+    let maxBalance = null;
+    if (policy.maxBalance !== null && policy.maxBalance !== undefined && policy.maxBalance !== '') {
+      maxBalance = Number(policy.maxBalance);
+      if (!Number.isFinite(maxBalance) || maxBalance < 0 || maxBalance > 2000) {
+        return { error: 'El saldo máximo debe estar entre 0 y 2000 horas' };
+      }
+    }
+    policies[type] = { accrualRate, maxBalance };
+  }
+  return { policies };
+}
+
+// Días de permiso [{ date, hours }] entre dos días incluidos, sin sábados
+// ni domingos.  `hours` solo se admite en solicitudes de un día.  Devuelve
+// { days } o { error }.
+function leaveDays(from, to, hoursPerDay, hours) {
+  if (!isDateKey(from) || !isDateKey(to)) return { error: 'Las fechas deben tener el formato AAAA-MM-DD' };
+  if (from > to) return { error: 'La fecha inicial es posterior a la final' };
+  const start = new Date(from + 'T00:00:00Z').getTime();
+  const end = new Date(to + 'T00:00:00Z').getTime();
+  if ((end - start) / DAY_MS + 1 > MAX_REQUEST_DAYS) {
+    return { error: `Una solicitud no puede superar ${MAX_REQUEST_DAYS} días` };
+  }
+  let dayHours = hoursPerDay;
+  if (hours !== undefined && hours !== null && hours !== '') {
+    dayHours = Number(hours);
+    if (from !== to) return { error: 'Las horas solo se indican en permisos de un día' };
+    if (!Number.isFinite(dayHours) || dayHours <= 0 || dayHours > 24) {
+      return { error: 'Las horas deben estar entre 0 y 24' };
+    }
+  }
+  const days = [];
+  for (let time = start; time <= end; time += DAY_MS) {
+    const weekday = new Date(time).getUTCDay();
+    if (weekday === 0 || weekday === 6) continue;
+    days.push({ date: new Date(time).toISOString().slice(0, 10), hours: dayHours });
+  }
+  if (days.length === 0) return { error: 'El periodo no incluye días laborables' };
+  return { days };
+}
+
+// Valida una solicitud de permiso.  Devuelve { request } (solo type, from,
+// to, days, hours y note) o { error }.
+function parseLeaveRequest(input, policies) {
+  if (!LEAVE_TYPES.includes(input.type)) return { error: 'Tipo de permiso no válido' };
+  const result = leaveDays(input.from, input.to, resolveLeavePolicies(policies).hoursPerDay, input.hours);
+  if (result.error) return result;
+  return {
+    request: {
+      type: input.type,
+      from: input.from,
+      to: input.to,
+      days: result.days,
+      hours: result.days.reduce((sum, d) => sum + d.hours, 0),
+      note: String(input.note || '').trim().slice(0, MAX_NOTE_LENGTH)
+    }
+  };
+}
+
+// Indica si dos solicitudes comparten algún día
+function overlaps(a, b) {
+  return a.from <= b.to && b.from <= a.to;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// Saldos de permisos pagados de un usuario:
+//   { vacation: { accrued, used, balance, pending, available, maxBalance }, sick: {...} }
+// Las horas trabajadas acumulan por el día de su entrada y los permisos
+// aprobados (también los futuros) descuentan por cada uno de sus días, en
+// orden cronológico para aplicar el saldo máximo.  `available` descuenta
+// además las solicitudes pendientes.
+function leaveBalances(user, requests, { policies, breakRules, timeZone }) {
+  const p = resolveLeavePolicies(policies);
+  const worked = new Map();
+  (user.times || []).forEach(t => {
+    if (!t.clockOut) return;
+    const day = dateKey(t.clockIn, timeZone);
+    worked.set(day, (worked.get(day) || 0) + netHours(t, breakRules));
+  });
+  const own = requests.filter(r => r.userId === user.id);
+  const balances = {};
+  PAID_LEAVE_TYPES.forEach(type => {
+    const policy = p[type];
+    const taken = new Map();
+    own.filter(r => r.type === type && r.status === 'approved').forEach(r => {
+      r.days.forEach(d => taken.set(d.date, (taken.get(d.date) || 0) + d.hours));
+    });
+    const dates = [...new Set([...worked.keys(), ...taken.keys()])].sort();
+    let balance = 0;
+    let accrued = 0;
+    let used = 0;
+    dates.forEach(date => {
+      const earned = (worked.get(date) || 0) * policy.accrualRate;
+      const room = policy.maxBalance === null ? earned : Math.max(0, Math.min(earned, policy.maxBalance - balance));
+      balance += room;
+      accrued += room;
+      const spent = taken.get(date) || 0;
+      balance -= spent;
+      used += spent;
+    });
+    const pending = own
+      .filter(r => r.type === type && r.status === 'pending')
+      .reduce((sum, r) => sum + r.hours, 0);
+    balances[type] = {
+      accrued: round2(accrued),
+      used: round2(used),
+      balance: round2(balance),
+      pending: round2(pending),
+      available: round2(balance - pending),
+      maxBalance: policy.maxBalance
+    };
+  });
+  return balances;
+}
+
+// Días de permiso aprobados de un usuario [{ date, hours, type }]; con
+// `paidOnly`, solo los pagados
+function approvedLeaveDays(user, requests, paidOnly = false) {
+  const days = [];
+  requests
+    .filter(r => r.userId === user.id && r.status === 'approved')
+    .filter(r => !paidOnly || PAID_LEAVE_TYPES.includes(r.type))
+    .forEach(r => r.days.forEach(d => days.push({ ...d, type: r.type })));
+  return days;
+}
+
+module.exports = {
+  LEAVE_TYPES,
+  PAID_LEAVE_TYPES,
+  DEFAULT_LEAVE_POLICIES,
+  resolveLeavePolicies,
+  parseLeavePolicies,
+  parseLeaveRequest,
+  overlaps,
+  leaveBalances,
+  approvedLeaveDays
+};
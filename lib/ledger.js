@@ -0,0 +1,147 @@
+/*
+ * Liquidaciones: pagos, anticipos y ajustes de cada empleado y su saldo.
+ *
+ * Los movimientos (`data.ledgerEntries`):
+ *
+ *   { id, userId, type, amount, date: 'YYYY-MM-DD', method, reference, note,
+ *     covers: { from, to, receiptIds }, status: 'active' | 'void',
+ *     createdAt, createdBy, createdByName,
+ *     voidedAt, voidedBy, voidedByName, voidNote }
+ *
+ * Tipos (`type`):
+ *
+ *   payout       pago al empleado.  `covers` indica el periodo de salario que
+ *                paga (from y to, opcionales) y los recibos aprobados que
+ *                reembolsa, que pasan a reembolsados con `payoutId`.
+ *   advance      anticipo a cuenta de salarios futuros
+ *   adjustment   ajuste de lo debido: positivo (una bonificación) o negativo
+ *                (un descuento); no tiene forma de pago
+ *
+ * El saldo de un empleado es lo debido menos lo pagado:
+ *
+ *   debido   salarios hasta hoy (ver lib/pay.js) + recibos aceptados + ajustes
+ *   pagado   pagos + anticipos + recibos reembolsados fuera de la liquidación
+ *
+ * Un saldo positivo es lo que la compañía aún debe; uno negativo, lo que el
+ * empleado ha cobrado por adelantado.  Los movimientos no se borran: se
+ * anulan con un motivo, y anular un pago devuelve sus recibos a aprobados.
+ */
+
+const { isDateKey } = require('./pay');
+const { dateKey } = require('./timezone');
+const { isAcceptedReceipt } = require('./receipts');
+
+const LEDGER_TYPES = ['payout', 'advance', 'adjustment'];
+const PAYMENT_METHODS = ['transfer', 'cash', 'check', 'other'];
+
+const MAX_AMOUNT = 1000000;
+const MAX_NOTE_LENGTH = 500;
+const MAX_REFERENCE_LENGTH = 100;
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// Valida un movimiento enviado por un administrador.  `receipts` son los
+// recibos del empleado.  Devuelve { entry } (sin id ni datos de creación) o
+// { error }.
+function parseLedgerEntry(input, receipts) {
+  if (!LEDGER_TYPES.includes(input.type)) return { error: 'Tipo de movimiento no válido' };
+  const amount = round2(Number(input.amount));
+  if (!Number.isFinite(amount) || amount === 0 || Math.abs(amount) > MAX_AMOUNT) {
+    return { error: 'Indica un importe distinto de cero' };
+  }
+  if (input.type !== 'adjustment' && amount < 0) return { error: 'El importe de un pago debe ser positivo' };
+  if (!isDateKey(input.date)) return { error: 'La fecha debe tener el formato AAAA-MM-DD' };
+  let method = null;
+  if (input.type !== 'adjustment') {
+    if (!PAYMENT_METHODS.includes(input.method)) return { error: 'Forma de pago no válida' };
+    method = input.method;
+  }
+  const covers = { from: null, to: null, receiptIds: [] };
+  if (input.type === 'payout' && input.covers) {
+    const { from, to, receiptIds } = input.covers;
+    if ((from && !isDateKey(from)) || (to && !isDateKey(to))) {
+      return { error: 'Las fechas del periodo deben tener el formato AAAA-MM-DD' };
+    }
+    if (from && to && from > to) return { error: 'La fecha inicial es posterior a la final' };
+    covers.from = from || null;
+    covers.to = to || null;
+    let receiptsTotal = 0;
+    for (const id of Array.isArray(receiptIds) ? receiptIds : []) {
+      const receipt = receipts.find(r => r.id === id);
+      if (!receipt || receipt.status !== 'approved' || covers.receiptIds.includes(id)) {
+        return { error: 'Solo se pueden incluir recibos aprobados y sin reembolsar' };
+      }
+      covers.receiptIds.push(id);
+      receiptsTotal += Number(receipt.amount) || 0;
+    }
+    if (round2(receiptsTotal) > amount) {
+      return { error: `El importe no cubre los recibos incluidos (${round2(receiptsTotal).toFixed(2)})` };
+    }
+  }
+  return {
+    entry: {
+      type: input.type,
+      amount,
+      date: input.date,
+      method,
+      reference: String(input.reference || '').trim().slice(0, MAX_REFERENCE_LENGTH),
+      note: String(input.note || '').trim().slice(0, MAX_NOTE_LENGTH),
+      covers
+    }
+  };
+}
+
+// Saldo de un usuario a partir de sus movimientos.  `wagesUntil(day)`
+// devuelve los salarios devengados hasta ese día (null: hasta hoy).
+// Devuelve:
+//   { owed: { wages, receipts, adjustments, total },
+//     paid: { payouts, advances, reimbursements, total },
+//     balance,
+//     statement: [{ ...movimiento, balanceAfter }] }
+// `statement` está en orden cronológico; `balanceAfter` es el saldo al
+// terminar el día del movimiento contando los movimientos anteriores (null en
+// los anulados).
+function ledgerBalance(user, entries, { wagesUntil, timeZone }) {
+  const own = entries
+    .filter(e => e.userId === user.id)
+    .sort((a, b) => (a.date + a.createdAt).localeCompare(b.date + b.createdAt));
+  const active = own.filter(e => e.status === 'active');
+  const receipts = (user.receipts || []).filter(isAcceptedReceipt);
+  // Reembolsos hechos con la acción del recibo y no con un pago
+  const outside = receipts.filter(r => r.status === 'reimbursed' && !r.payoutId);
+  const sum = (list, amount) => round2(list.reduce((total, item) => total + (Number(amount(item)) || 0), 0));
+
+  const owed = {
+    wages: round2(wagesUntil(null)),
+    receipts: sum(receipts, r => r.amount),
+    adjustments: sum(active.filter(e => e.type === 'adjustment'), e => e.amount)
+  };
+  owed.total = round2(owed.wages + owed.receipts + owed.adjustments);
+  const paid = {
+    payouts: sum(active.filter(e => e.type === 'payout'), e => e.amount),
+    advances: sum(active.filter(e => e.type === 'advance'), e => e.amount),
+    reimbursements: sum(outside, r => r.amount)
+  };
+  paid.total = round2(paid.payouts + paid.advances + paid.reimbursements);
+
+  let movements = 0;
+  const statement = own.map(e => {
+    if (e.status !== 'active') return { ...e, balanceAfter: null };
+    movements += e.type === 'adjustment' ? e.amount : -e.amount;
+    const until = e.date;
+    const accepted = sum(receipts.filter(r => dateKey(r.date, timeZone) <= until), r => r.amount);
+    const reimbursed = sum(outside.filter(r => dateKey(r.reimbursedAt, timeZone) <= until), r => r.amount);
+    return { ...e, balanceAfter: round2(wagesUntil(until) + accepted - reimbursed + movements) };
+  });
+
+  return { owed, paid, balance: round2(owed.total - paid.total), statement };
+}
+
+module.exports = {
+  LEDGER_TYPES,
+  PAYMENT_METHODS,
+  parseLedgerEntry,
+  ledgerBalance
+};
@@ -0,0 +1,267 @@
+/*
+ * Envío de correo para SettleMe.
+ *
+ * Cliente SMTP mínimo sin dependencias externas: admite TLS implícito
+ * (puerto 465), STARTTLS (puerto 587) y autenticación PLAIN o LOGIN.  Para
+ * desarrollo existen dos transportes alternativos:
+ *
+ *   - file:    guarda cada mensaje como archivo .eml en MAIL_DIR
+ *   - console: imprime el mensaje en la salida del servidor
+ *
+ * La configuración se lee de las variables de entorno (ver README):
+ * MAIL_TRANSPORT, SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_IGNORE_TLS,
+ * EMAIL_USER, EMAIL_PASS, MAIL_FROM y MAIL_DIR.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+// Tiempo máximo de espera de cada respuesta del servidor SMTP
+const SMTP_TIMEOUT_MS = 20000;
+// Dirección de correo local@dominio, sin espacios, saltos de línea ni los
+// caracteres que delimitan direcciones en las cabeceras
+const EMAIL_PATTERN = /^[^\s@<>()[\]\\,;:"]+@[^\s@<>()[\]\\,;:"]+$/;
+const MAX_EMAIL_LENGTH = 254;
+
+// Indica si un valor es una dirección de correo aceptable para un usuario
+function isValidEmail(value) {
+  return typeof value === 'string' && value.length <= MAX_EMAIL_LENGTH && EMAIL_PATTERN.test(value);
+}
+
+// Valor de una cabecera.  Un salto de línea permitiría añadir cabeceras
+// (p. ej. Bcc), así que se rechaza.
+function headerValue(name, value) {
+  const text = String(value);
+  if (/[\r\n]/.test(text)) throw new Error(`La cabecera ${name} contiene saltos de línea`);
+  return text;
+}
+
+// Codifica una cabecera con caracteres no ASCII (RFC 2047)
+function encodeHeader(value) {
+  const text = String(value);
+  if (/^[\x20-\x7e]*$/.test(text)) return text;
+  return '=?UTF-8?B?' + Buffer.from(text, 'utf-8').toString('base64') + '?=';
+}
+
+// Extrae la dirección de un valor como "Nombre <correo@dominio>"
+function extractAddress(value) {
+  const match = String(value).match(/<([^>]+)>/);
+  return (match ? match[1] : String(value)).trim();
+}
+
+// Construye un mensaje MIME de texto plano (cuerpo en base64, líneas CRLF)
+function buildMessage({ from, to, subject, text }) {
+  const domain = extractAddress(from).split('@')[1] || 'localhost';
+  const body = Buffer.from(String(text || ''), 'utf-8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+  const headers = [
+    'From: ' + headerValue('From', from),
+    'To: ' + headerValue('To', to),
+    'Subject: ' + encodeHeader(headerValue('Subject', subject || '')),
+    'Date: ' + new Date().toUTCString().replace('GMT', '+0000'),
+    `Message-ID: <${crypto.randomBytes(12).toString('hex')}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64'
+  ];
+  return headers.join('\r\n') + '\r\n\r\n' + body;
+}
+
+/*
+ * Conexión SMTP: lee respuestas (incluidas las de varias líneas, "250-...")
+ * y envía comandos comprobando el código esperado.
+ */
+class SmtpConnection {
+  constructor(socket) {
+    this.buffer = '';
+    this.lines = [];
+    this.waiting = null;
+    this.error = null;
+    this.onData = chunk => {
+      this.buffer += chunk.toString('utf-8');
+      let index;
+      while ((index = this.buffer.indexOf('\n')) !== -1) {
+        this.lines.push(this.buffer.slice(0, index).replace(/\r$/, ''));
+        this.buffer = this.buffer.slice(index + 1);
+      }
+      this.flush();
+    };
+    this.onError = err => {
+      this.error = err;
+      this.flush();
+    };
+    this.attach(socket);
+  }
+
+  // Asocia el socket (se vuelve a llamar tras STARTTLS con el socket cifrado)
+  attach(socket) {
+    if (this.socket) {
+      this.socket.removeListener('data', this.onData);
+      this.socket.removeListener('error', this.onError);
+      this.socket.removeListener('close', this.onClose);
+    }
+    this.socket = socket;
+    this.onClose = () => this.onError(new Error('El servidor SMTP cerró la conexión'));
+    socket.on('data', this.onData);
+    socket.on('error', this.onError);
+    socket.on('close', this.onClose);
+  }
+
+  // Entrega la respuesta completa pendiente, si la hay
+  flush() {
+    if (!this.waiting) return;
+    const { resolve, reject, timer } = this.waiting;
+    const end = this.lines.findIndex(line => /^\d{3}(?: |$)/.test(line));
+    if (end !== -1) {
+      const replyLines = this.lines.splice(0, end + 1);
+      this.waiting = null;
+      clearTimeout(timer);
+      resolve({
+        code: Number(replyLines[end].slice(0, 3)),
+        lines: replyLines.map(line => line.slice(4))
+      });
+    } else if (this.error) {
+      this.waiting = null;
+      clearTimeout(timer);
+      reject(this.error);
+    }
+  }
+
+  readReply() {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.waiting = null;
+        reject(new Error('Tiempo de espera agotado con el servidor SMTP'));
+      }, SMTP_TIMEOUT_MS);
+      this.waiting = { resolve, reject, timer };
+      this.flush();
+    });
+  }
+
+  // Envía un comando y comprueba que la respuesta tenga uno de los códigos
+  // esperados.  `display` sustituye al comando en los mensajes de error
+  // (para no mostrar credenciales).
+  async command(line, expected, display) {
+    this.socket.write(line + '\r\n');
+    const reply = await this.readReply();
+    if (!expected.includes(reply.code)) {
+      throw new Error(`SMTP ${display || line.split(' ')[0]}: ${reply.code} ${reply.lines.join(' ')}`);
+    }
+    return reply;
+  }
+
+  close() {
+    this.socket.removeListener('close', this.onClose);
+    this.socket.end();
+  }
+}
+
+// Abre la conexión TCP o TLS con el servidor
+function connect(options) {
+  return new Promise((resolve, reject) => {
+    const onConnect = () => {
+      socket.removeListener('error', reject);
+      resolve(socket);
+    };
+    const socket = options.secure
+      ? tls.connect({ host: options.host, port: options.port, servername: options.host }, onConnect)
+      : net.connect({ host: options.host, port: options.port }, onConnect);
+    socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(new Error('Tiempo de espera agotado con el servidor SMTP')));
+    socket.once('error', reject);
+  });
+}
+
+// Cifra una conexión ya abierta tras el comando STARTTLS
+function upgradeToTls(socket, host) {
+  return new Promise((resolve, reject) => {
+    const secureSocket = tls.connect({ socket, servername: host }, () => {
+      secureSocket.removeListener('error', reject);
+      resolve(secureSocket);
+    });
+    secureSocket.once('error', reject);
+  });
+}
+
+// Extensiones anunciadas en la respuesta a EHLO (en mayúsculas)
+function parseExtensions(reply) {
+  return reply.lines.slice(1).map(line => line.toUpperCase());
+}
+
+// Envía un mensaje mediante SMTP
+async function sendSmtp(options, envelope, message) {
+  const hostname = os.hostname() || 'localhost';
+  const conn = new SmtpConnection(await connect(options));
+  try {
+    let reply = await conn.readReply();
+    if (reply.code !== 220) throw new Error(`SMTP saludo: ${reply.code} ${reply.lines.join(' ')}`);
+    let extensions = parseExtensions(await conn.command('EHLO ' + hostname, [250]));
+    if (!options.secure && !options.ignoreTls && extensions.includes('STARTTLS')) {
+      await conn.command('STARTTLS', [220]);
+      conn.attach(await upgradeToTls(conn.socket, options.host));
+      extensions = parseExtensions(await conn.command('EHLO ' + hostname, [250]));
+    }
+    if (options.user) {
+      const auth = extensions.find(ext => ext.startsWith('AUTH')) || '';
+      if (/\bPLAIN\b/.test(auth) || !/\bLOGIN\b/.test(auth)) {
+        const credentials = Buffer.from(`\0${options.user}\0${options.pass}`, 'utf-8').toString('base64');
+        await conn.command('AUTH PLAIN ' + credentials, [235], 'AUTH PLAIN');
+      } else {
+        await conn.command('AUTH LOGIN', [334]);
+        await conn.command(Buffer.from(options.user, 'utf-8').toString('base64'), [334], 'AUTH LOGIN (usuario)');
+        await conn.command(Buffer.from(options.pass, 'utf-8').toString('base64'), [235], 'AUTH LOGIN (contraseña)');
+      }
+    }
+    await conn.command(`MAIL FROM:<${envelope.from}>`, [250]);
+    await conn.command(`RCPT TO:<${envelope.to}>`, [250, 251]);
+    await conn.command('DATA', [354]);
+    // Las líneas que empiezan por punto se duplican (RFC 5321, 4.5.2)
+    const data = message.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+    await conn.command(data + (data.endsWith('\r\n') ? '' : '\r\n') + '.', [250], 'DATA (fin)');
+    await conn.command('QUIT', [221]).catch(() => {});
+  } finally {
+    conn.close();
+  }
+}
+
+/*
+ * Crea el servicio de correo según la configuración.  Devuelve un objeto con
+ * `transport` (nombre del transporte activo) y `send({ to, subject, text })`,
+ * que resuelve cuando el mensaje se ha entregado al transporte.
+ */
+function createMailer(config = process.env) {
+  const transport = (config.MAIL_TRANSPORT || (config.SMTP_HOST ? 'smtp' : 'console')).toLowerCase();
+  if (!['smtp', 'file', 'console'].includes(transport)) {
+    throw new Error('MAIL_TRANSPORT no válido: ' + transport + ' (usa smtp, file o console)');
+  }
+  const port = Number(config.SMTP_PORT) || 587;
+  const options = {
+    host: config.SMTP_HOST || 'localhost',
+    port,
+    secure: config.SMTP_SECURE ? config.SMTP_SECURE === 'true' : port === 465,
+    ignoreTls: config.SMTP_IGNORE_TLS === 'true',
+    user: config.EMAIL_USER || '',
+    pass: config.EMAIL_PASS || ''
+  };
+  const from = config.MAIL_FROM || (options.user ? `SettleMe <${options.user}>` : 'SettleMe <no-reply@localhost>');
+  const mailDir = path.resolve(config.MAIL_DIR || path.join(__dirname, '..', 'mail'));
+
+  async function send({ to, subject, text }) {
+    const message = buildMessage({ from, to, subject, text });
+    if (transport === 'smtp') {
+      await sendSmtp(options, { from: extractAddress(from), to: extractAddress(to) }, message);
+    } else if (transport === 'file') {
+      await fs.promises.mkdir(mailDir, { recursive: true });
+      const name = new Date().toISOString().replace(/[:.]/g, '-') + '-' + crypto.randomBytes(3).toString('hex') + '.eml';
+      await fs.promises.writeFile(path.join(mailDir, name), message);
+    } else {
+      console.log(`--- Correo para ${to} ---\nAsunto: ${subject}\n\n${text}\n--- Fin del correo ---`);
+    }
+  }
+
+  return { transport, send };
+}
+
+module.exports = { createMailer, buildMessage, isValidEmail };
@@ -0,0 +1,453 @@
+/*
+ * Migraciones del esquema de datos.
+ *
+ * Los datos guardan su versión en `schemaVersion`.  Al arrancar, el servidor
+ * aplica en orden las migraciones con versión mayor que la de los datos y
+ * actualiza `schemaVersion` tras cada una.  Los datos sin `schemaVersion` se
+ * consideran versión 0.
+ *
+ * Cada migración recibe los datos y un contexto con las utilidades del
+ * servidor (hash de contraseñas, cifrado, almacén de archivos) y devuelve la
+ * lista de cambios realizados, en texto legible.  Con `ctx.dryRun` las
+ * migraciones modifican los datos que reciben (una copia) pero no escriben
+ * nada fuera de ellos, para poder informar de lo que cambiaría.
+ *
+ * Para añadir una migración, agrégala al final de MIGRATIONS con la versión
+ * siguiente.  Nunca modifiques una migración ya publicada.
+ */
+
+const { ensureRecordIds } = require('./storage');
+const { parseDataUrl, isFileRef } = require('./blobs');
+const { DEFAULT_BREAK_RULES } = require('./breaks');
+const { DEFAULT_PAY_RULES } = require('./pay');
+const { DEFAULT_OPEN_SHIFT_RULES } = require('./open-shifts');
+const { DEFAULT_ATTENDANCE_RULES } = require('./shifts');
+const { DEFAULT_PAY_PERIOD_RULES } = require('./periods');
+const { DEFAULT_LEAVE_POLICIES } = require('./leave');
+const { newReceiptReview, receiptFingerprint, flagDuplicates } = require('./receipts');
+const { hostTimeZone } = require('./timezone');
+
+const PAY_TYPES = ['hora', 'dia', 'salario'];
+
+// Añade a `changes` una línea "<descripción>: <n>" si n > 0
+function count(changes, description, n) {
+  if (n > 0) changes.push(`${description}: ${n}`);
+}
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Completar campos ausentes de usuarios, recibos, grupos y colecciones',
+    up(data) {
+      const changes = [];
+      let lists = 0;
+      let pay = 0;
+      let amounts = 0;
+      let members = 0;
+      let collections = 0;
+      ['invites', 'passwordResets', 'sensitiveAccessLog'].forEach(key => {
+        if (!Array.isArray(data[key])) {
+          data[key] = [];
+          collections++;
+        }
+      });
+      data.users.forEach(user => {
+        ['times', 'receipts', 'schedules'].forEach(key => {
+          if (!Array.isArray(user[key])) {
+            user[key] = [];
+            lists++;
+          }
+        });
+        if (!PAY_TYPES.includes(user.payType)) {
+          user.payType = 'hora';
+          pay++;
+        }
+        const rate = Number(user.payRate);
+        if (user.payRate === undefined || user.payRate === null || user.payRate === '' || !isFinite(rate)) {
+          user.payRate = 0;
+          pay++;
+        } else if (typeof user.payRate !== 'number') {
+          user.payRate = rate;
+          pay++;
+        }
+        user.receipts.forEach(r => {
+          const parsed = r.amount === undefined || r.amount === null || r.amount === '' ? NaN : Number(r.amount);
+          const amount = isFinite(parsed) ? parsed : null;
+          if (r.amount !== amount) {
+            r.amount = amount;
+            amounts++;
+          }
+          if (typeof r.note !== 'string') {
+            r.note = '';
+            amounts++;
+          }
+        });
+      });
+      data.groups.forEach(group => {
+        if (!Array.isArray(group.members)) {
+          group.members = [];
+          members++;
+        }
+      });
+      count(changes, 'Colecciones creadas', collections);
+      count(changes, 'Listas de usuario añadidas (times/receipts/schedules)', lists);
+      count(changes, 'Datos de pago corregidos', pay);
+      count(changes, 'Recibos con monto o nota normalizados', amounts);
+      count(changes, 'Grupos sin lista de miembros', members);
+      count(changes, 'Ids asignados a horarios y recibos', ensureRecordIds(data));
+      return changes;
+    }
+  },
+  {
+    version: 2,
+    description: 'Convertir contraseñas en texto plano en hashes scrypt',
+    async up(data, ctx) {
+      let migrated = 0;
+      for (const user of data.users) {
+        if (typeof user.password === 'string') {
+          if (!user.passwordHash) {
+            user.passwordHash = ctx.dryRun ? '(hash)' : await ctx.hashPassword(user.password);
+          }
+          delete user.password;
+          migrated++;
+        }
+      }
+      const changes = [];
+      count(changes, 'Contraseñas convertidas', migrated);
+      return changes;
+    }
+  },
+  {
+    version: 3,
+    description: 'Cifrar el SSN y la identificación',
+    up(data, ctx) {
+      let migrated = 0;
+      data.users.forEach(user => {
+        ctx.sensitiveFields.forEach(field => {
+          if (user[field] && !ctx.isEncryptedField(user[field]) && !isFileRef(user[field])) {
+            user[field] = ctx.encryptField(user[field]);
+            migrated++;
+          }
+        });
+      });
+      const changes = [];
+      count(changes, 'Campos cifrados', migrated);
+      return changes;
+    }
+  },
+  {
+    version: 4,
+    description: 'Mover las imágenes incrustadas al almacén de archivos',
+    up(data, ctx) {
+      let migrated = 0;
+      // Guarda un data URL en el almacén (o simula hacerlo en modo prueba)
+      const extract = (value, options) => {
+        if (!value || !parseDataUrl(value)) return value;
+        migrated++;
+        return ctx.dryRun ? 'file:(pendiente)' : ctx.blobs.putDataUrl(value, options);
+      };
+      data.users.forEach(user => {
+        user.photoData = extract(user.photoData);
+        if (user.govData && !isFileRef(user.govData)) {
+          const ref = extract(ctx.decryptField(user.govData), { encrypted: true });
+          // Si no es un data URL se conserva el valor cifrado original
+          if (ref && ref.startsWith('file:')) user.govData = ref;
+        }
+        user.receipts.forEach(r => {
+          r.imageData = extract(r.imageData);
+        });
+      });
+      data.companyLogo = extract(data.companyLogo);
+      const changes = [];
+      count(changes, 'Imágenes movidas', migrated);
+      return changes;
+    }
+  },
+  {
+    version: 5,
+    description: 'Agrupar los datos de la compañía en `company`',
+    up(data) {
+      const changes = [];
+      if (!data.company || typeof data.company !== 'object') {
+        data.company = { logo: null };
+        changes.push('Objeto company creado');
+      }
+      if ('companyLogo' in data) {
+        data.company.logo = data.companyLogo || null;
+        delete data.companyLogo;
+        changes.push('companyLogo movido a company.logo');
+      }
+      return changes;
+    }
+  },
+  {
+    version: 6,
+    description: 'Crear la lista de solicitudes de corrección de horario',
+    up(data) {
+      if (Array.isArray(data.timeCorrections)) return [];
+      data.timeCorrections = [];
+      return ['Colección timeCorrections creada'];
+    }
+  },
+  {
+    version: 7,
+    description: 'Añadir las reglas de descanso de la compañía',
+    up(data) {
+      if (data.company.breakRules) return [];
+      data.company.breakRules = { ...DEFAULT_BREAK_RULES };
+      return ['Reglas de descanso por defecto: ningún descanso pagado, sin descuento automático'];
+    }
+  },
+  {
+    version: 8,
+    description: 'Añadir la zona horaria de la compañía y de los grupos',
+    up(data) {
+      const changes = [];
+      if (!data.company.timeZone) {
+        // Hasta ahora los días se calculaban con la zona del servidor
+        data.company.timeZone = hostTimeZone();
+        changes.push(`Zona horaria de la compañía: ${data.company.timeZone}`);
+      }
+      let groups = 0;
+      data.groups.forEach(group => {
+        if (group.timeZone === undefined) {
+          group.timeZone = null;
+          groups++;
+        }
+      });
+      count(changes, 'Grupos que usan la zona de la compañía', groups);
+      return changes;
+    }
+  },
+  {
+    version: 9,
+    description: 'Añadir las reglas de horas extra y festivos de la compañía',
+    up(data) {
+      if (data.company.payRules) return [];
+      data.company.payRules = { ...DEFAULT_PAY_RULES, holidays: [] };
+      return ['Reglas de pago por defecto: sin horas extra ni festivos'];
+    }
+  },
+  {
+    version: 10,
+    description: 'Añadir las reglas de jornadas olvidadas de la compañía',
+    up(data) {
+      if (data.company.openShiftRules) return [];
+      data.company.openShiftRules = { ...DEFAULT_OPEN_SHIFT_RULES };
+      return [`Jornadas abiertas más de ${DEFAULT_OPEN_SHIFT_RULES.flagAfterHours} horas marcadas como olvidadas, sin cierre automático`];
+    }
+  },
+  {
+    version: 11,
+    description: 'Añadir la zona de trabajo (geocerca) de los grupos',
+    up(data) {
+      let groups = 0;
+      data.groups.forEach(group => {
+        if (group.geofence === undefined) {
+          group.geofence = null;
+          groups++;
+        }
+      });
+      const changes = [];
+      count(changes, 'Grupos sin zona de trabajo', groups);
+      return changes;
+    }
+  },
+  {
+    version: 12,
+    description: 'Crear la lista de dispositivos de kiosco',
+    up(data) {
+      if (Array.isArray(data.kioskDevices)) return [];
+      data.kioskDevices = [];
+      return ['Colección kioskDevices creada'];
+    }
+  },
+  {
+    version: 13,
+    description: 'Convertir los días programados en turnos y crear las plantillas de turnos',
+    up(data) {
+      let converted = 0;
+      data.users.forEach(user => {
+        user.schedules = (user.schedules || []).map(entry => {
+          if (typeof entry !== 'string') return entry;
+          converted++;
+          // Los días programados no tenían horario
+          return {
+            id: 'shf_' + Math.random().toString(36).substr(2, 9),
+            date: entry,
+            start: null,
+            end: null,
+            groupId: null,
+            notes: '',
+            templateId: null
+          };
+        });
+      });
+      const changes = [];
+      count(changes, 'Días programados convertidos en turnos sin horario', converted);
+      if (!Array.isArray(data.shiftTemplates)) {
+        data.shiftTemplates = [];
+        changes.push('Colección shiftTemplates creada');
+      }
+      return changes;
+    }
+  },
+  {
+    version: 14,
+    description: 'Añadir los márgenes de puntualidad de la compañía',
+    up(data) {
+      if (data.company.attendanceRules) return [];
+      data.company.attendanceRules = { ...DEFAULT_ATTENDANCE_RULES };
+      return [`Márgenes de ${DEFAULT_ATTENDANCE_RULES.lateGraceMinutes} minutos para la entrada y la salida`];
+    }
+  },
+  {
+    version: 15,
+    description: 'Añadir los periodos de pago y las hojas de horas',
+    up(data) {
+      const changes = [];
+      if (!data.company.payPeriodRules) {
+        data.company.payPeriodRules = { ...DEFAULT_PAY_PERIOD_RULES };
+        changes.push('Periodos de pago mensuales');
+      }
+      if (!Array.isArray(data.timesheets)) {
+        data.timesheets = [];
+        changes.push('Colección timesheets creada');
+      }
+      return changes;
+    }
+  },
+  {
+    version: 16,
+    description: 'Añadir las políticas de permisos y las solicitudes de permiso',
+    up(data) {
+      const changes = [];
+      if (!data.company.leavePolicies) {
+        data.company.leavePolicies = JSON.parse(JSON.stringify(DEFAULT_LEAVE_POLICIES));
+        changes.push('Políticas de acumulación de vacaciones y enfermedad por defecto');
+      }
+      if (!Array.isArray(data.leaveRequests)) {
+        data.leaveRequests = [];
+        changes.push('Colección leaveRequests creada');
+      }
+      return changes;
+    }
+  },
+  {
+    version: 17,
+    description: 'Crear la lista de claves de idempotencia de los envíos diferidos',
+    up(data) {
+      if (Array.isArray(data.idempotencyKeys)) return [];
+      data.idempotencyKeys = [];
+      return ['Colección idempotencyKeys creada'];
+    }
+  },
+  {
+    version: 18,
+    description: 'Añadir el estado de revisión de los recibos',
+    up(data) {
+      let pending = 0;
+      data.users.forEach(user => {
+        (user.receipts || []).forEach(receipt => {
+          if (receipt.status) return;
+          Object.assign(receipt, newReceiptReview());
+          pending++;
+        });
+      });
+      const changes = [];
+      count(changes, 'Recibos pendientes de revisión', pending);
+      return changes;
+    }
+  },
+  {
+    version: 19,
+    description: 'Crear la lista de movimientos de las liquidaciones',
+    up(data) {
+      if (Array.isArray(data.ledgerEntries)) return [];
+      data.ledgerEntries = [];
+      return ['Colección ledgerEntries creada'];
+    }
+  },
+  {
+    version: 20,
+    description: 'Calcular la huella de las imágenes de los recibos y marcar los posibles duplicados',
+    up(data, ctx) {
+      // En orden cronológico: cada recibo se compara con los anteriores
+      const all = [];
+      data.users.forEach(user => {
+        (user.receipts || []).forEach(receipt => all.push({ user, receipt }));
+      });
+      all.sort((a, b) => new Date(a.receipt.date) - new Date(b.receipt.date));
+      let fingerprinted = 0;
+      let flagged = 0;
+      all.forEach(({ receipt }, i) => {
+        if (receipt.fingerprint) return;
+        receipt.fingerprint = receiptFingerprint(receipt.imageData, ctx.blobs);
+        fingerprinted++;
+        if (flagDuplicates(receipt, all.slice(0, i)).length > 0) flagged++;
+      });
+      const changes = [];
+      count(changes, 'Recibos con huella de imagen', fingerprinted);
+      count(changes, 'Recibos marcados como posibles duplicados', flagged);
+      return changes;
+    }
+  },
+  {
+    version: 21,
+    description: 'Indicar la regla de las jornadas cerradas automáticamente',
+    up(data) {
+      // Hasta ahora el cierre automático solo usaba la duración máxima
+      let updated = 0;
+      data.users.forEach(user => {
+        (user.times || []).forEach(record => {
+          if (!record.autoClosed || record.autoClosed.rule) return;
+          record.autoClosed.rule = 'duration';
+          record.autoClosed.shiftId = null;
+          updated++;
+        });
+      });
+      const changes = [];
+      count(changes, 'Jornadas cerradas automáticamente actualizadas', updated);
+      return changes;
+    }
+  }
+];
+
+const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+function schemaVersionOf(data) {
+  return Number(data.schemaVersion) || 0;
+}
+
+// Migraciones pendientes para unos datos.  Lanza un error si los datos son de
+// una versión posterior a la que conoce este servidor.
+function pendingMigrations(data) {
+  const version = schemaVersionOf(data);
+  if (version > CURRENT_SCHEMA_VERSION) {
+    throw new Error(`Los datos tienen schemaVersion ${version}, posterior a la que admite este servidor (${CURRENT_SCHEMA_VERSION})`);
+  }
+  return MIGRATIONS.filter(m => m.version > version);
+}
+
+// Aplica las migraciones pendientes sobre `data`.  Devuelve el informe:
+// [{ version, description, changes: [...] }]
+async function runMigrations(data, ctx) {
+  const report = [];
+  for (const migration of pendingMigrations(data)) {
+    const changes = await migration.up(data, ctx);
+    data.schemaVersion = migration.version;
+    report.push({ version: migration.version, description: migration.description, changes });
+  }
+  return report;
+}
+
+// Informe en texto para la consola
+function formatReport(report) {
+  if (report.length === 0) return 'No hay migraciones pendientes.';
+  return report.map(step => {
+    const lines = step.changes.length > 0 ? step.changes.map(c => `    - ${c}`) : ['    (sin cambios)'];
+    return [`  v${step.version}: ${step.description}`, ...lines].join('\n');
+  }).join('\n');
+}
+
+module.exports = { CURRENT_SCHEMA_VERSION, pendingMigrations, runMigrations, formatReport, schemaVersionOf };
@@ -0,0 +1,141 @@
+/*
+ * Jornadas olvidadas: registros de horario que siguen abiertos.
+ *
+ * Un proceso periódico del servidor revisa las jornadas abiertas con las
+ * reglas de la compañía (`company.openShiftRules`):
+ *
+ *   flagAfterHours        las jornadas abiertas más de estas horas se marcan
+ *                         como olvidadas (`flaggedAt`)
+ *   autoClose             si es true, las jornadas se cierran solas
+ *   autoCloseMode         dónde se fija la salida:
+ *                           'duration'    en la entrada más la duración máxima
+ *                           'shift-end'   en el fin del turno programado
+ *                                         (ver lib/shifts.js); sin turno, o si
+ *                                         el turno dura más, en la duración
+ *                                         máxima
+ *   autoCloseAfterHours   duración máxima de una jornada
+ *
+ * El turno de una jornada es el turno con horario en curso al fichar la
+ * entrada (o que empieza hasta SHIFT_EARLY_CLOCK_IN_MINUTES después).  Para
+ * no cerrar la jornada de quien hace horas extra, se cierra pasados
+ * SHIFT_END_GRACE_MINUTES del fin del turno, con la salida en el fin.
+ *
+ * Una jornada cerrada automáticamente guarda `autoClosed: { at, rule,
+ * shiftId, reviewedAt, reviewedBy }` (`rule`: 'duration' o 'shift-end', la
+ * regla que fijó la salida) y sus valores originales (`original`, con la
+ * salida vacía) hasta que un administrador la revisa.
+ */
+
+const { openBreak } = require('./breaks');
+const { shiftWindow } = require('./shifts');
+
+const AUTO_CLOSE_MODES = ['duration', 'shift-end'];
+
+const DEFAULT_OPEN_SHIFT_RULES = {
+  flagAfterHours: 12,
+  autoClose: false,
+  autoCloseMode: 'duration',
+  autoCloseAfterHours: 16
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const SHIFT_EARLY_CLOCK_IN_MINUTES = 60;
+const SHIFT_END_GRACE_MINUTES = 60;
+
+// Reglas completas a partir de las guardadas (campos ausentes por defecto)
+function resolveOpenShiftRules(rules) {
+  return { ...DEFAULT_OPEN_SHIFT_RULES, ...(rules || {}) };
+}
+
+// Valida las reglas enviadas por un administrador.  Devuelve
+// { rules } o { error } con el mensaje para el cliente.
+function parseOpenShiftRules(input) {
+  const flagAfterHours = Number(input.flagAfterHours);
+  if (!Number.isFinite(flagAfterHours) || flagAfterHours < 1 || flagAfterHours > 72) {
+    return { error: 'Las horas para marcar una jornada como olvidada deben estar entre 1 y 72' };
+  }
+  const autoClose = input.autoClose === true;
+  const autoCloseMode = input.autoCloseMode === undefined ? DEFAULT_OPEN_SHIFT_RULES.autoCloseMode : input.autoCloseMode;
+  if (!AUTO_CLOSE_MODES.includes(autoCloseMode)) return { error: 'Modo de cierre automático no válido' };
+  const autoCloseAfterHours = Number(input.autoCloseAfterHours);
+  if (!Number.isFinite(autoCloseAfterHours) || autoCloseAfterHours < 1 || autoCloseAfterHours > 72) {
+    return { error: 'La duración máxima de una jornada debe estar entre 1 y 72 horas' };
+  }
+  return { rules: { flagAfterHours, autoClose, autoCloseMode, autoCloseAfterHours } };
+}
+
+// Estado de un registro para la lista de jornadas a revisar:
+// 'open', 'flagged', 'auto-closed' o null si no requiere atención
+function openShiftStatus(record) {
+  if (!record.clockOut) return record.flaggedAt ? 'flagged' : 'open';
+  if (record.autoClosed && !record.autoClosed.reviewedAt) return 'auto-closed';
+  return null;
+}
+
+// Cierra un registro abierto con la salida indicada; el descanso abierto
+// termina con la jornada
+function closeRecord(record, clockOut) {
+  if (!record.original) record.original = { clockIn: record.clockIn, clockOut: null };
+  record.clockOut = clockOut;
+  const current = openBreak(record);
+  if (current) current.end = clockOut;
+}
+
+// Turno programado de una jornada que empieza en `start` (ms): { id, end }
+// o null
+function scheduledShift(schedules, start, timeZone) {
+  let found = null;
+  (schedules || []).forEach(shift => {
+    if (!shift.start) return;
+    const span = shiftWindow(shift, timeZone);
+    if (start < span.start - SHIFT_EARLY_CLOCK_IN_MINUTES * MINUTE_MS || start >= span.end) return;
+    if (!found || span.end < found.end) found = { id: shift.id, end: span.end };
+  });
+  return found;
+}
+
+// Salida de un cierre automático: { at, rule, shiftId, dueAt } (ms), donde
+// `dueAt` es cuándo se cierra la jornada
+function autoCloseTime(r, user, start, timeZone) {
+  const limit = start + r.autoCloseAfterHours * HOUR_MS;
+  const shift = r.autoCloseMode === 'shift-end' ? scheduledShift(user.schedules, start, timeZone) : null;
+  if (!shift || shift.end >= limit) return { at: limit, rule: 'duration', shiftId: null, dueAt: limit };
+  return { at: shift.end, rule: 'shift-end', shiftId: shift.id, dueAt: shift.end + SHIFT_END_GRACE_MINUTES * MINUTE_MS };
+}
+
+// Revisa las jornadas abiertas de todos los usuarios.  `timeZoneOf(user)`
+// da la zona horaria de los turnos.  Devuelve
+// { flagged: [{ user, record }], closed: [{ user, record }] } con los
+// registros marcados o cerrados en esta revisión.
+function checkOpenShifts(data, rules, timeZoneOf, now = Date.now()) {
+  const r = resolveOpenShiftRules(rules);
+  const result = { flagged: [], closed: [] };
+  const nowIso = new Date(now).toISOString();
+  data.users.forEach(user => {
+    user.times.forEach(record => {
+      if (record.clockOut) return;
+      const start = new Date(record.clockIn).getTime();
+      const close = r.autoClose ? autoCloseTime(r, user, start, timeZoneOf(user)) : null;
+      if (close && now >= close.dueAt) {
+        closeRecord(record, new Date(close.at).toISOString());
+        record.autoClosed = { at: nowIso, rule: close.rule, shiftId: close.shiftId, reviewedAt: null, reviewedBy: null };
+        result.closed.push({ user, record });
+      } else if (!record.flaggedAt && now - start >= r.flagAfterHours * HOUR_MS) {
+        record.flaggedAt = nowIso;
+        result.flagged.push({ user, record });
+      }
+    });
+  });
+  return result;
+}
+
+module.exports = {
+  AUTO_CLOSE_MODES,
+  DEFAULT_OPEN_SHIFT_RULES,
+  resolveOpenShiftRules,
+  parseOpenShiftRules,
+  openShiftStatus,
+  closeRecord,
+  checkOpenShifts
+};
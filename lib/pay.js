@@ -0,0 +1,261 @@
+/*
+ * Cálculo de pagos con horas extra, festivos y salario mensual.
+ *
+ * Las reglas de la compañía (`company.payRules`):
+ *
+ *   dailyOvertimeHours     horas diarias a partir de las cuales se pagan
+ *                          horas extra (null: sin límite diario)
+ *   dailyDoubleTimeHours   horas diarias a partir de las cuales se pagan
+ *                          horas dobles (null: sin horas dobles)
+ *   weeklyOvertimeHours    horas normales semanales a partir de las cuales
+ *                          se pagan horas extra (null: sin límite semanal)
+ *   overtimeMultiplier     multiplicador de las horas extra (1.5)
+ *   doubleTimeMultiplier   multiplicador de las horas dobles (2)
+ *   holidayMultiplier      multiplicador de los días festivos (2)
+ *   weekStartsOn           primer día de la semana (0 domingo ... 6 sábado)
+ *   holidays               [{ date: 'YYYY-MM-DD', name }]
+ *
+ * Según el tipo de pago del usuario:
+ *
+ *   hora     cada hora neta se paga a payRate.  Primero se aplican los
+ *            límites diarios; las horas normales que superan el límite
+ *            semanal pasan a ser extra.  Las horas de un festivo se pagan
+ *            con su multiplicador y no cuentan para las horas extra.
+ *   dia      cada día trabajado se paga a payRate (con el multiplicador si es
+ *            festivo); no hay horas extra.
+ *   salario  payRate es el salario mensual.  Se paga la parte proporcional
+ *            de cada mes del periodo (días del periodo / días del mes); no hay
+ *            horas extra ni recargo por festivo.
+ *
+ * Las jornadas pertenecen al día de su entrada en la zona horaria del
+ * usuario.  Las horas son las netas (descontados los descansos no pagados).
+ *
+ * Los días de permiso pagado (ver lib/leave.js) se pagan a payRate por hora
+ * (con pago por hora) o como un día más si ese día no se trabajó (con pago
+ * por día).  No cuentan para las horas extra; con salario ya están incluidos.
+ */
+
+const { netHours } = require('./breaks');
+const { dateKey } = require('./timezone');
+
+const DEFAULT_PAY_RULES = {
+  dailyOvertimeHours: null,
+  dailyDoubleTimeHours: null,
+  weeklyOvertimeHours: null,
+  overtimeMultiplier: 1.5,
+  doubleTimeMultiplier: 2,
+  holidayMultiplier: 2,
+  weekStartsOn: 1,
+  holidays: []
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Reglas completas a partir de las guardadas (campos ausentes por defecto)
+function resolvePayRules(rules) {
+  return { ...DEFAULT_PAY_RULES, ...(rules || {}) };
+}
+
+// Indica si `value` es un día YYYY-MM-DD existente
+function isDateKey(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+  return new Date(value + 'T00:00:00Z').toISOString().startsWith(value);
+}
+
+// Número opcional de horas: null si viene vacío, undefined si no es válido
+function optionalHours(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 && n <= 168 ? n : undefined;
+}
+
+// Valida las reglas enviadas por un administrador.  Devuelve
+// { rules } o { error } con el mensaje para el cliente.
+function parsePayRules(input) {
+  const dailyOvertimeHours = optionalHours(input.dailyOvertimeHours);
+  const dailyDoubleTimeHours = optionalHours(input.dailyDoubleTimeHours);
+  const weeklyOvertimeHours = optionalHours(input.weeklyOvertimeHours);
+  if (dailyOvertimeHours === undefined || dailyDoubleTimeHours === undefined || weeklyOvertimeHours === undefined) {
+    return { error: 'Los límites de horas deben ser números positivos' };
+  }
+  if (dailyOvertimeHours !== null && dailyOvertimeHours > 24) {
+    return { error: 'El límite diario no puede superar 24 horas' };
+  }
+  if (dailyDoubleTimeHours !== null && (dailyDoubleTimeHours > 24 || (dailyOvertimeHours !== null && dailyDoubleTimeHours <= dailyOvertimeHours))) {
+    return { error: 'El límite de horas dobles debe ser mayor que el de horas extra y no superar 24 horas' };
+  }
+  const multipliers = {};
+  for (const key of ['overtimeMultiplier', 'doubleTimeMultiplier', 'holidayMultiplier']) {
+    const n = input[key] === undefined ? DEFAULT_PAY_RULES[key] : Number(input[key]);
+    if (!Number.isFinite(n) || n < 1 || n > 10) {
+      return { error: 'Los multiplicadores deben estar entre 1 y 10' };
+    }
+    multipliers[key] = n;
+  }
+  const weekStartsOn = input.weekStartsOn === undefined ? DEFAULT_PAY_RULES.weekStartsOn : Number(input.weekStartsOn);
+  if (!Number.isInteger(weekStartsOn) || weekStartsOn < 0 || weekStartsOn > 6) {
+    return { error: 'El primer día de la semana no es válido' };
+  }
+  const holidays = [];
+  for (const h of Array.isArray(input.holidays) ? input.holidays : []) {
+    if (!h || !isDateKey(h.date)) {
+      return { error: 'Las fechas de los festivos deben tener el formato AAAA-MM-DD' };
+    }
+    if (holidays.some(existing => existing.date === h.date)) {
+      return { error: `El festivo ${h.date} está repetido` };
+    }
+    holidays.push({ date: h.date, name: String(h.name || '').trim().slice(0, 100) });
+  }
+  holidays.sort((a, b) => (a.date < b.date ? -1 : 1));
+  return {
+    rules: { dailyOvertimeHours, dailyDoubleTimeHours, weeklyOvertimeHours, ...multipliers, weekStartsOn, holidays }
+  };
+}
+
+// Primer día (YYYY-MM-DD) de la semana a la que pertenece un día
+function weekKey(day, weekStartsOn) {
+  const time = new Date(day + 'T00:00:00Z').getTime();
+  const offset = (new Date(time).getUTCDay() - weekStartsOn + 7) % 7;
+  return new Date(time - offset * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Parte proporcional del salario mensual entre dos días (incluidos)
+function prorateSalary(salary, from, to) {
+  const months = [];
+  let cursor = new Date(from + 'T00:00:00Z');
+  const end = new Date(to + 'T00:00:00Z');
+  while (cursor <= end) {
+    const year = cursor.getUTCFullYear();
+    const month = cursor.getUTCMonth();
+    const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    const monthEnd = new Date(Date.UTC(year, month, daysInMonth));
+    const last = monthEnd < end ? monthEnd : end;
+    const days = Math.round((last - cursor) / DAY_MS) + 1;
+    months.push({
+      month: cursor.toISOString().slice(0, 7),
+      days,
+      daysInMonth,
+      pay: salary * days / daysInMonth
+    });
+    cursor = new Date(Date.UTC(year, month + 1, 1));
+  }
+  return months;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// Calcula el pago de un usuario entre `from` y `to` (días YYYY-MM-DD
+// incluidos; cualquiera puede faltar).  Devuelve:
+//   { payType, payRate, from, to,
+//     days: [{ date, holiday, hours, regularHours, overtimeHours,
+//              doubleTimeHours, holidayHours, leaveHours, pay }],
+//     months: [{ month, days, daysInMonth, pay }]   (solo salario),
+//     totals: { hours, regularHours, overtimeHours, doubleTimeHours,
+//               holidayHours, leaveHours, regularPay, overtimePay,
+//               doubleTimePay, holidayPay, leavePay, total } }
+// `leave` son los días de permiso pagado: [{ date, hours }].  En los
+// salarios `pay` de cada día es null: se paga por meses.
+function calculatePay(user, { rules, breakRules, timeZone, from = null, to = null, today, leave = [] }) {
+  const r = resolvePayRules(rules);
+  const rate = Number(user.payRate) || 0;
+  const payType = user.payType || 'hora';
+  const holidays = new Map(r.holidays.map(h => [h.date, h.name || 'Festivo']));
+  const dailyOvertime = r.dailyOvertimeHours === null ? Infinity : r.dailyOvertimeHours;
+  const dailyDouble = r.dailyDoubleTimeHours === null ? Infinity : r.dailyDoubleTimeHours;
+  const weeklyOvertime = r.weeklyOvertimeHours === null ? Infinity : r.weeklyOvertimeHours;
+
+  // Horas netas por día de entrada (solo jornadas cerradas)
+  const hoursByDay = new Map();
+  (user.times || []).forEach(t => {
+    if (!t.clockOut) return;
+    const day = dateKey(t.clockIn, timeZone);
+    hoursByDay.set(day, (hoursByDay.get(day) || 0) + netHours(t, breakRules));
+  });
+  const leaveByDay = new Map();
+  leave.forEach(l => {
+    leaveByDay.set(l.date, (leaveByDay.get(l.date) || 0) + l.hours);
+    if (!hoursByDay.has(l.date)) hoursByDay.set(l.date, 0);
+  });
+
+  // Se clasifican todos los días para que las semanas que empiezan antes
+  // del periodo acumulen bien las horas semanales
+  const weeklyRegular = new Map();
+  const allDays = [...hoursByDay.keys()].sort().map(date => {
+    const hours = hoursByDay.get(date);
+    const holiday = holidays.has(date) ? holidays.get(date) : null;
+    const leaveHours = leaveByDay.get(date) || 0;
+    const day = { date, holiday, hours, regularHours: 0, overtimeHours: 0, doubleTimeHours: 0, holidayHours: 0, leaveHours, pay: null };
+    if (holiday) {
+      day.holidayHours = hours;
+    } else if (payType !== 'hora') {
+      day.regularHours = hours;
+    } else {
+      day.regularHours = Math.min(hours, dailyOvertime, dailyDouble);
+      day.doubleTimeHours = Math.max(0, hours - dailyDouble);
+      day.overtimeHours = hours - day.regularHours - day.doubleTimeHours;
+      const week = weekKey(date, r.weekStartsOn);
+      const before = weeklyRegular.get(week) || 0;
+      const excess = Math.max(0, before + day.regularHours - weeklyOvertime);
+      day.regularHours -= excess;
+      day.overtimeHours += excess;
+      weeklyRegular.set(week, before + day.regularHours);
+    }
+    if (payType === 'hora') {
+      day.pay = rate * (day.regularHours + day.overtimeHours * r.overtimeMultiplier +
+        day.doubleTimeHours * r.doubleTimeMultiplier + day.holidayHours * r.holidayMultiplier + leaveHours);
+    } else if (payType === 'dia') {
+      if (hours > 0) day.pay = rate * (holiday ? r.holidayMultiplier : 1);
+      else day.pay = leaveHours > 0 ? rate : 0;
+    }
+    return day;
+  });
+  const days = allDays.filter(d => (!from || d.date >= from) && (!to || d.date <= to));
+
+  const totals = {
+    hours: 0, regularHours: 0, overtimeHours: 0, doubleTimeHours: 0, holidayHours: 0, leaveHours: 0,
+    regularPay: 0, overtimePay: 0, doubleTimePay: 0, holidayPay: 0, leavePay: 0, total: 0
+  };
+  days.forEach(d => {
+    totals.hours += d.hours;
+    totals.regularHours += d.regularHours;
+    totals.overtimeHours += d.overtimeHours;
+    totals.doubleTimeHours += d.doubleTimeHours;
+    totals.holidayHours += d.holidayHours;
+    totals.leaveHours += d.leaveHours;
+    if (payType === 'hora') {
+      totals.regularPay += rate * d.regularHours;
+      totals.overtimePay += rate * d.overtimeHours * r.overtimeMultiplier;
+      totals.doubleTimePay += rate * d.doubleTimeHours * r.doubleTimeMultiplier;
+      totals.holidayPay += rate * d.holidayHours * r.holidayMultiplier;
+      totals.leavePay += rate * d.leaveHours;
+    } else if (payType === 'dia') {
+      if (d.hours === 0) totals.leavePay += d.pay;
+      else if (d.holiday) totals.holidayPay += d.pay;
+      else totals.regularPay += d.pay;
+    }
+  });
+
+  // Salario: sin fecha inicial se cuenta desde el primer día trabajado y
+  // nunca más allá de hoy
+  let months = [];
+  const periodFrom = from || (days.length > 0 ? days[0].date : null);
+  const periodTo = to && to < today ? to : today;
+  if (payType === 'salario' && periodFrom && periodFrom <= periodTo) {
+    months = prorateSalary(rate, periodFrom, periodTo);
+    totals.regularPay = months.reduce((sum, m) => sum + m.pay, 0);
+  }
+  totals.total = totals.regularPay + totals.overtimePay + totals.doubleTimePay + totals.holidayPay + totals.leavePay;
+
+  Object.keys(totals).forEach(k => { totals[k] = round2(totals[k]); });
+  days.forEach(d => {
+    ['hours', 'regularHours', 'overtimeHours', 'doubleTimeHours', 'holidayHours', 'leaveHours'].forEach(k => { d[k] = round2(d[k]); });
+    if (d.pay !== null) d.pay = round2(d.pay);
+  });
+  months.forEach(m => { m.pay = round2(m.pay); });
+  return { payType, payRate: rate, from: periodFrom, to: periodTo, days, months, totals };
+}
+
+module.exports = { DEFAULT_PAY_RULES, resolvePayRules, parsePayRules, isDateKey, calculatePay };
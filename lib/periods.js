@@ -0,0 +1,107 @@
+/*
+ * Periodos de pago y hojas de horas.
+ *
+ * La compañía fija la frecuencia de los periodos (`company.payPeriodRules`):
+ *
+ *   cadence      'weekly' (semanal), 'biweekly' (cada dos semanas),
+ *                'semimonthly' (del 1 al 15 y del 16 a fin de mes) o
+ *                'monthly' (mes natural)
+ *   anchorDate   primer día de un periodo cualquiera (YYYY-MM-DD); marca
+ *                dónde empiezan los periodos semanales y de dos semanas
+ *
+ * Cada empleado tiene una hoja de horas por periodo (`data.timesheets`):
+ *
+ *   { id, userId, from, to, status, submittedAt, submittedBy, reviewedAt,
+ *     reviewedBy, note, totals }
+ *
+ * `status` es 'open' (sin enviar, o reabierta), 'submitted' (enviada por el
+ * empleado), 'approved' o 'rejected' (devuelta al empleado con una nota).  Un
+ * periodo sin hoja está abierto.  Con la hoja aprobada el periodo queda
+ * bloqueado: no se pueden fichar, corregir ni añadir registros ni recibos
+ * cuyo día (en la zona horaria del empleado) caiga dentro.  `totals` guarda
+ * las horas y los importes en el momento de la aprobación.
+ */
+
+const { isDateKey } = require('./pay');
+
+const CADENCES = ['weekly', 'biweekly', 'semimonthly', 'monthly'];
+
+const DEFAULT_PAY_PERIOD_RULES = {
+  cadence: 'monthly',
+  // Un lunes: los periodos semanales empiezan en lunes
+  anchorDate: '2024-01-01'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Periodos como máximo en un listado
+const MAX_PERIODS = 26;
+
+// Reglas completas a partir de las guardadas (campos ausentes por defecto)
+function resolvePayPeriodRules(rules) {
+  return { ...DEFAULT_PAY_PERIOD_RULES, ...(rules || {}) };
+}
+
+// Valida las reglas enviadas por un administrador.  Devuelve
+// { rules } o { error } con el mensaje para el cliente.
+function parsePayPeriodRules(input) {
+  if (!CADENCES.includes(input.cadence)) return { error: 'Frecuencia de pago no válida' };
+  const anchorDate = input.anchorDate || DEFAULT_PAY_PERIOD_RULES.anchorDate;
+  if (!isDateKey(anchorDate)) return { error: 'La fecha de inicio debe tener el formato AAAA-MM-DD' };
+  return { rules: { cadence: input.cadence, anchorDate } };
+}
+
+function addDays(day, n) {
+  return new Date(new Date(day + 'T00:00:00Z').getTime() + n * DAY_MS).toISOString().slice(0, 10);
+}
+
+function lastDayOfMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).toISOString().slice(0, 10);
+}
+
+// Periodo { from, to } (días incluidos) al que pertenece un día
+function periodContaining(day, rules) {
+  const r = resolvePayPeriodRules(rules);
+  const date = new Date(day + 'T00:00:00Z');
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  const monthStart = day.slice(0, 8) + '01';
+  if (r.cadence === 'monthly') {
+    return { from: monthStart, to: lastDayOfMonth(year, month) };
+  }
+  if (r.cadence === 'semimonthly') {
+    return date.getUTCDate() <= 15
+      ? { from: monthStart, to: day.slice(0, 8) + '15' }
+      : { from: day.slice(0, 8) + '16', to: lastDayOfMonth(year, month) };
+  }
+  const length = r.cadence === 'weekly' ? 7 : 14;
+  const offset = Math.round((date.getTime() - new Date(r.anchorDate + 'T00:00:00Z').getTime()) / DAY_MS);
+  const from = addDays(day, -(((offset % length) + length) % length));
+  return { from, to: addDays(from, length - 1) };
+}
+
+// Los `count` periodos que terminan con el que contiene `day`, del más
+// reciente al más antiguo
+function recentPeriods(day, rules, count) {
+  const periods = [];
+  let current = periodContaining(day, rules);
+  for (let i = 0; i < Math.min(count, MAX_PERIODS); i++) {
+    periods.push(current);
+    current = periodContaining(addDays(current.from, -1), rules);
+  }
+  return periods;
+}
+
+// Hoja aprobada del usuario que bloquea un día (o undefined)
+function lockingTimesheet(timesheets, userId, day) {
+  return timesheets.find(t => t.userId === userId && t.status === 'approved' && t.from <= day && day <= t.to);
+}
+
+module.exports = {
+  CADENCES,
+  DEFAULT_PAY_PERIOD_RULES,
+  resolvePayPeriodRules,
+  parsePayPeriodRules,
+  periodContaining,
+  recentPeriods,
+  lockingTimesheet
+};
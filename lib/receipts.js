@@ -0,0 +1,208 @@
+/*
+ * Revisión y reembolso de recibos.
+ *
+ * Cada recibo (`user.receipts`) pasa por estos estados (`status`):
+ *
+ *   pending      subido por el empleado, sin revisar
+ *   approved     aprobado: la compañía debe su importe al empleado
+ *   rejected     rechazado; `reviewNote` explica el motivo
+ *   reimbursed   aprobado y ya pagado al empleado
+ *
+ * Solo se aprueba o rechaza un recibo pendiente y solo se reembolsa uno
+ * aprobado.  La revisión guarda reviewedAt, reviewedBy, reviewerName y
+ * reviewNote; el reembolso, reimbursedAt, reimbursedBy, reimbursedByName y
+ * reimbursementNote.  Un recibo reembolsado con un pago de la liquidación
+ * (ver lib/ledger.js) guarda su id en `payoutId`; si el pago se anula, el
+ * recibo vuelve a aprobado.  Las deudas y las exportaciones solo suman los
+ * recibos aprobados sin reembolsar.
+ *
+ * Al subir un recibo se guarda la huella de su imagen (`fingerprint`):
+ *
+ *   { sha256, perceptual }
+ *
+ * `sha256` es el id del archivo en el almacén (el SHA-256 del contenido) y
+ * `perceptual` la huella perceptual de lib/image-hash.js (null si el formato
+ * no se puede decodificar).  El recibo se compara con los de todos los
+ * usuarios, salvo los rechazados, y si se parece a alguno queda marcado como
+ * posible duplicado (`duplicateFlag`):
+ *
+ *   { status: 'open' | 'dismissed', matches, flaggedAt,
+ *     reviewedAt, reviewedBy, reviewerName, reviewNote }
+ *
+ * Cada coincidencia guarda los datos del otro recibo al marcarlo
+ * ({ receiptId, userId, userName, date, amount, category }), los motivos y
+ * la distancia entre huellas perceptuales (o null):
+ *
+ *   image     el mismo archivo
+ *   similar   una imagen parecida (SIMILAR_IMAGE_DISTANCE bits distintos
+ *             como máximo)
+ *   details   el mismo importe y categoría con menos de
+ *             DUPLICATE_WINDOW_DAYS días de diferencia
+ *
+ * Un administrador puede descartar la alerta como falso positivo.
+ */
+
+const { fileIdFromRef } = require('./blobs');
+const { perceptualHash, hammingDistance } = require('./image-hash');
+
+const RECEIPT_STATUSES = ['pending', 'approved', 'rejected', 'reimbursed'];
+
+// Acciones de revisión: estado de partida y estado final
+const RECEIPT_ACTIONS = {
+  approve: { from: 'pending', to: 'approved' },
+  reject: { from: 'pending', to: 'rejected' },
+  reimburse: { from: 'approved', to: 'reimbursed' }
+};
+
+const MAX_NOTE_LENGTH = 500;
+const SIMILAR_IMAGE_DISTANCE = 10;
+const DUPLICATE_WINDOW_DAYS = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Campos de revisión de un recibo recién subido
+function newReceiptReview() {
+  return {
+    status: 'pending',
+    reviewedAt: null,
+    reviewedBy: null,
+    reviewerName: null,
+    reviewNote: '',
+    reimbursedAt: null,
+    reimbursedBy: null,
+    reimbursedByName: null,
+    reimbursementNote: '',
+    payoutId: null
+  };
+}
+
+// Aplica una acción de revisión ('approve', 'reject' o 'reimburse') hecha
+// por `actor`.  Devuelve { receipt } (el mismo objeto, modificado) o
+// { error } sin tocarlo.  El rechazo necesita un motivo.
+function reviewReceipt(receipt, action, actor, note, now = new Date().toISOString()) {
+  const step = RECEIPT_ACTIONS[action];
+  if (!step) return { error: 'Acción no válida' };
+  if (receipt.status !== step.from) {
+    return { error: step.from === 'pending' ? 'El recibo ya no está pendiente' : 'Solo se reembolsan los recibos aprobados' };
+  }
+  const text = String(note || '').trim().slice(0, MAX_NOTE_LENGTH);
+  if (action === 'reject' && !text) return { error: 'Indica el motivo del rechazo' };
+  const name = `${actor.firstName} ${actor.lastName}`;
+  receipt.status = step.to;
+  if (action === 'reimburse') {
+    receipt.reimbursedAt = now;
+    receipt.reimbursedBy = actor.id;
+    receipt.reimbursedByName = name;
+    receipt.reimbursementNote = text;
+  } else {
+    receipt.reviewedAt = now;
+    receipt.reviewedBy = actor.id;
+    receipt.reviewerName = name;
+    receipt.reviewNote = text;
+  }
+  return { receipt };
+}
+
+// Deshace el reembolso de un recibo (al anular el pago que lo incluía)
+function revertReimbursement(receipt) {
+  receipt.status = 'approved';
+  receipt.reimbursedAt = null;
+  receipt.reimbursedBy = null;
+  receipt.reimbursedByName = null;
+  receipt.reimbursementNote = '';
+  receipt.payoutId = null;
+}
+
+// Importe que la compañía debe por un recibo: el de los aprobados sin
+// reembolsar
+function owedAmount(receipt) {
+  return receipt.status === 'approved' ? Number(receipt.amount) || 0 : 0;
+}
+
+// Indica si el gasto del recibo se aceptó (aprobado o ya reembolsado)
+function isAcceptedReceipt(receipt) {
+  return receipt.status === 'approved' || receipt.status === 'reimbursed';
+}
+
+// Huella de la imagen de un recibo (una referencia `file:<id>` del almacén)
+function receiptFingerprint(ref, blobs) {
+  const id = fileIdFromRef(ref);
+  const file = id ? blobs.get(id) : null;
+  return { sha256: id, perceptual: file ? perceptualHash(file.buffer) : null };
+}
+
+// Motivos por los que dos recibos parecen el mismo gasto y distancia entre
+// sus huellas perceptuales
+function compareReceipts(a, b) {
+  const reasons = [];
+  const fa = a.fingerprint || {};
+  const fb = b.fingerprint || {};
+  let distance = null;
+  if (fa.sha256 && fa.sha256 === fb.sha256) {
+    reasons.push('image');
+  } else if (fa.perceptual && fb.perceptual) {
+    distance = hammingDistance(fa.perceptual, fb.perceptual);
+    if (distance <= SIMILAR_IMAGE_DISTANCE) reasons.push('similar');
+  }
+  const hasAmount = r => r.amount !== null && r.amount !== undefined;
+  const sameAmount = hasAmount(a) && hasAmount(b) && Number(a.amount) === Number(b.amount);
+  const days = Math.abs(new Date(a.date) - new Date(b.date)) / DAY_MS;
+  if (sameAmount && a.category === b.category && days < DUPLICATE_WINDOW_DAYS) reasons.push('details');
+  return { reasons, distance };
+}
+
+// Compara un recibo con otros ya subidos (`others`: [{ user, receipt }]) y lo
+// marca como posible duplicado si coincide con alguno.  Devuelve las
+// coincidencias.
+function flagDuplicates(receipt, others, now = new Date().toISOString()) {
+  const matches = [];
+  others.forEach(({ user, receipt: other }) => {
+    if (other.id === receipt.id || other.status === 'rejected') return;
+    const { reasons, distance } = compareReceipts(receipt, other);
+    if (reasons.length === 0) return;
+    matches.push({
+      receiptId: other.id,
+      userId: user.id,
+      userName: `${user.firstName} ${user.lastName}`,
+      date: other.date,
+      amount: other.amount,
+      category: other.category,
+      reasons,
+      distance
+    });
+  });
+  receipt.duplicateFlag = matches.length === 0 ? null : {
+    status: 'open',
+    matches,
+    flaggedAt: now,
+    reviewedAt: null,
+    reviewedBy: null,
+    reviewerName: null,
+    reviewNote: ''
+  };
+  return matches;
+}
+
+// Descarta la alerta de duplicado de un recibo como falso positivo.
+// Devuelve { receipt } o { error }.
+function dismissDuplicateFlag(receipt, actor, note, now = new Date().toISOString()) {
+  const flag = receipt.duplicateFlag;
+  if (!flag || flag.status !== 'open') return { error: 'El recibo no tiene una alerta de duplicado abierta' };
+  flag.status = 'dismissed';
+  flag.reviewedAt = now;
+  flag.reviewedBy = actor.id;
+  flag.reviewerName = `${actor.firstName} ${actor.lastName}`;
+  flag.reviewNote = String(note || '').trim().slice(0, MAX_NOTE_LENGTH);
+  return { receipt };
+}
+
+module.exports = {
+  RECEIPT_STATUSES,
+  newReceiptReview,
+  reviewReceipt,
+  revertReimbursement,
+  owedAmount,
+  isAcceptedReceipt,
+  receiptFingerprint,
+  flagDuplicates,
+  dismissDuplicateFlag
+};
@@ -0,0 +1,242 @@
+/*
+ * Turnos programados, plantillas semanales y asistencia.
+ *
+ * Cada usuario guarda sus turnos en `user.schedules`:
+ *
+ *   { id, date: 'YYYY-MM-DD', start: 'HH:MM', end: 'HH:MM', groupId, notes,
+ *     templateId }
+ *
+ * Las horas están en la zona horaria del usuario; un turno cuyo fin es
+ * anterior a su inicio termina al día siguiente.  Los días programados
+ * anteriores a los turnos no tienen horario (`start` y `end` null): solo se
+ * comprueba si hubo alguna entrada ese día.
+ *
+ * Las plantillas (`data.shiftTemplates`) repiten turnos cada semana y se
+ * aplican a los miembros de un grupo entre dos fechas:
+ *
+ *   { id, name, days: [{ weekday (0 domingo ... 6 sábado), start, end }], notes }
+ *
+ * La asistencia compara los turnos con los registros de horario usando las
+ * reglas de la compañía (`company.attendanceRules`):
+ *
+ *   lateGraceMinutes         minutos de margen para la entrada
+ *   earlyLeaveGraceMinutes   minutos de margen para la salida
+ */
+
+const { isDateKey } = require('./pay');
+const { dateKey, zonedTime } = require('./timezone');
+
+const DEFAULT_ATTENDANCE_RULES = {
+  lateGraceMinutes: 5,
+  earlyLeaveGraceMinutes: 5
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MAX_NOTES_LENGTH = 500;
+// Días como máximo al aplicar una plantilla de una vez
+const MAX_APPLY_DAYS = 92;
+
+// Reglas completas a partir de las guardadas (campos ausentes por defecto)
+function resolveAttendanceRules(rules) {
+  return { ...DEFAULT_ATTENDANCE_RULES, ...(rules || {}) };
+}
+
+// Valida las reglas enviadas por un administrador.  Devuelve
+// { rules } o { error } con el mensaje para el cliente.
+function parseAttendanceRules(input) {
+  const rules = {};
+  for (const key of ['lateGraceMinutes', 'earlyLeaveGraceMinutes']) {
+    const n = Number(input[key]);
+    if (!Number.isInteger(n) || n < 0 || n > 240) {
+      return { error: 'Los márgenes deben ser minutos enteros entre 0 y 240' };
+    }
+    rules[key] = n;
+  }
+  return { rules };
+}
+
+function isTime(value) {
+  return typeof value === 'string' && TIME_PATTERN.test(value);
+}
+
+// Horario de un turno: { start, end } con las dos horas o las dos a null.
+// Devuelve { error } si no es válido.
+function parseShiftTimes(start, end) {
+  if (!start && !end) return { start: null, end: null };
+  if (!isTime(start) || !isTime(end)) return { error: 'Indica la hora de inicio y de fin (HH:MM)' };
+  if (start === end) return { error: 'El turno debe terminar a una hora distinta de la de inicio' };
+  return { start, end };
+}
+
+function parseNotes(value) {
+  return String(value || '').trim().slice(0, MAX_NOTES_LENGTH);
+}
+
+// Valida un turno enviado por un administrador.  Devuelve { shift } (sin id)
+// o { error }.  La existencia del grupo la comprueba el servidor.
+function parseShift(input) {
+  if (!isDateKey(input.date)) return { error: 'La fecha debe tener el formato AAAA-MM-DD' };
+  const times = parseShiftTimes(input.start, input.end);
+  if (times.error) return times;
+  return {
+    shift: {
+      date: input.date,
+      start: times.start,
+      end: times.end,
+      groupId: input.groupId || null,
+      notes: parseNotes(input.notes),
+      templateId: null
+    }
+  };
+}
+
+// Valida una plantilla semanal.  Devuelve { template } (sin id) o { error }.
+function parseShiftTemplate(input) {
+  const name = String(input.name || '').trim().slice(0, 100);
+  if (!name) return { error: 'Indica un nombre para la plantilla' };
+  const days = [];
+  for (const day of Array.isArray(input.days) ? input.days : []) {
+    const weekday = Number(day && day.weekday);
+    if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+      return { error: 'Día de la semana no válido' };
+    }
+    if (days.some(d => d.weekday === weekday)) {
+      return { error: 'Cada día de la semana solo puede aparecer una vez' };
+    }
+    const times = parseShiftTimes(day.start, day.end);
+    if (times.error) return times;
+    if (!times.start) return { error: 'Indica el horario de cada día de la plantilla' };
+    days.push({ weekday, start: times.start, end: times.end });
+  }
+  if (days.length === 0) return { error: 'La plantilla necesita al menos un día' };
+  days.sort((a, b) => a.weekday - b.weekday);
+  return { template: { name, days, notes: parseNotes(input.notes) } };
+}
+
+// Turnos de una plantilla entre dos días incluidos: [{ date, start, end }].
+// Devuelve { error } si el periodo no es válido.
+function templateShifts(template, from, to) {
+  if (!isDateKey(from) || !isDateKey(to)) return { error: 'Las fechas deben tener el formato AAAA-MM-DD' };
+  if (from > to) return { error: 'La fecha inicial es posterior a la final' };
+  const start = new Date(from + 'T00:00:00Z').getTime();
+  const end = new Date(to + 'T00:00:00Z').getTime();
+  if ((end - start) / DAY_MS + 1 > MAX_APPLY_DAYS) {
+    return { error: `El periodo no puede superar ${MAX_APPLY_DAYS} días` };
+  }
+  const shifts = [];
+  for (let time = start; time <= end; time += DAY_MS) {
+    const weekday = new Date(time).getUTCDay();
+    const day = template.days.find(d => d.weekday === weekday);
+    if (day) shifts.push({ date: new Date(time).toISOString().slice(0, 10), start: day.start, end: day.end });
+  }
+  return { shifts };
+}
+
+// Inicio y fin (ms) de un turno con horario en la zona indicada
+function shiftWindow(shift, timeZone) {
+  const start = zonedTime(shift.date, shift.start, timeZone);
+  let end = zonedTime(shift.date, shift.end, timeZone);
+  if (end <= start) {
+    const next = new Date(new Date(shift.date + 'T00:00:00Z').getTime() + DAY_MS).toISOString().slice(0, 10);
+    end = zonedTime(next, shift.end, timeZone);
+  }
+  return { start, end };
+}
+
+// Compara un turno con los registros de horario del usuario.  Devuelve:
+//   { shiftId, date, start, end, groupId, notes,
+//     status: 'pending' | 'absent' | 'attended' | 'leave',
+//     lateMinutes, earlyLeaveMinutes,   (0 si no superan el margen)
+//     clockIn, clockOut }               (primera entrada y última salida)
+// 'pending' es un turno que aún no ha empezado (o sin entrada dentro del
+// margen) y 'leave' uno en un día de permiso aprobado.  La salida anticipada
+// solo se evalúa cuando el turno ha terminado.
+function checkShift(shift, times, { rules, timeZone, now, leaveDays }) {
+  const r = resolveAttendanceRules(rules);
+  const result = {
+    shiftId: shift.id,
+    date: shift.date,
+    start: shift.start,
+    end: shift.end,
+    groupId: shift.groupId || null,
+    notes: shift.notes || '',
+    status: 'pending',
+    lateMinutes: 0,
+    earlyLeaveMinutes: 0,
+    clockIn: null,
+    clockOut: null
+  };
+  if (leaveDays.has(shift.date)) {
+    result.status = 'leave';
+    return result;
+  }
+  let matched;
+  let pending;
+  let span = null;
+  if (shift.start) {
+    // Registros que se solapan con el turno
+    span = shiftWindow(shift, timeZone);
+    matched = times.filter(t => {
+      const inTime = new Date(t.clockIn).getTime();
+      const outTime = t.clockOut ? new Date(t.clockOut).getTime() : now;
+      return inTime < span.end && outTime > span.start;
+    });
+    pending = now < span.start + r.lateGraceMinutes * MINUTE_MS;
+  } else {
+    matched = times.filter(t => dateKey(t.clockIn, timeZone) === shift.date);
+    pending = shift.date >= dateKey(new Date(now).toISOString(), timeZone);
+  }
+  if (matched.length === 0) {
+    result.status = pending ? 'pending' : 'absent';
+    return result;
+  }
+  result.status = 'attended';
+  const firstIn = Math.min(...matched.map(t => new Date(t.clockIn).getTime()));
+  const open = matched.some(t => !t.clockOut);
+  const lastOut = open ? null : Math.max(...matched.map(t => new Date(t.clockOut).getTime()));
+  result.clockIn = new Date(firstIn).toISOString();
+  result.clockOut = lastOut === null ? null : new Date(lastOut).toISOString();
+  if (span) {
+    const late = Math.round((firstIn - span.start) / MINUTE_MS);
+    if (late > r.lateGraceMinutes) result.lateMinutes = late;
+    if (lastOut !== null && now >= span.end) {
+      const early = Math.round((span.end - lastOut) / MINUTE_MS);
+      if (early > r.earlyLeaveGraceMinutes) result.earlyLeaveMinutes = early;
+    }
+  }
+  return result;
+}
+
+// Asistencia de un usuario en los turnos entre `from` y `to` (días
+// incluidos; cualquiera puede faltar).  `leaveDays` son los días de permiso
+// aprobado.  Devuelve { results, totals } con
+// totals = { shifts, attended, absent, leave, late, earlyLeave }.
+function checkAttendance(user, { rules, timeZone, from = null, to = null, now = Date.now(), leaveDays = new Set() }) {
+  const times = user.times || [];
+  const results = (user.schedules || [])
+    .filter(s => (!from || s.date >= from) && (!to || s.date <= to))
+    .sort((a, b) => (a.date + (a.start || '')).localeCompare(b.date + (b.start || '')))
+    .map(shift => checkShift(shift, times, { rules, timeZone, now, leaveDays }));
+  const totals = { shifts: results.length, attended: 0, absent: 0, leave: 0, late: 0, earlyLeave: 0 };
+  results.forEach(res => {
+    if (res.status === 'attended') totals.attended++;
+    if (res.status === 'absent') totals.absent++;
+    if (res.status === 'leave') totals.leave++;
+    if (res.lateMinutes > 0) totals.late++;
+    if (res.earlyLeaveMinutes > 0) totals.earlyLeave++;
+  });
+  return { results, totals };
+}
+
+module.exports = {
+  DEFAULT_ATTENDANCE_RULES,
+  resolveAttendanceRules,
+  parseAttendanceRules,
+  parseShift,
+  parseShiftTemplate,
+  templateShifts,
+  shiftWindow,
+  checkAttendance
+};
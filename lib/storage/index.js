@@ -0,0 +1,57 @@
+/*
+ * Capa de almacenamiento de SettleMe.
+ *
+ * Todos los backends exponen la misma interfaz síncrona:
+ *
+ *   load()      devuelve el estado completo: { schemaVersion, users, groups, company, ... }
+ *               (cada usuario con sus `times`, `receipts` y `schedules`)
+ *   save(data)  persiste el estado
+ *   close()     libera el archivo o la base de datos
+ *   name        'json' o 'sqlite'
+ *   location    ruta del archivo o de la base de datos
+ *
+ * El backend se elige con STORAGE_BACKEND (json por defecto).
+ */
+
+const path = require('path');
+const { createJsonStorage } = require('./json');
+
+const BACKENDS = ['json', 'sqlite'];
+
+// Crea el backend configurado.  `baseDir` es el directorio de la aplicación,
+// usado para las rutas por defecto.
+function createStorage(config, baseDir) {
+  const backend = (config.STORAGE_BACKEND || 'json').toLowerCase();
+  if (backend === 'json') {
+    return createJsonStorage({ file: path.resolve(baseDir, config.DATA_FILE || 'data.json') });
+  }
+  if (backend === 'sqlite') {
+    // Se carga solo si se usa: node:sqlite no existe en versiones antiguas de Node
+    const { createSqliteStorage } = require('./sqlite');
+    return createSqliteStorage({ file: path.resolve(baseDir, config.SQLITE_FILE || 'settleme.db') });
+  }
+  throw new Error(`STORAGE_BACKEND no válido: ${backend} (usa ${BACKENDS.join(' o ')})`);
+}
+
+// Asigna un id a los horarios y recibos que no lo tengan (datos anteriores a
+// la capa de almacenamiento).  Devuelve cuántos se asignaron.
+function ensureRecordIds(data) {
+  let assigned = 0;
+  (data.users || []).forEach(user => {
+    (user.times || []).forEach(t => {
+      if (!t.id) {
+        t.id = 'tim_' + Math.random().toString(36).substr(2, 9);
+        assigned++;
+      }
+    });
+    (user.receipts || []).forEach(r => {
+      if (!r.id) {
+        r.id = 'rcp_' + Math.random().toString(36).substr(2, 9);
+        assigned++;
+      }
+    });
+  });
+  return assigned;
+}
+
+module.exports = { createStorage, ensureRecordIds, BACKENDS };
@@ -0,0 +1,80 @@
+/*
+ * Almacenamiento en un archivo JSON (data.json).
+ *
+ * Es el formato original de SettleMe: todo el estado en un único documento.
+ * Cada guardado reescribe el archivo completo, por lo que es adecuado para
+ * instalaciones pequeñas; para volúmenes mayores usa el backend SQLite.
+ *
+ * Las escrituras son atómicas (archivo temporal + renombrado).  Si el archivo
+ * existe pero no se puede interpretar, no se carga ni se sobrescribe: un
+ * archivo dañado no debe convertirse en un estado vacío.
+ */
+
+const fs = require('fs');
+const { writeFileAtomic } = require('../fs-utils');
+
+function createJsonStorage({ file }) {
+  // Tamaño y fecha del archivo tras la última lectura o escritura propia;
+  // si cambian, alguien lo modificó desde fuera
+  let known = null;
+
+  function fileStat() {
+    try {
+      const st = fs.statSync(file);
+      return { size: st.size, mtimeMs: st.mtimeMs };
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  // Lee y valida el archivo.  Devuelve null si no existe.
+  function readFile() {
+    let raw;
+    try {
+      raw = fs.readFileSync(file, 'utf-8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+    let data;
+    try {
+      data = JSON.parse(raw);
+    } catch (err) {
+      throw new Error(`No se puede leer ${file}: ${err.message}`);
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error(`No se puede leer ${file}: el contenido no es un objeto de datos`);
+    }
+    return data;
+  }
+
+  return {
+    name: 'json',
+    location: file,
+
+    // Lee el archivo de datos. Si no existe, devuelve estructura vacía.
+    load() {
+      const data = readFile() || {};
+      known = fileStat();
+      if (!Array.isArray(data.users)) data.users = [];
+      if (!Array.isArray(data.groups)) data.groups = [];
+      return data;
+    },
+
+    // Guarda el estado completo.  Antes de reemplazar un archivo modificado
+    // desde fuera comprueba que siga siendo legible.
+    save(data) {
+      const current = fileStat();
+      if (current && (!known || current.size !== known.size || current.mtimeMs !== known.mtimeMs)) {
+        readFile();
+      }
+      writeFileAtomic(file, JSON.stringify(data, null, 2));
+      known = fileStat();
+    },
+
+    close() {}
+  };
+}
+
+module.exports = { createJsonStorage };
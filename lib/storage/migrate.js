@@ -0,0 +1,55 @@
+/*
+ * Importa un data.json existente en una base de datos SQLite.
+ *
+ * Uso (desde el directorio de la aplicación, con Node.js 22.5 o superior):
+ *
+ *   node lib/storage/migrate.js [origen.json] [destino.db] [--force]
+ *
+ * Por defecto lee data.json y escribe settleme.db.  Si la base de datos ya
+ * contiene usuarios no se modifica salvo con --force, que reemplaza todo su
+ * contenido.  El archivo JSON no se altera.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createJsonStorage } = require('./json');
+const { createSqliteStorage } = require('./sqlite');
+const { ensureRecordIds } = require('./index');
+
+function main(argv) {
+  const force = argv.includes('--force');
+  const args = argv.filter(a => a !== '--force');
+  const appDir = path.join(__dirname, '..', '..');
+  const source = path.resolve(args[0] || process.env.DATA_FILE || path.join(appDir, 'data.json'));
+  const target = path.resolve(args[1] || process.env.SQLITE_FILE || path.join(appDir, 'settleme.db'));
+  if (!fs.existsSync(source)) {
+    console.error(`No existe el archivo de origen: ${source}`);
+    return 1;
+  }
+  const data = createJsonStorage({ file: source }).load();
+  const assigned = ensureRecordIds(data);
+  const db = createSqliteStorage({ file: target });
+  try {
+    db.load();
+    if (!db.isEmpty() && !force) {
+      console.error(`La base de datos ${target} ya contiene usuarios.  Usa --force para reemplazar su contenido.`);
+      return 1;
+    }
+    db.save(data);
+  } finally {
+    db.close();
+  }
+  const times = data.users.reduce((n, u) => n + (u.times || []).length, 0);
+  const receipts = data.users.reduce((n, u) => n + (u.receipts || []).length, 0);
+  console.log(`Importado ${source} -> ${target}`);
+  console.log(`  usuarios: ${data.users.length}, grupos: ${data.groups.length}, horarios: ${times}, recibos: ${receipts}`);
+  if (assigned > 0) console.log(`  ids asignados a horarios/recibos sin id: ${assigned}`);
+  console.log('Arranca el servidor con STORAGE_BACKEND=sqlite para usar la base de datos.');
+  return 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main };
@@ -0,0 +1,98 @@
+/*
+ * Copias de seguridad (instantáneas) del estado de la aplicación.
+ *
+ * Cada instantánea es un archivo JSON con el estado completo, sea cual sea el
+ * backend de almacenamiento, nombrado con la fecha y el motivo:
+ *
+ *   snapshots/snapshot-2026-01-31T10-00-00-000Z-auto.json
+ *
+ * Las copias de seguridad previas a una migración o una restauración
+ * (SAFETY_REASONS) se rotan aparte: se conservan las `safetyRetention` más
+ * recientes, y de las demás las `retention` más recientes, de modo que las
+ * instantáneas periódicas no las eliminan.  Las imágenes no se copian:
+ * el almacén de archivos nunca borra ni modifica contenido, por lo que las
+ * referencias de una instantánea siguen siendo válidas.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('../fs-utils');
+
+const ID_PATTERN = /^snapshot-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)-([a-z-]+)$/;
+// Motivos de las copias de seguridad con su propia retención
+const SAFETY_REASONS = ['pre-migration', 'pre-restore'];
+
+function createSnapshotManager({ dir, retention, safetyRetention }) {
+  function snapshotPath(id) {
+    return path.join(dir, id + '.json');
+  }
+
+  // Datos de una instantánea a partir de su nombre
+  function describe(id) {
+    const match = ID_PATTERN.exec(id);
+    if (!match) return null;
+    const [date, time] = match[1].split('T');
+    const createdAt = `${date}T${time.replace(/^(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, '$1:$2:$3.$4Z')}`;
+    let size = 0;
+    try {
+      size = fs.statSync(snapshotPath(id)).size;
+    } catch (err) {
+      return null;
+    }
+    return { id, createdAt, reason: match[2], safety: SAFETY_REASONS.includes(match[2]), size };
+  }
+
+  // Instantáneas existentes, de la más reciente a la más antigua
+  function list() {
+    let names = [];
+    try {
+      names = fs.readdirSync(dir);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    return names
+      .filter(name => name.endsWith('.json'))
+      .map(name => describe(name.slice(0, -5)))
+      .filter(Boolean)
+      .sort((a, b) => (a.id < b.id ? 1 : -1));
+  }
+
+  // Borra las instantáneas que exceden la retención de su tipo
+  function prune() {
+    const all = list();
+    const excess = [
+      ...all.filter(s => !s.safety).slice(retention),
+      ...all.filter(s => s.safety).slice(safetyRetention)
+    ];
+    excess.forEach(s => fs.rmSync(snapshotPath(s.id), { force: true }));
+  }
+
+  // Crea una instantánea del estado.  Si el contenido es idéntico al de la
+  // más reciente del mismo tipo no se duplica y se devuelve esa.
+  function create(data, reason) {
+    const content = JSON.stringify(data);
+    const safety = SAFETY_REASONS.includes(reason);
+    const latest = list().find(s => s.safety === safety);
+    if (latest && fs.readFileSync(snapshotPath(latest.id), 'utf-8') === content) {
+      return latest;
+    }
+    const id = `snapshot-${new Date().toISOString().replace(/[:.]/g, '-')}-${reason}`;
+    writeFileAtomic(snapshotPath(id), content);
+    prune();
+    return describe(id);
+  }
+
+  // Lee el estado guardado en una instantánea (null si no existe)
+  function read(id) {
+    if (!describe(id)) return null;
+    const data = JSON.parse(fs.readFileSync(snapshotPath(id), 'utf-8'));
+    if (!data || !Array.isArray(data.users) || !Array.isArray(data.groups)) {
+      throw new Error(`La instantánea ${id} no contiene datos válidos`);
+    }
+    return data;
+  }
+
+  return { dir, list, create, read };
+}
+
+module.exports = { SAFETY_REASONS, createSnapshotManager };
@@ -0,0 +1,218 @@
+/*
+ * Almacenamiento en SQLite mediante el módulo integrado `node:sqlite`
+ * (Node.js 22.5 o superior).
+ *
+ * Tablas:
+ *   users     datos de cada usuario (sin horarios ni recibos)
+ *   times     registros de entrada/salida, uno por fila
+ *   receipts  recibos, uno por fila
+ *   groups    grupos
+ *   records   elementos de otras colecciones con `id` (invitaciones,
+ *             restablecimientos de contraseña...), una fila por elemento
+ *   settings  resto de valores de primer nivel (logo de la compañía...)
+ *
+ * Cada fila guarda el objeto completo en la columna `data` (JSON); las demás
+ * columnas sirven para ordenar y consultar.  Al guardar solo se escriben las
+ * filas que cambiaron desde la última lectura o escritura, dentro de una
+ * transacción.
+ */
+
+// Columnas de cada tabla; las primeras `key` forman la clave primaria
+const TABLES = {
+  users: { columns: ['id', 'position', 'email', 'data'], key: 1 },
+  times: { columns: ['id', 'user_id', 'position', 'clock_in', 'clock_out', 'data'], key: 1 },
+  receipts: { columns: ['id', 'user_id', 'position', 'data'], key: 1 },
+  groups: { columns: ['id', 'position', 'data'], key: 1 },
+  records: { columns: ['collection', 'id', 'position', 'data'], key: 2 },
+  settings: { columns: ['key', 'value'], key: 1 }
+};
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS "users" (id TEXT PRIMARY KEY, position INTEGER NOT NULL, email TEXT, data TEXT NOT NULL);
+  CREATE INDEX IF NOT EXISTS users_email ON "users" (email);
+  CREATE TABLE IF NOT EXISTS "times" (id TEXT PRIMARY KEY, user_id TEXT NOT NULL, position INTEGER NOT NULL,
+    clock_in TEXT, clock_out TEXT, data TEXT NOT NULL);
+  CREATE INDEX IF NOT EXISTS times_user ON "times" (user_id, position);
+  CREATE TABLE IF NOT EXISTS "receipts" (id TEXT PRIMARY KEY, user_id TEXT NOT NULL, position INTEGER NOT NULL, data TEXT NOT NULL);
+  CREATE INDEX IF NOT EXISTS receipts_user ON "receipts" (user_id, position);
+  CREATE TABLE IF NOT EXISTS "groups" (id TEXT PRIMARY KEY, position INTEGER NOT NULL, data TEXT NOT NULL);
+  CREATE TABLE IF NOT EXISTS "records" (collection TEXT NOT NULL, id TEXT NOT NULL, position INTEGER NOT NULL,
+    data TEXT NOT NULL, PRIMARY KEY (collection, id));
+  CREATE TABLE IF NOT EXISTS "settings" (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+`;
+
+// Carga node:sqlite con un mensaje claro si la versión de Node no lo incluye
+function loadSqliteModule() {
+  try {
+    return require('node:sqlite');
+  } catch (err) {
+    throw new Error(`El backend SQLite requiere Node.js 22.5 o superior (versión actual: ${process.version})`);
+  }
+}
+
+// Una colección de primer nivel se guarda fila a fila si es una lista de
+// objetos con `id` de texto.  Las listas vacías se guardan en settings para
+// que la colección siga existiendo al recargar.
+function isRecordCollection(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(item => item && typeof item === 'object' && typeof item.id === 'string');
+}
+
+// Los horarios y recibos necesitan un id estable para guardarse fila a fila
+function requireId(item, collection) {
+  if (!item || typeof item.id !== 'string') {
+    throw new Error(`Elemento sin id en ${collection}; ejecuta ensureRecordIds antes de guardar`);
+  }
+}
+
+// Convierte el estado en las filas de cada tabla: { tabla: [[valores], ...] }
+function buildRows(data) {
+  const rows = { users: [], times: [], receipts: [], groups: [], records: [], settings: [] };
+  (data.users || []).forEach((user, position) => {
+    const { times, receipts, ...rest } = user;
+    rows.users.push([user.id, position, user.email || null, JSON.stringify(rest)]);
+    (times || []).forEach((t, i) => {
+      requireId(t, 'times');
+      rows.times.push([t.id, user.id, i, t.clockIn || null, t.clockOut || null, JSON.stringify(t)]);
+    });
+    (receipts || []).forEach((r, i) => {
+      requireId(r, 'receipts');
+      rows.receipts.push([r.id, user.id, i, JSON.stringify(r)]);
+    });
+  });
+  (data.groups || []).forEach((group, position) => {
+    rows.groups.push([group.id, position, JSON.stringify(group)]);
+  });
+  Object.keys(data).forEach(key => {
+    if (key === 'users' || key === 'groups' || data[key] === undefined) return;
+    if (isRecordCollection(data[key])) {
+      data[key].forEach((item, position) => {
+        rows.records.push([key, item.id, position, JSON.stringify(item)]);
+      });
+    } else {
+      rows.settings.push([key, JSON.stringify(data[key])]);
+    }
+  });
+  return rows;
+}
+
+function createSqliteStorage({ file }) {
+  const { DatabaseSync } = loadSqliteModule();
+  const db = new DatabaseSync(file);
+  db.exec('PRAGMA journal_mode = WAL');
+  db.exec(SCHEMA);
+
+  // Sentencias preparadas de inserción/actualización y borrado por tabla
+  const statements = {};
+  Object.keys(TABLES).forEach(table => {
+    const { columns, key } = TABLES[table];
+    const keyColumns = columns.slice(0, key);
+    const updates = columns.slice(key).map(c => `${c} = excluded.${c}`).join(', ');
+    statements[table] = {
+      upsert: db.prepare(`INSERT INTO "${table}" (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})
+        ON CONFLICT (${keyColumns.join(', ')}) DO UPDATE SET ${updates}`),
+      remove: db.prepare(`DELETE FROM "${table}" WHERE ${keyColumns.map(c => `${c} = ?`).join(' AND ')}`)
+    };
+  });
+
+  // Última versión guardada de cada fila: tabla -> (clave -> valores unidos).
+  // Permite escribir únicamente las filas modificadas.
+  const persisted = {};
+  Object.keys(TABLES).forEach(table => { persisted[table] = new Map(); });
+
+  function rowKey(table, values) {
+    return values.slice(0, TABLES[table].key).join('\u0000');
+  }
+
+  function rowSignature(values) {
+    return values.map(v => (v === null ? '\u0001' : String(v))).join('\u0000');
+  }
+
+  // Recuerda las filas como guardadas sin escribirlas
+  function remember(rows) {
+    Object.keys(rows).forEach(table => {
+      persisted[table].clear();
+      rows[table].forEach(values => persisted[table].set(rowKey(table, values), rowSignature(values)));
+    });
+  }
+
+  // Sincroniza una tabla: borra las filas que ya no existen y escribe las
+  // nuevas o modificadas
+  function syncTable(table, rows) {
+    const current = new Map();
+    rows.forEach(values => current.set(rowKey(table, values), values));
+    for (const key of Array.from(persisted[table].keys())) {
+      if (!current.has(key)) {
+        statements[table].remove.run(...key.split('\u0000'));
+        persisted[table].delete(key);
+      }
+    }
+    current.forEach((values, key) => {
+      const signature = rowSignature(values);
+      if (persisted[table].get(key) !== signature) {
+        statements[table].upsert.run(...values);
+        persisted[table].set(key, signature);
+      }
+    });
+  }
+
+  return {
+    name: 'sqlite',
+    location: file,
+
+    load() {
+      const data = {};
+      const users = db.prepare('SELECT id, data FROM "users" ORDER BY position').all();
+      const byId = new Map();
+      data.users = users.map(row => {
+        const user = JSON.parse(row.data);
+        user.times = [];
+        user.receipts = [];
+        byId.set(row.id, user);
+        return user;
+      });
+      db.prepare('SELECT user_id, data FROM "times" ORDER BY user_id, position').all().forEach(row => {
+        const user = byId.get(row.user_id);
+        if (user) user.times.push(JSON.parse(row.data));
+      });
+      db.prepare('SELECT user_id, data FROM "receipts" ORDER BY user_id, position').all().forEach(row => {
+        const user = byId.get(row.user_id);
+        if (user) user.receipts.push(JSON.parse(row.data));
+      });
+      data.groups = db.prepare('SELECT data FROM "groups" ORDER BY position').all().map(row => JSON.parse(row.data));
+      db.prepare('SELECT collection, data FROM "records" ORDER BY collection, position').all().forEach(row => {
+        if (!Array.isArray(data[row.collection])) data[row.collection] = [];
+        data[row.collection].push(JSON.parse(row.data));
+      });
+      db.prepare('SELECT key, value FROM "settings"').all().forEach(row => {
+        data[row.key] = JSON.parse(row.value);
+      });
+      remember(buildRows(data));
+      return data;
+    },
+
+    save(data) {
+      const rows = buildRows(data);
+      db.exec('BEGIN');
+      try {
+        Object.keys(rows).forEach(table => syncTable(table, rows[table]));
+        db.exec('COMMIT');
+      } catch (err) {
+        db.exec('ROLLBACK');
+        // La caché puede no reflejar la base de datos: releerla del disco
+        this.load();
+        throw err;
+      }
+    },
+
+    // Indica si la base de datos no contiene usuarios (p. ej. antes de importar)
+    isEmpty() {
+      return db.prepare('SELECT COUNT(*) AS n FROM "users"').get().n === 0;
+    },
+
+    close() {
+      db.close();
+    }
+  };
+}
+
+module.exports = { createSqliteStorage };
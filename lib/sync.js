@@ -0,0 +1,94 @@
+/*
+ * Envíos diferidos del panel del empleado: fichajes y recibos que se guardan
+ * en el dispositivo sin conexión y se envían al recuperarla.
+ *
+ * Cada envío lleva una clave de idempotencia (cabecera `Idempotency-Key`)
+ * que el servidor recuerda durante IDEMPOTENCY_KEY_DAYS días por usuario
+ * (`data.idempotencyKeys`):
+ *
+ *   { key, userId, kind: 'clock' | 'receipt', resultId, createdAt }
+ *
+ * Un reintento con una clave ya registrada se rechaza sin repetir el fichaje
+ * ni el recibo.
+ *
+ * El cuerpo de un envío diferido incluye dos horas del reloj del dispositivo:
+ *
+ *   recordedAt   cuándo fichó el empleado (o subió el recibo)
+ *   sentAt       cuándo se envió la petición
+ *
+ * La diferencia entre la hora del servidor al recibir la petición y `sentAt`
+ * es el desfase del reloj del dispositivo; la hora registrada es `recordedAt`
+ * corregida con ese desfase.  Los desfases de más de MAX_CLOCK_SKEW_MINUTES
+ * se marcan para que un administrador los revise.  El registro guarda los
+ * datos del envío:
+ *
+ *   { recordedAt, sentAt, receivedAt, skewSeconds, skewFlagged }
+ */
+
+const MAX_CLOCK_SKEW_MINUTES = 5;
+// Antigüedad máxima de un envío diferido; lo anterior se pide como corrección
+const MAX_OFFLINE_DAYS = 7;
+const IDEMPOTENCY_KEY_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const KEY_PATTERN = /^[A-Za-z0-9_-]{8,100}$/;
+
+// Valida la cabecera Idempotency-Key.  Devuelve { key } (null si no se
+// envió) o { error }.
+function parseIdempotencyKey(value) {
+  if (value === undefined || value === '') return { key: null };
+  if (!KEY_PATTERN.test(value)) return { error: 'Clave de idempotencia no válida' };
+  return { key: value };
+}
+
+// Indica si el usuario ya usó la clave
+function isDuplicateSubmission(keys, userId, key) {
+  return keys.some(k => k.userId === userId && k.key === key);
+}
+
+// Registra una clave usada y descarta las caducadas.  Devuelve la nueva lista.
+function rememberIdempotencyKey(keys, { key, userId, kind, resultId }, now = Date.now()) {
+  const kept = keys.filter(k => now - new Date(k.createdAt).getTime() < IDEMPOTENCY_KEY_DAYS * DAY_MS);
+  kept.push({ key, userId, kind, resultId, createdAt: new Date(now).toISOString() });
+  return kept;
+}
+
+function parseInstant(value) {
+  if (typeof value !== 'string') return null;
+  const time = new Date(value).getTime();
+  return Number.isFinite(time) ? time : null;
+}
+
+// Hora de un envío diferido a partir de { recordedAt, sentAt } del
+// dispositivo.  Devuelve { at, sync } (at en ISO, nunca posterior a la
+// recepción) o { error }.
+function resolveDeviceTime(input, receivedAt = Date.now()) {
+  const recordedAt = parseInstant(input.recordedAt);
+  const sentAt = parseInstant(input.sentAt);
+  if (recordedAt === null || sentAt === null) return { error: 'Faltan las horas del dispositivo' };
+  if (recordedAt > sentAt) return { error: 'La hora del registro es posterior a la del envío' };
+  const skew = receivedAt - sentAt;
+  const at = Math.min(recordedAt + skew, receivedAt);
+  if (receivedAt - at > MAX_OFFLINE_DAYS * DAY_MS) {
+    return { error: `El registro tiene más de ${MAX_OFFLINE_DAYS} días; solicita una corrección de horario` };
+  }
+  const skewSeconds = Math.round(skew / 1000);
+  return {
+    at: new Date(at).toISOString(),
+    sync: {
+      recordedAt: new Date(recordedAt).toISOString(),
+      sentAt: new Date(sentAt).toISOString(),
+      receivedAt: new Date(receivedAt).toISOString(),
+      skewSeconds,
+      skewFlagged: Math.abs(skewSeconds) > MAX_CLOCK_SKEW_MINUTES * 60
+    }
+  };
+}
+
+module.exports = {
+  MAX_CLOCK_SKEW_MINUTES,
+  parseIdempotencyKey,
+  isDuplicateSubmission,
+  rememberIdempotencyKey,
+  resolveDeviceTime
+};
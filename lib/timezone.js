@@ -0,0 +1,60 @@
+/*
+ * Zona horaria de la compañía.
+ *
+ * Las fechas se guardan en ISO (UTC), pero el día al que pertenece un
+ * registro depende de la zona: una entrada a las 23:30 en Madrid es el día
+ * siguiente en UTC.  La compañía define su zona (`company.timeZone`, un
+ * nombre IANA como 'Europe/Madrid') y cada grupo puede sustituirla por la
+ * suya (`group.timeZone`, null para usar la de la compañía).
+ *
+ * js/app.js tiene las mismas funciones para el navegador.
+ */
+
+// Zona del sistema donde corre el servidor (valor inicial de la compañía)
+function hostTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+// Indica si `timeZone` es un nombre de zona que entiende Intl
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Día (YYYY-MM-DD) de una fecha ISO en la zona indicada
+function dateKey(iso, timeZone) {
+  // en-CA da el formato año-mes-día
+  return new Date(iso).toLocaleDateString('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' });
+}
+
+// Fecha y hora cortas en español en la zona indicada
+function formatDateTime(iso, timeZone) {
+  return new Date(iso).toLocaleString('es-ES', { dateStyle: 'short', timeStyle: 'short', timeZone });
+}
+
+// Diferencia en milisegundos entre la hora de la zona y UTC en un instante
+function zoneOffset(date, timeZone) {
+  const p = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(date).forEach(part => { p[part.type] = part.value; });
+  const asUtc = Date.UTC(Number(p.year), Number(p.month) - 1, Number(p.day), Number(p.hour), Number(p.minute), Number(p.second));
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Instante (ms) de un día YYYY-MM-DD a una hora HH:MM de la zona indicada
+function zonedTime(day, time, timeZone) {
+  const [year, month, date] = day.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const asUtc = Date.UTC(year, month - 1, date, hour, minute);
+  // Segunda pasada por si el desfase cambia entre ambos instantes (horario de verano)
+  const first = asUtc - zoneOffset(new Date(asUtc), timeZone);
+  return asUtc - zoneOffset(new Date(first), timeZone);
+}
+
+module.exports = { hostTimeZone, isValidTimeZone, dateKey, formatDateTime, zonedTime };
@@ -12,24 +12,225 @@
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { createMailer, isValidEmail } = require('./lib/mailer');
+const { createStorage } = require('./lib/storage');
+const { createSnapshotManager } = require('./lib/storage/snapshots');
+const { CURRENT_SCHEMA_VERSION, pendingMigrations, runMigrations, formatReport, schemaVersionOf } = require('./lib/migrations');
+const { resolveBreakRules, parseBreakRules, openBreak, hoursBreakdown } = require('./lib/breaks');
+const { isValidTimeZone, dateKey, formatDateTime } = require('./lib/timezone');
+const { resolvePayRules, parsePayRules, isDateKey, calculatePay } = require('./lib/pay');
+const { parseLocation, parseGeofence, checkGeofence } = require('./lib/geofence');
+const { PAID_LEAVE_TYPES, resolveLeavePolicies, parseLeavePolicies, parseLeaveRequest, overlaps, leaveBalances, approvedLeaveDays } = require('./lib/leave');
+const { resolvePayPeriodRules, parsePayPeriodRules, periodContaining, recentPeriods, lockingTimesheet } = require('./lib/periods');
+const { resolveAttendanceRules, parseAttendanceRules, parseShift, parseShiftTemplate, templateShifts, checkAttendance } = require('./lib/shifts');
+const { resolveOpenShiftRules, parseOpenShiftRules, openShiftStatus, closeRecord, checkOpenShifts } = require('./lib/open-shifts');
+const { parseIdempotencyKey, isDuplicateSubmission, rememberIdempotencyKey, resolveDeviceTime } = require('./lib/sync');
+const {
+  newReceiptReview, reviewReceipt, revertReimbursement, owedAmount, isAcceptedReceipt,
+  receiptFingerprint, flagDuplicates, dismissDuplicateFlag
+} = require('./lib/receipts');
+const { parseLedgerEntry, ledgerBalance } = require('./lib/ledger');
+const { createBlobStore, parseDataUrl, isFileRef, fileIdFromRef, FILE_REF_PREFIX } = require('./lib/blobs');
+
+// Carga las variables definidas en .env (sin sobrescribir las del entorno)
+function loadEnvFile(file) {
+  let raw;
+  try {
+    raw = fs.readFileSync(file, 'utf-8');
+  } catch (err) {
+    return;
+  }
+  raw.split(/\r?\n/).forEach(line => {
+    const match = line.match(/^\s*([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/);
+    if (!match) return;
+    const key = match[1];
+    let value = match[2];
+    if (/^(["']).*\1$/.test(value)) {
+      value = value.slice(1, -1);
+    }
+    if (process.env[key] === undefined) {
+      process.env[key] = value;
+    }
+  });
+}
+loadEnvFile(path.join(__dirname, '.env'));
 
 const PORT = process.env.PORT || 3000;
-const DATA_FILE = path.join(__dirname, 'data.json');
+// Registro de auditoría (una línea JSON por acción; solo se añaden líneas)
+const AUDIT_FILE = path.join(__dirname, 'audit.log');
 const PUBLIC_DIR = __dirname;
+// Archivos del directorio público que nunca deben servirse como estáticos
+const PRIVATE_FILES = ['data.json', 'server.js', 'audit.log'];
+
+// Almacenamiento de datos: data.json o SQLite según STORAGE_BACKEND
+const storage = createStorage(process.env, __dirname);
+// Ruta del archivo de datos relativa al directorio público (para no servirlo)
+const STORAGE_REL_PATH = path.relative(__dirname, storage.location);
+// Directorios que tampoco se sirven: módulos del servidor y correos guardados
+// por el transporte de archivo
+const PRIVATE_DIRS = ['lib', 'mail'];
+// Directorio de archivos subidos (fotos, identificaciones, recibos, logo).
+// Solo se sirven mediante /api/files/:id, con control de acceso.
+const FILES_DIR = path.resolve(__dirname, process.env.FILES_DIR || 'files');
+PRIVATE_DIRS.push(path.relative(__dirname, FILES_DIR).split(path.sep)[0]);
+
+// Instantáneas del estado: se crean al arrancar, cada
+// SNAPSHOT_INTERVAL_MINUTES si hubo cambios y antes de restaurar otra.  Se
+// conservan las SNAPSHOT_RETENTION más recientes y, aparte, las
+// SNAPSHOT_SAFETY_RETENTION copias previas a migraciones y restauraciones.
+const SNAPSHOT_DIR = path.resolve(__dirname, process.env.SNAPSHOT_DIR || 'snapshots');
+PRIVATE_DIRS.push(path.relative(__dirname, SNAPSHOT_DIR).split(path.sep)[0]);
+const SNAPSHOT_INTERVAL_MINUTES = Number(process.env.SNAPSHOT_INTERVAL_MINUTES) || 60;
+const snapshots = createSnapshotManager({
+  dir: SNAPSHOT_DIR,
+  retention: Number(process.env.SNAPSHOT_RETENTION) || 24,
+  safetyRetention: Number(process.env.SNAPSHOT_SAFETY_RETENTION) || 10
+});
+
+// Cada OPEN_SHIFT_CHECK_MINUTES se revisan las jornadas abiertas para marcar
+// las olvidadas y cerrar las que superan la duración máxima
+const OPEN_SHIFT_CHECK_MINUTES = Number(process.env.OPEN_SHIFT_CHECK_MINUTES) || 5;
+
+// Dirección pública de la aplicación, usada en los enlaces enviados por
+// correo.  No se deduce de la cabecera Host para que un atacante no pueda
+// alterar el enlace de restablecimiento.
+const APP_URL = (process.env.APP_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
+
+// Duración de la sesión sin actividad (minutos).  Cada petición autenticada
+// renueva el plazo.
+const SESSION_TTL_MS = (Number(process.env.SESSION_TTL_MINUTES) || 480) * 60 * 1000;
+const SESSION_COOKIE = 'settleme_session';
+
+// Parámetros de scrypt para las contraseñas nuevas.  Se guardan junto a cada
+// hash, por lo que pueden endurecerse más adelante: los hashes antiguos se
+// recalculan con los nuevos parámetros cuando el usuario inicia sesión.
+const PASSWORD_HASH_PARAMS = {
+  N: Number(process.env.SCRYPT_N) || 16384,
+  r: 8,
+  p: 1,
+  keylen: 64
+};
 
-// Lee el archivo de datos. Si no existe, devuelve estructura vacía.
+// Protección contra fuerza bruta: intentos fallidos permitidos por cuenta y
+// por IP antes de un bloqueo temporal.  Entre fallos se impone una espera
+// que se duplica con cada intento (1 s, 2 s, 4 s...).
+const LOGIN_MAX_ATTEMPTS = Number(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const LOGIN_MAX_ATTEMPTS_PER_IP = Number(process.env.LOGIN_MAX_ATTEMPTS_PER_IP) || 20;
+const LOGIN_LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const LOGIN_BACKOFF_BASE_MS = 1000;
+
+// Intentos fallidos en memoria: 'account:<email>', 'kiosk:<id>' o
+// 'ip:<dirección>' -> { failures, pending, lastFailureAt, nextAllowedAt,
+// lockedUntil }.  `pending` son los intentos que se están comprobando.
+const loginFailures = new Map();
+// Claves como máximo; al llegar al límite se olvidan las caducadas y después
+// las más antiguas sin bloqueo
+const LOGIN_FAILURES_MAX_KEYS = 10000;
+
+// Validez de las invitaciones de registro (horas)
+const INVITE_TTL_HOURS = Number(process.env.INVITE_TTL_HOURS) || 72;
+
+// Duración máxima de una jornada propuesta en una corrección de horario (horas)
+const TIME_CORRECTION_MAX_HOURS = 24;
+
+// Validez de los enlaces de restablecimiento de contraseña (minutos) y
+// tiempo mínimo entre dos solicitudes para la misma cuenta (segundos)
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+const PASSWORD_RESET_INTERVAL_SECONDS = 60;
+
+// Envío de correo (SMTP, archivo o consola según MAIL_TRANSPORT)
+const mailer = createMailer();
+
+// Clave AES-256 (32 bytes en base64 o hex) para cifrar el SSN y la
+// identificación gubernamental.  Se define en .env como FIELD_ENCRYPTION_KEY.
+const FIELD_ENCRYPTION_KEY = parseEncryptionKey(process.env.FIELD_ENCRYPTION_KEY);
+const ENCRYPTED_PREFIX = 'enc:v1:';
+// Campos del usuario que se guardan cifrados
+const SENSITIVE_FIELDS = ['ssn', 'govData'];
+
+// Almacén de archivos por contenido.  La identificación se guarda cifrada
+// con la misma clave que los campos sensibles.
+const blobs = createBlobStore({ dir: FILES_DIR, encryptionKey: FIELD_ENCRYPTION_KEY });
+
+// Sesiones activas en memoria: token -> { userId, expiresAt }.
+// Reiniciar el servidor invalida todas las sesiones.
+const sessions = new Map();
+
+// Envíos diferidos en curso: '<userId>:<clave>'.  La clave queda reservada
+// desde que llega la petición hasta que se responde, de modo que un
+// reintento simultáneo no se registra dos veces mientras se lee el cuerpo.
+const pendingSubmissions = new Set();
+
+// Estado de la aplicación en memoria.  Se carga una sola vez del
+// almacenamiento y todas las peticiones trabajan sobre el mismo objeto, de
+// modo que dos peticiones simultáneas no se sobrescriben los cambios.
+let appData = null;
+// Número de escrituras realizadas y el que tenía la última instantánea
+let dataVersion = 0;
+let snapshotVersion = -1;
+
+// Devuelve el estado actual (lo carga del almacenamiento la primera vez)
 function readData() {
-  try {
-    const raw = fs.readFileSync(DATA_FILE, 'utf-8');
-    return JSON.parse(raw);
-  } catch (err) {
-    return { users: [], groups: [] };
-  }
+  if (!appData) appData = storage.load();
+  return appData;
 }
 
-// Guarda el archivo de datos.
+// Persiste el estado.  El backend SQLite solo escribe las filas modificadas.
 function writeData(data) {
-  fs.writeFileSync(DATA_FILE, JSON.stringify(data, null, 2));
+  storage.save(data);
+  dataVersion++;
+}
+
+// Crea una instantánea del estado actual
+function takeSnapshot(reason) {
+  const snapshot = snapshots.create(readData(), reason);
+  snapshotVersion = dataVersion;
+  return snapshot;
+}
+
+// Sustituye el estado por otro (restauración).  Se reemplaza el contenido
+// del mismo objeto para que las peticiones en curso no guarden una copia
+// anterior encima.  Los datos restaurados pasan por las mismas migraciones
+// que al arrancar (sin copia previa: ya se tomó la instantánea pre-restore).
+async function replaceData(newData) {
+  const data = readData();
+  Object.keys(data).forEach(key => { delete data[key]; });
+  Object.assign(data, newData);
+  writeData(data);
+  await migrateData({ backup: false });
+}
+
+// Utilidades del servidor que necesitan las migraciones de lib/migrations.js
+function migrationContext(dryRun) {
+  return {
+    dryRun,
+    blobs,
+    hashPassword,
+    encryptField,
+    decryptField,
+    isEncryptedField,
+    sensitiveFields: SENSITIVE_FIELDS
+  };
+}
+
+// Aplica las migraciones de esquema pendientes (al arrancar y tras restaurar
+// una instantánea).  Antes de migrar se guarda una instantánea 'pre-migration'
+// con los datos tal como estaban.
+async function migrateData({ backup = true } = {}) {
+  const data = readData();
+  const pending = pendingMigrations(data);
+  if (pending.length === 0) return [];
+  if (backup) {
+    const snapshot = snapshots.create(data, 'pre-migration');
+    console.log(`Copia previa a la migración: ${snapshot.id}`);
+  }
+  const from = schemaVersionOf(data);
+  const report = await runMigrations(data, migrationContext(false));
+  writeData(data);
+  console.log(`Datos migrados del esquema v${from} al v${data.schemaVersion}:`);
+  console.log(formatReport(report));
+  return report;
 }
 
 // Genera un PDF simple a partir de un título, cabeceras y filas.
@@ -113,140 +314,2336 @@ function generatePDF(title, headers, rows) {
   return Buffer.from(pdf, 'utf8');
 }
 
-// Utilidad para enviar respuesta JSON
-function sendJSON(res, status, obj) {
-  res.writeHead(status, { 'Content-Type': 'application/json' });
-  res.end(JSON.stringify(obj));
+// Interpreta la clave de cifrado de campos.  Devuelve null si falta o es inválida.
+function parseEncryptionKey(value) {
+  if (!value) return null;
+  const key = /^[0-9a-fA-F]{64}$/.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  return key.length === 32 ? key : null;
 }
 
-// Utilidad para parsear cuerpo JSON
-function parseRequestBody(req) {
+// Cifra un valor con AES-256-GCM.  Formato: enc:v1:<iv>:<tag>:<datos> (base64)
+function encryptField(plain) {
+  if (!plain) return '';
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', FIELD_ENCRYPTION_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(String(plain), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return ENCRYPTED_PREFIX + [iv, tag, encrypted].map(b => b.toString('base64')).join(':');
+}
+
+// Descifra un valor producido por encryptField.  Los valores sin cifrar se
+// devuelven tal cual (datos anteriores a la migración).
+function decryptField(value) {
+  if (!value || !isEncryptedField(value)) return value || '';
+  const [iv, tag, encrypted] = value.slice(ENCRYPTED_PREFIX.length).split(':').map(p => Buffer.from(p, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', FIELD_ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+function isEncryptedField(value) {
+  return typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+}
+
+// Enmascara un SSN dejando visibles solo los últimos 4 dígitos
+function maskSsn(ssn) {
+  const digits = String(ssn || '').replace(/\D/g, '');
+  if (!digits) return '';
+  return digits.length > 4 ? '***-**-' + digits.slice(-4) : '****';
+}
+
+// Deriva una clave scrypt (versión con promesa)
+function scryptAsync(password, salt, params) {
   return new Promise((resolve, reject) => {
-    let body = '';
-    req.on('data', chunk => {
-      body += chunk;
-    });
-    req.on('end', () => {
-      if (body) {
-        try {
-          const json = JSON.parse(body);
-          resolve(json);
-        } catch (err) {
-          reject(new Error('Invalid JSON'));
-        }
-      } else {
-        resolve({});
-      }
+    const options = { N: params.N, r: params.r, p: params.p, maxmem: 256 * params.N * params.r };
+    crypto.scrypt(password, salt, params.keylen, options, (err, key) => {
+      if (err) reject(err);
+      else resolve(key);
     });
   });
 }
 
-// Crea el servidor
-const server = http.createServer(async (req, res) => {
-  // CORS headers para permitir solicitudes desde cualquier origen
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+// Calcula el hash de una contraseña con sal aleatoria.
+// Formato: scrypt$N=16384,r=8,p=1$<sal base64>$<hash base64>
+async function hashPassword(password) {
+  const params = PASSWORD_HASH_PARAMS;
+  const salt = crypto.randomBytes(16);
+  const key = await scryptAsync(String(password), salt, params);
+  return `scrypt$N=${params.N},r=${params.r},p=${params.p}$${salt.toString('base64')}$${key.toString('base64')}`;
+}
 
-  if (req.method === 'OPTIONS') {
-    res.writeHead(200);
-    res.end();
-    return;
+// Interpreta un hash almacenado. Devuelve null si el formato no es válido.
+function parsePasswordHash(stored) {
+  const fields = String(stored || '').split('$');
+  if (fields.length !== 4 || fields[0] !== 'scrypt') return null;
+  const params = {};
+  fields[1].split(',').forEach(pair => {
+    const [k, v] = pair.split('=');
+    params[k] = Number(v);
+  });
+  if (!params.N || !params.r || !params.p) return null;
+  const salt = Buffer.from(fields[2], 'base64');
+  const key = Buffer.from(fields[3], 'base64');
+  return { params: { N: params.N, r: params.r, p: params.p, keylen: key.length }, salt, key };
+}
+
+// Comprueba la contraseña de un usuario en tiempo constante.  Acepta también
+// contraseñas antiguas en texto plano (campo password) para poder migrarlas.
+async function verifyUserPassword(user, password) {
+  const candidate = String(password || '');
+  if (user && user.passwordHash) {
+    const parsed = parsePasswordHash(user.passwordHash);
+    if (!parsed) return false;
+    const key = await scryptAsync(candidate, parsed.salt, parsed.params);
+    return crypto.timingSafeEqual(key, parsed.key);
   }
+  if (user && typeof user.password === 'string') {
+    // Se comparan resúmenes de igual longitud para no filtrar información por tiempo
+    const a = crypto.createHash('sha256').update(candidate).digest();
+    const b = crypto.createHash('sha256').update(user.password).digest();
+    return crypto.timingSafeEqual(a, b);
+  }
+  // Usuario inexistente: se calcula un hash igualmente para igualar tiempos
+  await hashPassword(candidate);
+  return false;
+}
 
-  const url = req.url.split('?')[0];
-  const method = req.method;
+// Indica si el usuario necesita recalcular su hash (texto plano o parámetros antiguos)
+function passwordNeedsUpgrade(user) {
+  if (!user.passwordHash) return true;
+  const parsed = parsePasswordHash(user.passwordHash);
+  if (!parsed) return true;
+  const current = PASSWORD_HASH_PARAMS;
+  return parsed.params.N !== current.N || parsed.params.r !== current.r ||
+    parsed.params.p !== current.p || parsed.params.keylen !== current.keylen;
+}
 
-  // Rutas API
-  if (url.startsWith('/api/')) {
-    const parts = url.split('/').filter(Boolean); // elimina cadenas vacías
-    // parts[0] = 'api'
+// Guarda una nueva contraseña en el usuario y elimina el texto plano heredado
+async function setUserPassword(user, password) {
+  user.passwordHash = await hashPassword(password);
+  delete user.password;
+}
+
+// Copia del usuario apta para respuestas de la API: sin datos de
+// autenticación, con el SSN enmascarado, sin la imagen de identificación y
+// con la foto como URL de /api/files.
+function sanitizeUser(user) {
+  const { password, passwordHash, kioskPinHash, ssn, govData, ...safe } = user;
+  safe.ssnMasked = ssn ? maskSsn(decryptField(ssn)) : '';
+  safe.hasKioskPin = Boolean(kioskPinHash);
+  safe.hasGovId = Boolean(govData);
+  safe.photoData = fileUrl(user.photoData);
+  if (Array.isArray(user.receipts)) safe.receipts = user.receipts.map(employeeReceipt);
+  if (Array.isArray(user.times)) safe.times = user.times.map(sanitizeTime);
+  safe.timeZone = userTimeZone(readData(), user);
+  return safe;
+}
+
+// Zona horaria de un grupo: la suya o, si no tiene, la de la compañía
+function groupTimeZone(data, group) {
+  return (group && group.timeZone) || data.company.timeZone;
+}
+
+// Grupo al que pertenece un usuario (cada usuario está como mucho en uno)
+function userGroup(data, user) {
+  return data.groups.find(g => (g.members || []).includes(user.id)) || null;
+}
+
+// Zona horaria con la que se calculan los días de un usuario (la de su grupo)
+function userTimeZone(data, user) {
+  return groupTimeZone(data, userGroup(data, user));
+}
+
+// Registro de horario con el desglose de horas según las reglas de descanso
+// (netHours es null mientras la jornada sigue abierta)
+function sanitizeTime(record) {
+  const breakdown = hoursBreakdown(record, readData().company.breakRules);
+  return { ...record, ...(breakdown || { netHours: null }) };
+}
+
+// Recibo con la imagen como URL de /api/files
+function sanitizeReceipt(receipt) {
+  return { ...receipt, imageData: fileUrl(receipt.imageData) };
+}
+
+// Recibo tal como lo ve el empleado: sin la huella de la imagen ni la alerta
+// de posible duplicado, que solo revisan los administradores
+function employeeReceipt(receipt) {
+  const { fingerprint, duplicateFlag, ...rest } = sanitizeReceipt(receipt);
+  return rest;
+}
+
+// Recibo para la respuesta según quién consulta
+function receiptForActor(actor, receipt) {
+  return actor.role === 'admin' ? sanitizeReceipt(receipt) : employeeReceipt(receipt);
+}
+
+// Recibos de todos los usuarios: [{ user, receipt }]
+function allReceipts(data) {
+  const all = [];
+  data.users.forEach(user => {
+    (user.receipts || []).forEach(receipt => all.push({ user, receipt }));
+  });
+  return all;
+}
+
+// URL de descarga de una referencia `file:<id>`.  Otros valores (vacíos o
+// data URL antiguos) se devuelven sin cambios.
+function fileUrl(value) {
+  return isFileRef(value) ? '/api/files/' + fileIdFromRef(value) : value;
+}
+
+// Guarda una imagen subida como data URL y devuelve su referencia.  Devuelve
+// '' si no se envió imagen y null si el valor no es una imagen válida.
+function storeImage(value, options) {
+  if (!value) return '';
+  const parsed = parseDataUrl(value);
+  if (!parsed || !parsed.contentType.startsWith('image/') || parsed.buffer.length === 0) return null;
+  return FILE_REF_PREFIX + blobs.put(parsed.buffer, parsed.contentType, options);
+}
+
+// Valor descifrado de un campo sensible; la identificación se lee del
+// almacén de archivos como data URL
+function readSensitiveField(user, field) {
+  if (isFileRef(user[field])) return blobs.toDataUrl(user[field]);
+  return decryptField(user[field]);
+}
+
+// Busca los registros que referencian un archivo: [{ kind, user }].
+// kind: 'logo', 'photo', 'govId' o 'receipt'.  Los archivos se guardan por
+// contenido, así que una misma imagen puede pertenecer a varios usuarios.
+function findFileReferences(data, id) {
+  const ref = FILE_REF_PREFIX + id;
+  const references = [];
+  if (data.company.logo === ref) references.push({ kind: 'logo', user: null });
+  for (const user of data.users) {
+    if (user.photoData === ref) references.push({ kind: 'photo', user });
+    if (user.govData === ref) references.push({ kind: 'govId', user });
+    if ((user.receipts || []).some(r => r.imageData === ref)) references.push({ kind: 'receipt', user });
+  }
+  return references;
+}
+
+// Añade una entrada al registro de auditoría con el autor, la acción, el
+// objetivo y los valores anteriores/posteriores.  Nunca se reescribe el archivo.
+function recordAudit(req, actor, action, target, before, after) {
+  const entry = {
+    id: 'aud_' + crypto.randomBytes(6).toString('hex'),
+    at: new Date().toISOString(),
+    actorId: actor ? actor.id : null,
+    actorName: actor ? `${actor.firstName} ${actor.lastName}` : null,
+    action,
+    targetType: target.type,
+    targetId: target.id,
+    targetName: target.name || null,
+    before: before === undefined ? null : before,
+    after: after === undefined ? null : after,
+    // Las acciones automáticas del servidor no tienen petición ni autor
+    ip: req ? clientIp(req) : null
+  };
+  fs.appendFileSync(AUDIT_FILE, JSON.stringify(entry) + '\n');
+  return entry;
+}
+
+// Objetivos de auditoría habituales
+function auditUserTarget(user) {
+  return { type: 'user', id: user.id, name: `${user.firstName} ${user.lastName}` };
+}
+function auditGroupTarget(group) {
+  return { type: 'group', id: group.id, name: group.name };
+}
+
+// Lee el registro de auditoría aplicando filtros opcionales:
+// userId (autor u objetivo), action (prefijo), from/to (YYYY-MM-DD).
+// Devuelve las entradas más recientes primero.
+function readAudit(filters = {}) {
+  let raw = '';
+  try {
+    raw = fs.readFileSync(AUDIT_FILE, 'utf-8');
+  } catch (err) {
+    return [];
+  }
+  const entries = [];
+  raw.split('\n').forEach(line => {
+    if (!line.trim()) return;
     try {
-      // Cargar datos a memoria
-      const data = readData();
+      entries.push(JSON.parse(line));
+    } catch (err) {
+      // Línea incompleta (por ejemplo, tras una caída): se ignora
+    }
+  });
+  return entries
+    .filter(e => {
+      if (filters.userId && e.actorId !== filters.userId && e.targetId !== filters.userId) return false;
+      if (filters.action && !String(e.action).startsWith(filters.action)) return false;
+      const day = String(e.at).substring(0, 10);
+      if (filters.from && day < filters.from) return false;
+      if (filters.to && day > filters.to) return false;
+      return true;
+    })
+    .reverse();
+}
 
-    // Ruta para el logo de la compañía
-    // GET /api/company/logo -> devuelve el logo en base64 (o null)
-    // PUT /api/company/logo -> actualiza el logo (debe enviar { logoData: "data:image/..." })
-    if (parts[1] === 'company' && parts[2] === 'logo') {
-      if (method === 'GET') {
-        sendJSON(res, 200, { logo: data.companyLogo || null });
-        return;
-      }
-      if (method === 'PUT' || method === 'POST') {
-        const body = await parseRequestBody(req);
-        const logoData = body.logoData;
-        if (!logoData) {
-          sendJSON(res, 400, { success: false, message: 'logoData requerido' });
-          return;
-        }
-        data.companyLogo = logoData;
-        writeData(data);
-        sendJSON(res, 200, { success: true });
-        return;
+// Dirección IP del cliente.  X-Forwarded-For solo se usa con TRUST_PROXY=true
+// (servidor detrás de un proxy inverso de confianza).
+function clientIp(req) {
+  if (process.env.TRUST_PROXY === 'true') {
+    const forwarded = String(req.headers['x-forwarded-for'] || '').split(',')[0].trim();
+    if (forwarded) return forwarded;
+  }
+  return req.socket.remoteAddress || 'desconocida';
+}
+
+// Claves de control de intentos para una cuenta y la IP de la petición.
+// La espera progresiva solo se aplica a la cuenta, para no frenar a otros
+// usuarios que comparten IP (p. ej. una oficina detrás de un mismo router).
+function throttleKeys(req, email) {
+  return [
+    { key: 'account:' + String(email || '').trim().toLowerCase(), max: LOGIN_MAX_ATTEMPTS, backoff: true },
+    { key: 'ip:' + clientIp(req), max: LOGIN_MAX_ATTEMPTS_PER_IP, backoff: false }
+  ];
+}
+
+// Devuelve el registro de fallos vigente de una clave; los antiguos se olvidan
+function getFailureEntry(key) {
+  const entry = loginFailures.get(key);
+  if (!entry) return null;
+  const now = Date.now();
+  if (!entry.pending && entry.lockedUntil < now && now - entry.lastFailureAt > LOGIN_LOCKOUT_MINUTES * 60 * 1000) {
+    loginFailures.delete(key);
+    return null;
+  }
+  return entry;
+}
+
+// Devuelve el registro de una clave y lo crea si no existe.  Con el mapa
+// lleno, libera antes espacio (ver LOGIN_FAILURES_MAX_KEYS).
+function ensureFailureEntry(key) {
+  const existing = getFailureEntry(key);
+  if (existing) return existing;
+  if (loginFailures.size >= LOGIN_FAILURES_MAX_KEYS) {
+    for (const other of Array.from(loginFailures.keys())) getFailureEntry(other);
+    const now = Date.now();
+    for (const [other, entry] of loginFailures) {
+      if (loginFailures.size < LOGIN_FAILURES_MAX_KEYS) break;
+      if (!entry.pending && entry.lockedUntil <= now) loginFailures.delete(other);
+    }
+  }
+  const entry = { failures: 0, pending: 0, lastFailureAt: 0, nextAllowedAt: 0, lockedUntil: 0 };
+  loginFailures.set(key, entry);
+  return entry;
+}
+
+// Comprueba si alguna clave está bloqueada o en espera.  Los intentos en
+// curso cuentan como fallos y, en las claves con espera progresiva, solo se
+// comprueba un intento a la vez.  Devuelve null o { locked, retryAfter }
+// (segundos).
+function checkLoginThrottle(keys) {
+  const now = Date.now();
+  let result = null;
+  for (const { key, max, backoff } of keys) {
+    const entry = getFailureEntry(key);
+    if (!entry) continue;
+    let until = Math.max(entry.lockedUntil, entry.nextAllowedAt);
+    const pending = entry.pending || 0;
+    if (pending > 0 && (backoff || entry.failures + pending >= max)) until = Math.max(until, now + 1000);
+    if (until > now) {
+      const retryAfter = Math.ceil((until - now) / 1000);
+      if (!result || retryAfter > result.retryAfter) {
+        result = { locked: entry.lockedUntil > now, retryAfter };
       }
     }
-      // /api/register
-      if (method === 'POST' && parts[1] === 'register') {
-        const body = await parseRequestBody(req);
-        // Validaciones mínimas
-        const { email, password, firstName, lastName } = body;
-        if (!email || !password || !firstName || !lastName) {
-          sendJSON(res, 400, { success: false, message: 'Campos obligatorios faltantes' });
+  }
+  return result;
+}
+
+// Anota un intento en curso en cada clave (antes de comprobarlo)
+function beginLoginAttempt(keys) {
+  keys.forEach(({ key }) => {
+    const entry = ensureFailureEntry(key);
+    entry.pending = (entry.pending || 0) + 1;
+  });
+}
+
+// Termina un intento anotado con beginLoginAttempt
+function endLoginAttempt(keys) {
+  keys.forEach(({ key }) => {
+    const entry = loginFailures.get(key);
+    if (entry && entry.pending > 0) entry.pending--;
+  });
+}
+
+// Registra un intento fallido en cada clave.  Devuelve las claves que han
+// quedado bloqueadas con este intento.
+function registerLoginFailure(keys) {
+  const now = Date.now();
+  const newlyLocked = [];
+  for (const { key, max, backoff } of keys) {
+    const entry = ensureFailureEntry(key);
+    entry.failures++;
+    entry.lastFailureAt = now;
+    if (entry.failures >= max) {
+      entry.lockedUntil = now + LOGIN_LOCKOUT_MINUTES * 60 * 1000;
+      newlyLocked.push(key);
+    } else if (backoff) {
+      entry.nextAllowedAt = now + LOGIN_BACKOFF_BASE_MS * Math.pow(2, entry.failures - 1);
+    }
+  }
+  return newlyLocked;
+}
+
+// Respuesta 429 para intentos bloqueados o en espera
+function sendThrottled(res, throttle) {
+  res.setHeader('Retry-After', String(throttle.retryAfter));
+  const message = throttle.locked
+    ? `Demasiados intentos fallidos. Inténtalo de nuevo en ${Math.ceil(throttle.retryAfter / 60)} minuto(s).`
+    : `Espera ${throttle.retryAfter} segundo(s) antes de volver a intentarlo.`;
+  sendJSON(res, 429, { success: false, locked: throttle.locked, retryAfter: throttle.retryAfter, message });
+}
+
+// Verifica la contraseña aplicando el control de intentos de la cuenta y la IP.
+// Si el intento está bloqueado o provoca un bloqueo responde 429 y devuelve
+// null; en otro caso devuelve true/false según la contraseña sea correcta.
+function verifyPasswordThrottled(req, res, email, user, password) {
+  return verifyThrottled(req, res, throttleKeys(req, email), () => verifyUserPassword(user, password));
+}
+
+// Aplica el control de intentos a una comprobación (`verify`, que devuelve
+// una promesa con true/false).  La primera clave es la de la cuenta.  El
+// intento se anota antes de esperar a `verify`, de modo que los intentos
+// simultáneos no pasan todos el control.
+async function verifyThrottled(req, res, keys, verify) {
+  const throttle = checkLoginThrottle(keys);
+  if (throttle) {
+    sendThrottled(res, throttle);
+    return null;
+  }
+  beginLoginAttempt(keys);
+  let valid;
+  try {
+    valid = await verify();
+  } finally {
+    endLoginAttempt(keys);
+  }
+  if (valid) {
+    // Un acierto reinicia el contador de la cuenta (no el de la IP)
+    loginFailures.delete(keys[0].key);
+    return true;
+  }
+  const newlyLocked = registerLoginFailure(keys);
+  newlyLocked.forEach(key => {
+    recordAudit(req, null, 'auth.lockout', { type: 'lockout', id: key }, null, {
+      lockedUntil: new Date(loginFailures.get(key).lockedUntil).toISOString()
+    });
+  });
+  if (newlyLocked.length > 0) {
+    sendThrottled(res, checkLoginThrottle(keys));
+    return null;
+  }
+  return false;
+}
+
+// PIN del kiosco: entre 4 y 8 dígitos
+function isValidKioskPin(pin) {
+  return typeof pin === 'string' && /^\d{4,8}$/.test(pin);
+}
+
+// Comprueba el PIN de kiosco de un usuario en tiempo constante (mismo
+// formato de hash que las contraseñas)
+async function verifyKioskPin(user, pin) {
+  const parsed = user && user.kioskPinHash ? parsePasswordHash(user.kioskPinHash) : null;
+  if (!parsed) {
+    // Sin PIN: se calcula un hash igualmente para igualar tiempos
+    await hashPassword(String(pin || ''));
+    return false;
+  }
+  const key = await scryptAsync(String(pin || ''), parsed.salt, parsed.params);
+  return crypto.timingSafeEqual(key, parsed.key);
+}
+
+// Claves de control de intentos de PIN: cada empleado y la IP del kiosco
+function kioskThrottleKeys(req, userId) {
+  return [
+    { key: 'kiosk:' + userId, max: LOGIN_MAX_ATTEMPTS, backoff: true },
+    { key: 'ip:' + clientIp(req), max: LOGIN_MAX_ATTEMPTS_PER_IP, backoff: false }
+  ];
+}
+
+// Resumen SHA-256 de un token; solo se guardan resúmenes, nunca el token
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Estado de una invitación: pending, used, revoked o expired
+function inviteStatus(invite) {
+  if (invite.usedAt) return 'used';
+  if (invite.revokedAt) return 'revoked';
+  if (new Date(invite.expiresAt).getTime() < Date.now()) return 'expired';
+  return 'pending';
+}
+
+// Busca una invitación utilizable a partir de su token
+function findPendingInvite(data, token) {
+  if (!token) return null;
+  const tokenHash = hashToken(token);
+  const invite = (data.invites || []).find(i => i.tokenHash === tokenHash);
+  return invite && inviteStatus(invite) === 'pending' ? invite : null;
+}
+
+// Copia de la invitación apta para la API (sin el resumen del token)
+function sanitizeInvite(data, invite) {
+  const { tokenHash, ...safe } = invite;
+  const group = invite.groupId ? (data.groups || []).find(g => g.id === invite.groupId) : null;
+  safe.groupName = group ? group.name : null;
+  safe.status = inviteStatus(invite);
+  return safe;
+}
+
+// Dispositivo de kiosco activo a partir de su token (o null)
+function findKioskDevice(data, token) {
+  if (!token) return null;
+  const tokenHash = hashToken(token);
+  const device = (data.kioskDevices || []).find(d => d.tokenHash === tokenHash);
+  return device && !device.revokedAt ? device : null;
+}
+
+// Copia del dispositivo apta para la API (sin el resumen del token)
+function sanitizeKioskDevice(data, device) {
+  const { tokenHash, ...safe } = device;
+  const creator = data.users.find(u => u.id === device.createdBy);
+  safe.createdByName = creator ? `${creator.firstName} ${creator.lastName}` : null;
+  return safe;
+}
+
+// Busca una solicitud de restablecimiento de contraseña vigente por su token
+function findPasswordReset(data, token) {
+  if (!token) return null;
+  const tokenHash = hashToken(token);
+  const reset = (data.passwordResets || []).find(r => r.tokenHash === tokenHash);
+  if (!reset || reset.usedAt || reset.invalidatedAt) return null;
+  if (new Date(reset.expiresAt).getTime() < Date.now()) return null;
+  return reset;
+}
+
+// Envía el correo con el enlace de restablecimiento.  Los errores de envío se
+// registran en el servidor pero no se comunican al cliente.
+function sendPasswordResetEmail(user, token) {
+  const link = `${APP_URL}/reset.html?token=${token}`;
+  const text = [
+    `Hola ${user.firstName},`,
+    '',
+    'Hemos recibido una solicitud para restablecer la contraseña de tu cuenta de SettleMe.',
+    'Para elegir una nueva contraseña abre el siguiente enlace:',
+    '',
+    link,
+    '',
+    `El enlace es de un solo uso y caduca en ${PASSWORD_RESET_TTL_MINUTES} minutos.`,
+    'Si no solicitaste el cambio, ignora este mensaje: tu contraseña actual sigue siendo válida.'
+  ].join('\n');
+  mailer.send({ to: user.email, subject: 'Restablecer contraseña de SettleMe', text }).catch(err => {
+    console.error('Error al enviar el correo de restablecimiento:', err.message);
+  });
+}
+
+// Comprueba una corrección propuesta para un registro de horario (timeId) o
+// para uno que falta (timeId null).  Devuelve el mensaje de error o null.
+function validateTimeCorrection(user, timeId, clockIn, clockOut) {
+  const start = new Date(clockIn).getTime();
+  const end = new Date(clockOut).getTime();
+  if (!clockIn || !clockOut || isNaN(start) || isNaN(end)) {
+    return 'Indica la entrada y la salida';
+  }
+  if (end <= start) return 'La salida debe ser posterior a la entrada';
+  if (end > Date.now() + 60 * 1000) return 'La salida no puede estar en el futuro';
+  if (end - start > TIME_CORRECTION_MAX_HOURS * 60 * 60 * 1000) {
+    return `La jornada no puede superar ${TIME_CORRECTION_MAX_HOURS} horas`;
+  }
+  if (timeId && !user.times.some(t => t.id === timeId)) return 'Registro de horario no encontrado';
+  // No puede solaparse con otros registros; uno abierto llega hasta ahora
+  const overlapping = user.times.find(t => {
+    if (t.id === timeId) return false;
+    const tStart = new Date(t.clockIn).getTime();
+    const tEnd = t.clockOut ? new Date(t.clockOut).getTime() : Date.now();
+    return start < tEnd && tStart < end;
+  });
+  if (overlapping) {
+    return `Se solapa con el registro del ${formatDateTime(overlapping.clockIn, userTimeZone(readData(), user))}`;
+  }
+  return null;
+}
+
+// Hoja aprobada que impide una corrección: la del día del registro actual
+// o la del día de la nueva entrada (o undefined)
+function lockedCorrection(data, user, record, clockIn) {
+  return (record && lockedTimesheet(data, user, record.clockIn)) || lockedTimesheet(data, user, new Date(clockIn).toISOString());
+}
+
+// Aplica una corrección aprobada al horario del usuario.  El registro guarda
+// sus valores originales (los anteriores a la primera corrección) y los ids
+// de las correcciones aplicadas.
+function applyTimeCorrection(user, correction) {
+  let record = correction.timeId ? user.times.find(t => t.id === correction.timeId) : null;
+  if (record) {
+    if (!record.original) record.original = { clockIn: record.clockIn, clockOut: record.clockOut };
+    record.clockIn = correction.clockIn;
+    record.clockOut = correction.clockOut;
+    record.corrections = (record.corrections || []).concat(correction.id);
+  } else {
+    // Registro que faltaba: el original vacío indica que se añadió por corrección
+    record = {
+      id: 'tim_' + Math.random().toString(36).substr(2, 9),
+      clockIn: correction.clockIn,
+      clockOut: correction.clockOut,
+      original: { clockIn: null, clockOut: null },
+      corrections: [correction.id]
+    };
+    user.times.push(record);
+    correction.timeId = record.id;
+  }
+  // Al no solaparse, ordenar por entrada deja el registro abierto al final
+  user.times.sort((a, b) => new Date(a.clockIn) - new Date(b.clockIn));
+  return record;
+}
+
+// Horas no pagadas por descansos y horas netas de un registro, con formato
+// para exportaciones ('' si la jornada sigue abierta)
+function exportHours(data, record) {
+  const breakdown = hoursBreakdown(record, data.company.breakRules);
+  if (!breakdown) return ['', ''];
+  return [(breakdown.unpaidBreakHours + breakdown.autoDeductHours).toFixed(2), breakdown.netHours.toFixed(2)];
+}
+
+// Pago de un usuario entre dos días (incluidos) según las reglas de la compañía
+function userEarnings(data, user, from, to) {
+  const timeZone = userTimeZone(data, user);
+  return calculatePay(user, {
+    rules: data.company.payRules,
+    breakRules: data.company.breakRules,
+    timeZone,
+    from,
+    to,
+    today: dateKey(new Date().toISOString(), timeZone),
+    leave: approvedLeaveDays(user, data.leaveRequests, true)
+  });
+}
+
+// Hoja de horas aprobada que bloquea el día de un instante para el usuario
+// (o undefined).  El día se toma en la zona horaria del usuario.
+function lockedTimesheet(data, user, iso) {
+  return lockingTimesheet(data.timesheets, user.id, dateKey(iso, userTimeZone(data, user)));
+}
+
+// Responde que un periodo aprobado no admite cambios
+function sendPeriodLocked(res, timesheet) {
+  sendJSON(res, 409, {
+    success: false,
+    message: `El periodo del ${timesheet.from} al ${timesheet.to} está aprobado y no admite cambios`
+  });
+}
+
+// Clave de idempotencia de un fichaje o recibo.  Devuelve { key } (null sin
+// cabecera) o responde 400 (clave no válida) o 409 (envío repetido o en
+// curso) y devuelve null.  La clave se reserva antes de leer el cuerpo y se
+// libera al responder; si el envío se registra, ya consta en
+// `data.idempotencyKeys`.
+function parseSubmission(req, res, data, user) {
+  const parsed = parseIdempotencyKey(req.headers['idempotency-key']);
+  if (parsed.error) {
+    sendJSON(res, 400, { success: false, message: parsed.error });
+    return null;
+  }
+  if (!parsed.key) return parsed;
+  const pending = user.id + ':' + parsed.key;
+  if (pendingSubmissions.has(pending) || isDuplicateSubmission(data.idempotencyKeys, user.id, parsed.key)) {
+    sendJSON(res, 409, { success: false, duplicate: true, message: 'Este envío ya se había registrado' });
+    return null;
+  }
+  pendingSubmissions.add(pending);
+  res.on('close', () => pendingSubmissions.delete(pending));
+  return parsed;
+}
+
+// Hora del dispositivo de un envío diferido ({ recordedAt, sentAt } en el
+// cuerpo).  Solo la acepta del propio empleado y con clave de idempotencia;
+// deja `at` y `sync` en `options`.  Responde 400 y devuelve false si no es
+// válida.
+function deviceTimeFromBody(res, actor, user, submission, body, options) {
+  if (body.recordedAt === undefined) return true;
+  if (actor.id !== user.id || !submission.key) {
+    sendJSON(res, 400, { success: false, message: 'Solo los envíos diferidos del empleado indican la hora' });
+    return false;
+  }
+  const device = resolveDeviceTime(body);
+  if (device.error) {
+    sendJSON(res, 400, { success: false, message: device.error });
+    return false;
+  }
+  options.at = device.at;
+  options.sync = device.sync;
+  return true;
+}
+
+// Hoja de horas de un usuario en un periodo { from, to } con las horas, el
+// pago, los recibos y las jornadas abiertas del periodo.  Sin hoja
+// guardada el periodo está abierto.
+function describeTimesheet(data, user, period) {
+  const timesheet = data.timesheets.find(t => t.userId === user.id && t.from === period.from && t.to === period.to);
+  const timeZone = userTimeZone(data, user);
+  const inPeriod = iso => {
+    const day = dateKey(iso, timeZone);
+    return day >= period.from && day <= period.to;
+  };
+  const earnings = userEarnings(data, user, period.from, period.to);
+  // Solo los gastos aceptados (aprobados o ya reembolsados)
+  const receipts = (user.receipts || []).filter(r => isAcceptedReceipt(r) && inPeriod(r.date));
+  return {
+    userId: user.id,
+    userName: `${user.firstName} ${user.lastName}`,
+    from: period.from,
+    to: period.to,
+    status: timesheet ? timesheet.status : 'open',
+    timesheet: timesheet || null,
+    hours: earnings.totals.hours,
+    wages: earnings.totals.total,
+    receiptsCount: receipts.length,
+    receiptsTotal: Math.round(receipts.reduce((sum, r) => sum + (Number(r.amount) || 0), 0) * 100) / 100,
+    openShifts: user.times.filter(t => !t.clockOut && inPeriod(t.clockIn)).length
+  };
+}
+
+// Saldos de permisos pagados de un usuario (ver lib/leave.js)
+function userLeaveBalances(data, user) {
+  return leaveBalances(user, data.leaveRequests, {
+    policies: data.company.leavePolicies,
+    breakRules: data.company.breakRules,
+    timeZone: userTimeZone(data, user)
+  });
+}
+
+// Saldo y movimientos de la liquidación de un usuario (ver lib/ledger.js).
+// Los salarios se cuentan hasta cada día con las reglas de pago actuales.
+function userLedger(data, user) {
+  return ledgerBalance(user, data.ledgerEntries, {
+    wagesUntil: day => userEarnings(data, user, null, day).totals.total,
+    timeZone: userTimeZone(data, user)
+  });
+}
+
+// Copia de la solicitud de permiso para la API con el nombre del empleado
+function sanitizeLeaveRequest(data, request) {
+  const user = data.users.find(u => u.id === request.userId);
+  return { ...request, userName: user ? `${user.firstName} ${user.lastName}` : null };
+}
+
+// Motivo por el que no se puede solicitar o aprobar un permiso (o null): se
+// solapa con otro pendiente o aprobado, o no hay saldo suficiente
+function leaveRequestConflict(data, user, request) {
+  const other = data.leaveRequests.find(r => r.userId === user.id && r.id !== request.id &&
+    (r.status === 'pending' || r.status === 'approved') && overlaps(r, request));
+  if (other) return `Se solapa con el permiso del ${other.from} al ${other.to}`;
+  if (PAID_LEAVE_TYPES.includes(request.type)) {
+    const balance = userLeaveBalances(data, user)[request.type];
+    // El saldo disponible ya descuenta la propia solicitud si está pendiente
+    const available = balance.available + (request.status === 'pending' ? request.hours : 0);
+    if (request.hours > available) return `Saldo insuficiente: quedan ${available} horas disponibles`;
+  }
+  return null;
+}
+
+// Hoja aprobada que bloquea alguno de los días de un permiso (o undefined)
+function lockedLeave(data, user, request) {
+  for (const day of request.days) {
+    const locked = lockingTimesheet(data.timesheets, user.id, day.date);
+    if (locked) return locked;
+  }
+  return undefined;
+}
+
+// Indica si el usuario tiene un permiso aprobado ese día
+function isOnLeave(data, user, day) {
+  return approvedLeaveDays(user, data.leaveRequests).some(d => d.date === day);
+}
+
+// Periodo ?from=&to= de una consulta.  Devuelve { from, to } o { error }.
+function periodFromQuery(query) {
+  const from = query.get('from') || null;
+  const to = query.get('to') || null;
+  if ((from && !isDateKey(from)) || (to && !isDateKey(to))) {
+    return { error: 'Las fechas deben tener el formato AAAA-MM-DD' };
+  }
+  if (from && to && from > to) return { error: 'La fecha inicial es posterior a la final' };
+  return { from, to };
+}
+
+// Asistencia de un usuario en sus turnos entre dos días (ver lib/shifts.js)
+function userAttendance(data, user, from, to) {
+  return checkAttendance(user, {
+    rules: data.company.attendanceRules,
+    timeZone: userTimeZone(data, user),
+    from,
+    to,
+    leaveDays: new Set(approvedLeaveDays(user, data.leaveRequests).map(d => d.date))
+  });
+}
+
+const EARNINGS_HEADERS = ['Nombre', 'Fecha', 'Festivo', 'Horas', 'Normales', 'Extra', 'Dobles', 'Horas festivo', 'Horas permiso', 'Pago'];
+
+// Filas del desglose de pagos de un usuario: una por día trabajado, una por
+// mes de salario y la de totales
+function earningsRows(data, user, from, to) {
+  const name = `${user.firstName} ${user.lastName}`;
+  const earnings = userEarnings(data, user, from, to);
+  const rows = earnings.days.map(d => [
+    name,
+    d.date,
+    d.holiday || '',
+    d.hours.toFixed(2),
+    d.regularHours.toFixed(2),
+    d.overtimeHours.toFixed(2),
+    d.doubleTimeHours.toFixed(2),
+    d.holidayHours.toFixed(2),
+    d.leaveHours.toFixed(2),
+    d.pay !== null ? d.pay.toFixed(2) : ''
+  ]);
+  earnings.months.forEach(m => {
+    rows.push([name, m.month, `Salario (${m.days}/${m.daysInMonth} días)`, '', '', '', '', '', '', m.pay.toFixed(2)]);
+  });
+  const t = earnings.totals;
+  rows.push([name, 'Total', '', t.hours.toFixed(2), t.regularHours.toFixed(2), t.overtimeHours.toFixed(2),
+    t.doubleTimeHours.toFixed(2), t.holidayHours.toFixed(2), t.leaveHours.toFixed(2), t.total.toFixed(2)]);
+  return rows;
+}
+
+// Revisa las jornadas abiertas según las reglas de la compañía y registra en
+// auditoría las marcadas como olvidadas y las cerradas automáticamente
+function runOpenShiftCheck() {
+  const data = readData();
+  const { flagged, closed } = checkOpenShifts(data, data.company.openShiftRules, user => userTimeZone(data, user));
+  if (flagged.length === 0 && closed.length === 0) return;
+  writeData(data);
+  flagged.forEach(({ user, record }) => {
+    recordAudit(null, null, 'time.open_shift.flag', auditUserTarget(user), null, { timeId: record.id, clockIn: record.clockIn });
+  });
+  closed.forEach(({ user, record }) => {
+    recordAudit(null, null, 'time.open_shift.auto_close', auditUserTarget(user),
+      { timeId: record.id, clockOut: null },
+      { timeId: record.id, clockOut: record.clockOut, rule: record.autoClosed.rule, shiftId: record.autoClosed.shiftId });
+  });
+}
+
+// Jornada abierta o cerrada automáticamente para la lista de revisión
+function describeOpenShift(data, user, record, now) {
+  const end = record.clockOut ? new Date(record.clockOut).getTime() : now;
+  return {
+    userId: user.id,
+    userName: `${user.firstName} ${user.lastName}`,
+    timeZone: userTimeZone(data, user),
+    timeId: record.id,
+    clockIn: record.clockIn,
+    clockOut: record.clockOut,
+    hours: (end - new Date(record.clockIn).getTime()) / (60 * 60 * 1000),
+    status: openShiftStatus(record),
+    flaggedAt: record.flaggedAt || null,
+    autoClosedAt: record.autoClosed ? record.autoClosed.at : null,
+    autoCloseRule: record.autoClosed ? record.autoClosed.rule : null
+  };
+}
+
+// Texto de la ubicación de un fichaje para exportaciones
+const GEOFENCE_LABELS = { inside: 'dentro de la zona', outside: 'fuera de la zona', unknown: 'sin ubicación' };
+function describePunchLocation(punch) {
+  if (!punch) return '';
+  const parts = [];
+  if (punch.lat !== null) parts.push(`${punch.lat.toFixed(5)}, ${punch.lng.toFixed(5)}`);
+  if (punch.geofence) parts.push(GEOFENCE_LABELS[punch.geofence]);
+  return parts.join(' - ');
+}
+
+// Alterna la jornada de un usuario: registra la entrada o cierra la jornada
+// abierta.  La zona del grupo solo se aplica a los fichajes del propio
+// empleado, no a los que hace un administrador en su nombre.  `auditExtra`
+// se añade a la auditoría (p. ej. el kiosco usado).  Si el fichaje se
+// rechaza responde al cliente y devuelve null; si no, devuelve el registro.
+//
+// `options` llega de los envíos diferidos del panel del empleado:
+//   action          'clock_in' o 'clock_out'; si no coincide con el estado
+//                   de la jornada se responde 409 en lugar de alternar
+//   at, sync        hora del fichaje y datos del envío (ver lib/sync.js)
+//   idempotencyKey  clave que se recuerda junto con el registro
+function toggleUserClock(req, res, data, actor, user, location, auditExtra = {}, options = {}) {
+  const now = options.at || new Date().toISOString();
+  // La jornada pertenece al día de su entrada
+  const last = user.times[user.times.length - 1];
+  const isOpen = Boolean(last && !last.clockOut);
+  if (options.action && (options.action === 'clock_in') === isOpen) {
+    sendJSON(res, 409, { success: false, message: isOpen ? 'La jornada ya estaba iniciada' : 'No hay una jornada iniciada' });
+    return null;
+  }
+  // Un fichaje diferido no puede quedar antes del anterior
+  if (last && now < (isOpen ? last.clockIn : last.clockOut)) {
+    sendJSON(res, 409, { success: false, message: 'El fichaje es anterior al último registro de la jornada' });
+    return null;
+  }
+  const locked = lockedTimesheet(data, user, isOpen ? last.clockIn : now);
+  if (locked) {
+    sendPeriodLocked(res, locked);
+    return null;
+  }
+  const group = userGroup(data, user);
+  const geofence = group && actor.id === user.id ? group.geofence : null;
+  const geofenceResult = checkGeofence(geofence, location);
+  if (geofence && geofence.enforcement === 'reject' && geofenceResult !== 'inside') {
+    recordAudit(req, actor, 'time.geofence.reject', auditUserTarget(user), null, { location, geofence: geofenceResult, ...auditExtra });
+    if (geofenceResult === 'unknown') {
+      sendJSON(res, 400, { success: false, message: 'Activa la ubicación del navegador para registrar la jornada' });
+    } else {
+      sendJSON(res, 403, { success: false, message: 'Estás fuera de la zona de trabajo de tu grupo' });
+    }
+    return null;
+  }
+  const punch = location || geofenceResult
+    ? { ...(location || { lat: null, lng: null, accuracy: null }), geofence: geofenceResult }
+    : null;
+  const times = user.times || [];
+  let before = null;
+  let record;
+  if (times.length > 0 && !times[times.length - 1].clockOut) {
+    record = times[times.length - 1];
+    before = { ...record };
+    record.clockOut = now;
+    if (punch) record.clockOutLocation = punch;
+    if (options.sync) record.clockOutSync = options.sync;
+    // Un descanso abierto termina con la jornada
+    const current = openBreak(record);
+    if (current) current.end = now < current.start ? current.start : now;
+  } else {
+    record = { id: 'tim_' + Math.random().toString(36).substr(2, 9), clockIn: now, clockOut: null };
+    if (punch) record.clockInLocation = punch;
+    if (options.sync) record.clockInSync = options.sync;
+    times.push(record);
+  }
+  user.times = times;
+  if (options.idempotencyKey) {
+    data.idempotencyKeys = rememberIdempotencyKey(data.idempotencyKeys, { key: options.idempotencyKey, userId: user.id, kind: 'clock', resultId: record.id });
+  }
+  writeData(data);
+  recordAudit(req, actor, record.clockOut ? 'time.clock_out' : 'time.clock_in', auditUserTarget(user), before, { ...record, ...auditExtra });
+  return record;
+}
+
+// Texto para exportaciones que indica si un registro fue corregido
+function describeTimeCorrection(record, timeZone) {
+  if (!record.original) return '';
+  if (!record.original.clockIn) return 'Añadido por corrección';
+  const end = record.original.clockOut ? formatDateTime(record.original.clockOut, timeZone) : 'sin salida';
+  return `Original: ${formatDateTime(record.original.clockIn, timeZone)} - ${end}`;
+}
+
+// Estado de un recibo para exportaciones (con el motivo si se rechazó)
+function describeReceiptStatus(receipt) {
+  const labels = { pending: 'Pendiente', approved: 'Aprobado', rejected: 'Rechazado', reimbursed: 'Reembolsado' };
+  const label = labels[receipt.status] || receipt.status;
+  return receipt.status === 'rejected' && receipt.reviewNote ? `${label}: ${receipt.reviewNote}` : label;
+}
+
+// Copia de la solicitud para la API con el nombre del empleado
+function sanitizeTimeCorrection(data, correction) {
+  const user = data.users.find(u => u.id === correction.userId);
+  return { ...correction, userName: user ? `${user.firstName} ${user.lastName}` : null };
+}
+
+// Filtros de auditoría a partir de los parámetros de la URL
+function auditFiltersFromQuery(query) {
+  return {
+    userId: query.get('userId') || '',
+    action: query.get('action') || '',
+    from: query.get('from') || '',
+    to: query.get('to') || ''
+  };
+}
+
+// Crea una sesión para el usuario y devuelve el token generado
+function createSession(userId) {
+  const token = crypto.randomBytes(32).toString('hex');
+  sessions.set(token, { userId, expiresAt: Date.now() + SESSION_TTL_MS });
+  return token;
+}
+
+// Obtiene el token enviado en la cabecera Authorization o en la cookie de sesión
+function getRequestToken(req) {
+  const auth = req.headers['authorization'] || '';
+  if (auth.startsWith('Bearer ')) {
+    return auth.slice(7).trim();
+  }
+  const cookies = req.headers['cookie'] || '';
+  for (const part of cookies.split(';')) {
+    const [name, ...rest] = part.trim().split('=');
+    if (name === SESSION_COOKIE) {
+      return rest.join('=');
+    }
+  }
+  return null;
+}
+
+// Devuelve la sesión válida asociada a la petición (o null) y renueva su caducidad
+function getSession(req) {
+  const token = getRequestToken(req);
+  if (!token) return null;
+  const session = sessions.get(token);
+  if (!session) return null;
+  if (session.expiresAt < Date.now()) {
+    sessions.delete(token);
+    return null;
+  }
+  session.expiresAt = Date.now() + SESSION_TTL_MS;
+  return { token, ...session };
+}
+
+// Elimina todas las sesiones de un usuario (por ejemplo, al borrar su cuenta)
+function destroyUserSessions(userId) {
+  for (const [token, session] of sessions) {
+    if (session.userId === userId) sessions.delete(token);
+  }
+}
+
+// Cabecera Set-Cookie para la sesión (maxAgeSeconds = 0 la elimina)
+function sessionCookie(token, maxAgeSeconds) {
+  return `${SESSION_COOKIE}=${token}; HttpOnly; SameSite=Strict; Path=/; Max-Age=${maxAgeSeconds}`;
+}
+
+// Comprueba que el usuario autenticado sea administrador
+function requireAdmin(res, actor) {
+  if (actor.role !== 'admin') {
+    sendJSON(res, 403, { success: false, message: 'Acceso restringido a administradores' });
+    return false;
+  }
+  return true;
+}
+
+// Comprueba que el usuario autenticado sea el propietario del recurso o un administrador
+function requireSelfOrAdmin(res, actor, userId) {
+  if (actor.role !== 'admin' && actor.id !== userId) {
+    sendJSON(res, 403, { success: false, message: 'No tienes permiso para acceder a este recurso' });
+    return false;
+  }
+  return true;
+}
+
+// Utilidad para enviar respuesta JSON
+function sendJSON(res, status, obj) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(obj));
+}
+
+// Utilidad para parsear cuerpo JSON
+function parseRequestBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      if (body) {
+        try {
+          const json = JSON.parse(body);
+          resolve(json);
+        } catch (err) {
+          reject(new Error('Invalid JSON'));
+        }
+      } else {
+        resolve({});
+      }
+    });
+  });
+}
+
+// Crea el servidor
+const server = http.createServer(async (req, res) => {
+  // CORS headers para permitir solicitudes desde cualquier origen
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Kiosk-Token, Idempotency-Key');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(200);
+    res.end();
+    return;
+  }
+
+  const url = req.url.split('?')[0];
+  const query = new URLSearchParams(req.url.split('?')[1] || '');
+  const method = req.method;
+
+  // Rutas API
+  if (url.startsWith('/api/')) {
+    const parts = url.split('/').filter(Boolean); // elimina cadenas vacías
+    // parts[0] = 'api'
+    try {
+      // Cargar datos a memoria
+      const data = readData();
+
+      // Rutas públicas: inicio/cierre de sesión, registro y logo de la compañía
+      const isPublicRoute =
+        (method === 'POST' && ['login', 'logout', 'register'].includes(parts[1])) ||
+        (method === 'GET' && parts[1] === 'company' && parts[2] === 'logo') ||
+        (method === 'GET' && parts[1] === 'register' && parts[2] === 'status') ||
+        (method === 'GET' && parts[1] === 'invites' && parts[2] === 'token') ||
+        parts[1] === 'password-reset' ||
+        // El kiosco se identifica con el token del dispositivo, no con sesión
+        parts[1] === 'kiosk' ||
+        // El logo se muestra también en la pantalla de inicio de sesión
+        (method === 'GET' && parts[1] === 'files' && data.company.logo === FILE_REF_PREFIX + parts[2]);
+      // Usuario autenticado a partir del token de sesión (null si no hay sesión)
+      const session = getSession(req);
+      const actor = session ? data.users.find(u => u.id === session.userId) || null : null;
+      if (!isPublicRoute && !actor) {
+        sendJSON(res, 401, { success: false, message: 'Sesión no válida o expirada' });
+        return;
+      }
+
+    // /api/snapshots - copias de seguridad del estado (solo admin)
+    if (parts[1] === 'snapshots') {
+      if (!requireAdmin(res, actor)) return;
+      // GET /api/snapshots - listado, de la más reciente a la más antigua
+      if (method === 'GET' && parts.length === 2) {
+        sendJSON(res, 200, snapshots.list());
+        return;
+      }
+      // POST /api/snapshots - crea una instantánea manual
+      if (method === 'POST' && parts.length === 2) {
+        const snapshot = takeSnapshot('manual');
+        recordAudit(req, actor, 'data.snapshot.create', { type: 'snapshot', id: snapshot.id }, null, { reason: snapshot.reason });
+        sendJSON(res, 201, { success: true, snapshot });
+        return;
+      }
+      // POST /api/snapshots/:id/restore - restaura una instantánea.  Antes se
+      // guarda el estado actual para poder deshacer la restauración.
+      if (method === 'POST' && parts.length === 4 && parts[3] === 'restore') {
+        let restored;
+        try {
+          restored = snapshots.read(parts[2]);
+          // Rechaza copias de una versión del esquema posterior a este servidor
+          if (restored) pendingMigrations(restored);
+        } catch (err) {
+          sendJSON(res, 400, { success: false, message: err.message });
+          return;
+        }
+        if (!restored) {
+          sendJSON(res, 404, { success: false, message: 'Instantánea no encontrada' });
+          return;
+        }
+        const backup = takeSnapshot('pre-restore');
+        await replaceData(restored);
+        recordAudit(req, actor, 'data.snapshot.restore', { type: 'snapshot', id: parts[2] }, { backup: backup.id }, {
+          users: restored.users.length,
+          groups: restored.groups.length
+        });
+        sendJSON(res, 200, { success: true, backup });
+        return;
+      }
+    }
+
+    // GET /api/files/:id - descarga un archivo del almacén.  El logo es
+    // público; fotos y recibos solo para sus dueños (puede haber varios con la
+    // misma imagen) y los administradores.  Las identificaciones nunca se
+    // sirven aquí (ver /api/users/:id/reveal).
+    if (method === 'GET' && parts[1] === 'files' && parts.length === 3) {
+      const id = parts[2];
+      const references = findFileReferences(data, id);
+      const meta = references.length ? blobs.stat(id) : null;
+      const isLogo = references.some(r => r.kind === 'logo');
+      const allowed = !references.some(r => r.kind === 'govId') && (
+        isLogo ||
+        (actor && (actor.role === 'admin' || references.some(r => r.user.id === actor.id)))
+      );
+      if (!meta || !allowed || meta.encrypted) {
+        sendJSON(res, 404, { success: false, message: 'Archivo no encontrado' });
+        return;
+      }
+      // El contenido de un id nunca cambia: se puede guardar en caché indefinidamente
+      const headers = {
+        'Content-Type': meta.contentType,
+        'Cache-Control': `${isLogo ? 'public' : 'private'}, max-age=31536000, immutable`,
+        'ETag': `"${id}"`,
+        'X-Content-Type-Options': 'nosniff',
+        // Impide ejecutar scripts de archivos subidos (p. ej. SVG)
+        'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; sandbox"
+      };
+      if (req.headers['if-none-match'] === headers.ETag) {
+        res.writeHead(304, headers);
+        res.end();
+        return;
+      }
+      headers['Content-Length'] = meta.size;
+      res.writeHead(200, headers);
+      blobs.createReadStream(id).pipe(res);
+      return;
+    }
+
+    // Ruta para el logo de la compañía
+    // GET /api/company/logo -> devuelve la URL del logo (o null)
+    // PUT /api/company/logo -> actualiza el logo (debe enviar { logoData: "data:image/..." })
+    if (parts[1] === 'company' && parts[2] === 'logo') {
+      if (method === 'GET') {
+        sendJSON(res, 200, { logo: fileUrl(data.company.logo) || null });
+        return;
+      }
+      if (method === 'PUT' || method === 'POST') {
+        if (!requireAdmin(res, actor)) return;
+        const body = await parseRequestBody(req);
+        if (!body.logoData) {
+          sendJSON(res, 400, { success: false, message: 'logoData requerido' });
+          return;
+        }
+        const logoRef = storeImage(body.logoData);
+        if (!logoRef) {
+          sendJSON(res, 400, { success: false, message: 'El logo debe ser una imagen' });
+          return;
+        }
+        const hadLogo = Boolean(data.company.logo);
+        data.company.logo = logoRef;
+        writeData(data);
+        recordAudit(req, actor, 'company.logo.update', { type: 'company', id: 'logo' }, { hasLogo: hadLogo }, { hasLogo: true });
+        sendJSON(res, 200, { success: true });
+        return;
+      }
+    }
+    // GET /api/company/time-zone -> zona horaria de la compañía
+    // PUT /api/company/time-zone -> cambia la zona ({ timeZone }, solo admin)
+    if (parts[1] === 'company' && parts[2] === 'time-zone') {
+      if (method === 'GET') {
+        sendJSON(res, 200, { timeZone: data.company.timeZone });
+        return;
+      }
+      if (method === 'PUT') {
+        if (!requireAdmin(res, actor)) return;
+        const body = await parseRequestBody(req);
+        if (!isValidTimeZone(body.timeZone)) {
+          sendJSON(res, 400, { success: false, message: 'Zona horaria no válida' });
+          return;
+        }
+        const before = data.company.timeZone;
+        data.company.timeZone = body.timeZone;
+        writeData(data);
+        recordAudit(req, actor, 'company.time_zone.update', { type: 'company', id: 'time-zone' }, { timeZone: before }, { timeZone: body.timeZone });
+        sendJSON(res, 200, { success: true, timeZone: body.timeZone });
+        return;
+      }
+    }
+    // GET /api/company/open-shift-rules -> reglas de jornadas olvidadas
+    // PUT /api/company/open-shift-rules -> actualiza las reglas (solo admin)
+    if (parts[1] === 'company' && parts[2] === 'open-shift-rules') {
+      if (method === 'GET') {
+        sendJSON(res, 200, resolveOpenShiftRules(data.company.openShiftRules));
+        return;
+      }
+      if (method === 'PUT') {
+        if (!requireAdmin(res, actor)) return;
+        const body = await parseRequestBody(req);
+        const parsed = parseOpenShiftRules(body);
+        if (parsed.error) {
+          sendJSON(res, 400, { success: false, message: parsed.error });
+          return;
+        }
+        const before = resolveOpenShiftRules(data.company.openShiftRules);
+        data.company.openShiftRules = parsed.rules;
+        writeData(data);
+        recordAudit(req, actor, 'company.open_shift_rules.update', { type: 'company', id: 'open-shift-rules' }, before, parsed.rules);
+        // Las nuevas reglas se aplican de inmediato
+        runOpenShiftCheck();
+        sendJSON(res, 200, { success: true, rules: parsed.rules });
+        return;
+      }
+    }
+    // GET /api/company/leave-policies -> acumulación y saldo máximo de los permisos
+    // PUT /api/company/leave-policies -> actualiza las políticas (solo admin)
+    if (parts[1] === 'company' && parts[2] === 'leave-policies') {
+      if (method === 'GET') {
+        sendJSON(res, 200, resolveLeavePolicies(data.company.leavePolicies));
+        return;
+      }
+      if (method === 'PUT') {
+        if (!requireAdmin(res, actor)) return;
+        const body = await parseRequestBody(req);
+        const parsed = parseLeavePolicies(body);
+        if (parsed.error) {
+          sendJSON(res, 400, { success: false, message: parsed.error });
+          return;
+        }
+        const before = resolveLeavePolicies(data.company.leavePolicies);
+        data.company.leavePolicies = parsed.policies;
+        writeData(data);
+        recordAudit(req, actor, 'company.leave_policies.update', { type: 'company', id: 'leave-policies' }, before, parsed.policies);
+        sendJSON(res, 200, { success: true, policies: parsed.policies });
+        return;
+      }
+    }
+    // GET /api/company/pay-period-rules -> frecuencia de los periodos de pago
+    // PUT /api/company/pay-period-rules -> cambia la frecuencia (solo admin)
+    if (parts[1] === 'company' && parts[2] === 'pay-period-rules') {
+      if (method === 'GET') {
+        sendJSON(res, 200, resolvePayPeriodRules(data.company.payPeriodRules));
+        return;
+      }
+      if (method === 'PUT') {
+        if (!requireAdmin(res, actor)) return;
+        const body = await parseRequestBody(req);
+        const parsed = parsePayPeriodRules(body);
+        if (parsed.error) {
+          sendJSON(res, 400, { success: false, message: parsed.error });
+          return;
+        }
+        const before = resolvePayPeriodRules(data.company.payPeriodRules);
+        data.company.payPeriodRules = parsed.rules;
+        writeData(data);
+        recordAudit(req, actor, 'company.pay_period_rules.update', { type: 'company', id: 'pay-period-rules' }, before, parsed.rules);
+        sendJSON(res, 200, { success: true, rules: parsed.rules });
+        return;
+      }
+    }
+    // GET /api/company/attendance-rules -> márgenes de puntualidad de los turnos
+    // PUT /api/company/attendance-rules -> actualiza los márgenes (solo admin)
+    if (parts[1] === 'company' && parts[2] === 'attendance-rules') {
+      if (method === 'GET') {
+        sendJSON(res, 200, resolveAttendanceRules(data.company.attendanceRules));
+        return;
+      }
+      if (method === 'PUT') {
+        if (!requireAdmin(res, actor)) return;
+        const body = await parseRequestBody(req);
+        const parsed = parseAttendanceRules(body);
+        if (parsed.error) {
+          sendJSON(res, 400, { success: false, message: parsed.error });
+          return;
+        }
+        const before = resolveAttendanceRules(data.company.attendanceRules);
+        data.company.attendanceRules = parsed.rules;
+        writeData(data);
+        recordAudit(req, actor, 'company.attendance_rules.update', { type: 'company', id: 'attendance-rules' }, before, parsed.rules);
+        sendJSON(res, 200, { success: true, rules: parsed.rules });
+        return;
+      }
+    }
+    // GET /api/company/pay-rules -> reglas de horas extra, multiplicadores y festivos
+    // PUT /api/company/pay-rules -> actualiza las reglas (solo admin)
+    if (parts[1] === 'company' && parts[2] === 'pay-rules') {
+      if (method === 'GET') {
+        sendJSON(res, 200, resolvePayRules(data.company.payRules));
+        return;
+      }
+      if (method === 'PUT') {
+        if (!requireAdmin(res, actor)) return;
+        const body = await parseRequestBody(req);
+        const parsed = parsePayRules(body);
+        if (parsed.error) {
+          sendJSON(res, 400, { success: false, message: parsed.error });
+          return;
+        }
+        const before = resolvePayRules(data.company.payRules);
+        data.company.payRules = parsed.rules;
+        writeData(data);
+        recordAudit(req, actor, 'company.pay_rules.update', { type: 'company', id: 'pay-rules' }, before, parsed.rules);
+        sendJSON(res, 200, { success: true, rules: parsed.rules });
+        return;
+      }
+    }
+    // GET /api/company/break-rules -> reglas de descansos pagados y descuento automático
+    // PUT /api/company/break-rules -> actualiza las reglas (solo admin)
+    if (parts[1] === 'company' && parts[2] === 'break-rules') {
+      if (method === 'GET') {
+        sendJSON(res, 200, resolveBreakRules(data.company.breakRules));
+        return;
+      }
+      if (method === 'PUT') {
+        if (!requireAdmin(res, actor)) return;
+        const body = await parseRequestBody(req);
+        const parsed = parseBreakRules(body);
+        if (parsed.error) {
+          sendJSON(res, 400, { success: false, message: parsed.error });
+          return;
+        }
+        const before = resolveBreakRules(data.company.breakRules);
+        data.company.breakRules = parsed.rules;
+        writeData(data);
+        recordAudit(req, actor, 'company.break_rules.update', { type: 'company', id: 'break-rules' }, before, parsed.rules);
+        sendJSON(res, 200, { success: true, rules: parsed.rules });
+        return;
+      }
+    }
+      // GET /api/register/status - indica si el registro está abierto para
+      // crear el primer administrador (archivo de datos vacío)
+      if (method === 'GET' && parts[1] === 'register' && parts[2] === 'status') {
+        sendJSON(res, 200, { bootstrap: data.users.length === 0 });
+        return;
+      }
+      // /api/register - requiere una invitación válida, salvo para el primer
+      // usuario, que se crea como administrador
+      if (method === 'POST' && parts[1] === 'register') {
+        const body = await parseRequestBody(req);
+        // El hash se calcula antes de las comprobaciones para que no haya
+        // esperas entre la verificación del correo y el alta del usuario
+        const passwordHash = body.password ? await hashPassword(body.password) : null;
+        const bootstrap = data.users.length === 0;
+        const invite = bootstrap ? null : findPendingInvite(data, body.inviteToken);
+        if (!bootstrap && !invite) {
+          sendJSON(res, 403, { success: false, message: 'El registro requiere una invitación válida' });
+          return;
+        }
+        // Los datos fijados por la invitación prevalecen sobre los enviados
+        const email = invite ? invite.email : (body.email || '').trim().toLowerCase();
+        const { password, firstName, lastName } = body;
+        // Validaciones mínimas
+        if (!email || !password || !firstName || !lastName) {
+          sendJSON(res, 400, { success: false, message: 'Campos obligatorios faltantes' });
+          return;
+        }
+        if (!isValidEmail(email)) {
+          sendJSON(res, 400, { success: false, message: 'Correo no válido' });
+          return;
+        }
+        // Verificar email único
+        if (data.users.some(u => u.email === email)) {
+          sendJSON(res, 400, { success: false, message: 'El correo ya está registrado' });
+          return;
+        }
+        // Foto e identificación al almacén de archivos (la identificación cifrada)
+        const photoRef = storeImage(body.photoData);
+        const govRef = storeImage(body.govData, { encrypted: true });
+        if (photoRef === null || govRef === null) {
+          sendJSON(res, 400, { success: false, message: 'La foto y la identificación deben ser imágenes' });
+          return;
+        }
+        const newUser = {
+          id: 'usr_' + Math.random().toString(36).substr(2, 9),
+          firstName: body.firstName,
+          middleName: body.middleName || '',
+          lastName: body.lastName,
+          phone: body.phone || '',
+          email: email.toLowerCase(),
+          passwordHash,
+          ssn: encryptField(body.ssn),
+          photoData: photoRef,
+          govData: govRef,
+          role: bootstrap ? 'admin' : invite.role,
+          times: [],
+          receipts: [],
+          // Fechas programadas por el administrador (YYYY-MM-DD)
+          schedules: []
+        };
+        // Añadir información de pago
+        if (invite) {
+          newUser.payType = invite.payType;
+          newUser.payRate = invite.payRate;
+        } else {
+          newUser.payType = body.payType || 'hora';
+          newUser.payRate = typeof body.payRate === 'number' && !isNaN(body.payRate) ? body.payRate : 0;
+        }
+        data.users.push(newUser);
+        if (invite) {
+          // Asignar el grupo de la invitación y marcarla como usada
+          const group = invite.groupId ? data.groups.find(g => g.id === invite.groupId) : null;
+          if (group && !group.members.includes(newUser.id)) {
+            group.members.push(newUser.id);
+          }
+          invite.usedAt = new Date().toISOString();
+          invite.usedBy = newUser.id;
+        }
+        writeData(data);
+        recordAudit(req, actor || newUser, 'user.register', auditUserTarget(newUser), null, {
+          email: newUser.email,
+          role: newUser.role,
+          payType: newUser.payType,
+          payRate: newUser.payRate,
+          inviteId: invite ? invite.id : null
+        });
+        sendJSON(res, 201, { success: true, user: sanitizeUser(newUser) });
+        return;
+      }
+      // /api/login
+      if (method === 'POST' && parts[1] === 'login') {
+        const body = await parseRequestBody(req);
+        const { email, password } = body;
+        const user = data.users.find(u => u.email === (email || '').toLowerCase());
+        const valid = await verifyPasswordThrottled(req, res, email, user, password);
+        if (valid === null) return;
+        if (!valid) {
+          sendJSON(res, 401, { success: false, message: 'Credenciales incorrectas' });
+          return;
+        }
+        // Actualizar hashes heredados (texto plano o parámetros de coste antiguos)
+        if (passwordNeedsUpgrade(user)) {
+          await setUserPassword(user, password);
+          writeData(data);
+        }
+        const token = createSession(user.id);
+        res.setHeader('Set-Cookie', sessionCookie(token, Math.floor(SESSION_TTL_MS / 1000)));
+        sendJSON(res, 200, {
+          success: true,
+          token,
+          expiresIn: Math.floor(SESSION_TTL_MS / 1000),
+          user: { id: user.id, firstName: user.firstName, lastName: user.lastName, role: user.role }
+        });
+        return;
+      }
+      // /api/password-reset - restablecimiento de contraseña por correo (público)
+      if (parts[1] === 'password-reset') {
+        // POST /api/password-reset - envía un enlace de un solo uso.  La
+        // respuesta es la misma exista o no la cuenta.
+        if (method === 'POST' && parts.length === 2) {
+          const body = await parseRequestBody(req);
+          const email = (body.email || '').trim().toLowerCase();
+          if (!email) {
+            sendJSON(res, 400, { success: false, message: 'Correo requerido' });
+            return;
+          }
+          const user = data.users.find(u => u.email === email);
+          const now = Date.now();
+          const pending = user
+            ? data.passwordResets.filter(r => r.userId === user.id && !r.usedAt && !r.invalidatedAt && new Date(r.expiresAt).getTime() > now)
+            : [];
+          // Evitar el envío masivo de correos a una misma cuenta
+          const recent = pending.some(r => now - new Date(r.createdAt).getTime() < PASSWORD_RESET_INTERVAL_SECONDS * 1000);
+          if (user && !recent) {
+            // Solo el último enlace solicitado es válido
+            pending.forEach(r => { r.invalidatedAt = new Date(now).toISOString(); });
+            const token = crypto.randomBytes(32).toString('hex');
+            const reset = {
+              id: 'pwr_' + Math.random().toString(36).substr(2, 9),
+              userId: user.id,
+              tokenHash: hashToken(token),
+              createdAt: new Date(now).toISOString(),
+              expiresAt: new Date(now + PASSWORD_RESET_TTL_MINUTES * 60 * 1000).toISOString(),
+              usedAt: null,
+              invalidatedAt: null,
+              ip: clientIp(req)
+            };
+            data.passwordResets.push(reset);
+            writeData(data);
+            recordAudit(req, null, 'user.password.reset_request', auditUserTarget(user), null, { expiresAt: reset.expiresAt });
+            sendPasswordResetEmail(user, token);
+          }
+          sendJSON(res, 200, {
+            success: true,
+            message: 'Si el correo está registrado, recibirás un enlace para restablecer la contraseña.'
+          });
+          return;
+        }
+        // GET /api/password-reset/:token - comprueba que el enlace sea válido
+        if (method === 'GET' && parts.length === 3) {
+          const reset = findPasswordReset(data, parts[2]);
+          if (!reset) {
+            sendJSON(res, 404, { success: false, message: 'El enlace no es válido o ha caducado' });
+            return;
+          }
+          sendJSON(res, 200, { success: true, expiresAt: reset.expiresAt });
+          return;
+        }
+        // POST /api/password-reset/:token - establece la nueva contraseña
+        if (method === 'POST' && parts.length === 3) {
+          const body = await parseRequestBody(req);
+          const reset = findPasswordReset(data, parts[2]);
+          const user = reset ? data.users.find(u => u.id === reset.userId) : null;
+          if (!user) {
+            sendJSON(res, 404, { success: false, message: 'El enlace no es válido o ha caducado' });
+            return;
+          }
+          if (!body.password) {
+            sendJSON(res, 400, { success: false, message: 'Se requiere la nueva contraseña' });
+            return;
+          }
+          // El enlace se marca como usado antes de calcular el hash, para que
+          // dos envíos simultáneos no lo usen los dos
+          reset.usedAt = new Date().toISOString();
+          writeData(data);
+          await setUserPassword(user, body.password);
+          writeData(data);
+          // Cerrar las sesiones abiertas y levantar un posible bloqueo de la cuenta
+          destroyUserSessions(user.id);
+          loginFailures.delete('account:' + user.email);
+          recordAudit(req, null, 'user.password.reset', auditUserTarget(user));
+          sendJSON(res, 200, { success: true });
+          return;
+        }
+      }
+      // POST /api/session/verify - confirma la contraseña del usuario de la
+      // sesión (por ejemplo, antes de un clock in/out); sujeto al mismo control
+      // de intentos que el inicio de sesión
+      if (method === 'POST' && parts[1] === 'session' && parts[2] === 'verify') {
+        const body = await parseRequestBody(req);
+        const valid = await verifyPasswordThrottled(req, res, actor.email, actor, body.password);
+        if (valid === null) return;
+        if (!valid) {
+          // 403 y no 401: la sesión sigue siendo válida
+          sendJSON(res, 403, { success: false, message: 'Contraseña incorrecta' });
+          return;
+        }
+        sendJSON(res, 200, { success: true });
+        return;
+      }
+      // /api/lockouts - bloqueos y esperas por intentos fallidos (solo admin)
+      if (parts[1] === 'lockouts') {
+        if (!requireAdmin(res, actor)) return;
+        // GET /api/lockouts
+        if (method === 'GET' && parts.length === 2) {
+          const now = Date.now();
+          const list = [];
+          for (const key of Array.from(loginFailures.keys())) {
+            const entry = getFailureEntry(key);
+            if (!entry || entry.failures === 0) continue;
+            const [type, ...rest] = key.split(':');
+            const identifier = rest.join(':');
+            let user = null;
+            if (type === 'account') user = data.users.find(u => u.email === identifier);
+            if (type === 'kiosk') user = data.users.find(u => u.id === identifier);
+            list.push({
+              key,
+              type,
+              identifier,
+              userId: user ? user.id : null,
+              userName: user ? `${user.firstName} ${user.lastName}` : null,
+              failures: entry.failures,
+              lastFailureAt: new Date(entry.lastFailureAt).toISOString(),
+              locked: entry.lockedUntil > now,
+              lockedUntil: entry.lockedUntil > now ? new Date(entry.lockedUntil).toISOString() : null
+            });
+          }
+          sendJSON(res, 200, list);
+          return;
+        }
+        // DELETE /api/lockouts/:key - elimina el bloqueo y el contador de fallos
+        if (method === 'DELETE' && parts.length === 3) {
+          const key = decodeURIComponent(parts[2]);
+          const entry = loginFailures.get(key);
+          if (!entry) {
+            sendJSON(res, 404, { success: false, message: 'Bloqueo no encontrado' });
+            return;
+          }
+          loginFailures.delete(key);
+          recordAudit(req, actor, 'auth.lockout.clear', { type: 'lockout', id: key }, {
+            failures: entry.failures,
+            lockedUntil: entry.lockedUntil ? new Date(entry.lockedUntil).toISOString() : null
+          }, null);
+          sendJSON(res, 200, { success: true });
+          return;
+        }
+      }
+      // /api/logout - invalida la sesión actual
+      if (method === 'POST' && parts[1] === 'logout') {
+        if (session) sessions.delete(session.token);
+        res.setHeader('Set-Cookie', sessionCookie('', 0));
+        sendJSON(res, 200, { success: true });
+        return;
+      }
+      // /api/invites
+      if (parts[1] === 'invites') {
+        // GET /api/invites/token/:token - datos de una invitación pendiente (público)
+        if (method === 'GET' && parts[2] === 'token') {
+          const invite = findPendingInvite(data, parts[3]);
+          if (!invite) {
+            sendJSON(res, 404, { success: false, message: 'La invitación no existe, ya se usó o ha expirado' });
+            return;
+          }
+          const safe = sanitizeInvite(data, invite);
+          sendJSON(res, 200, {
+            success: true,
+            invite: {
+              email: safe.email,
+              role: safe.role,
+              groupName: safe.groupName,
+              payType: safe.payType,
+              payRate: safe.payRate,
+              expiresAt: safe.expiresAt
+            }
+          });
+          return;
+        }
+        if (!requireAdmin(res, actor)) return;
+        // GET /api/invites - listado de invitaciones
+        if (method === 'GET' && parts.length === 2) {
+          const invites = (data.invites || []).map(i => sanitizeInvite(data, i));
+          sendJSON(res, 200, invites.reverse());
+          return;
+        }
+        // POST /api/invites - crea una invitación de un solo uso
+        if (method === 'POST' && parts.length === 2) {
+          const body = await parseRequestBody(req);
+          const email = (body.email || '').trim().toLowerCase();
+          if (!email) {
+            sendJSON(res, 400, { success: false, message: 'Correo requerido' });
+            return;
+          }
+          if (!isValidEmail(email)) {
+            sendJSON(res, 400, { success: false, message: 'Correo no válido' });
+            return;
+          }
+          if (data.users.some(u => u.email === email)) {
+            sendJSON(res, 400, { success: false, message: 'El correo ya está registrado' });
+            return;
+          }
+          const role = body.role === 'admin' ? 'admin' : 'employee';
+          if (body.groupId && !data.groups.some(g => g.id === body.groupId)) {
+            sendJSON(res, 400, { success: false, message: 'Grupo no encontrado' });
+            return;
+          }
+          const token = crypto.randomBytes(32).toString('hex');
+          const now = Date.now();
+          const invite = {
+            id: 'inv_' + Math.random().toString(36).substr(2, 9),
+            tokenHash: hashToken(token),
+            email,
+            role,
+            groupId: body.groupId || null,
+            payType: body.payType || 'hora',
+            payRate: body.payRate !== undefined && !isNaN(body.payRate) ? Number(body.payRate) : 0,
+            createdBy: actor.id,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + INVITE_TTL_HOURS * 60 * 60 * 1000).toISOString(),
+            usedAt: null,
+            usedBy: null,
+            revokedAt: null
+          };
+          data.invites.push(invite);
+          writeData(data);
+          recordAudit(req, actor, 'invite.create', { type: 'invite', id: invite.id, name: email }, null, {
+            email,
+            role,
+            groupId: invite.groupId,
+            payType: invite.payType,
+            payRate: invite.payRate,
+            expiresAt: invite.expiresAt
+          });
+          // El token solo se devuelve en esta respuesta
+          sendJSON(res, 201, {
+            success: true,
+            invite: sanitizeInvite(data, invite),
+            token,
+            link: `register.html?invite=${token}`
+          });
+          return;
+        }
+        // DELETE /api/invites/:id - revoca una invitación pendiente
+        if (method === 'DELETE' && parts.length === 3) {
+          const invite = (data.invites || []).find(i => i.id === parts[2]);
+          if (!invite) {
+            sendJSON(res, 404, { success: false, message: 'Invitación no encontrada' });
+            return;
+          }
+          if (inviteStatus(invite) !== 'pending') {
+            sendJSON(res, 400, { success: false, message: 'La invitación ya no está pendiente' });
+            return;
+          }
+          invite.revokedAt = new Date().toISOString();
+          writeData(data);
+          recordAudit(req, actor, 'invite.revoke', { type: 'invite', id: invite.id, name: invite.email }, { status: 'pending' }, { status: 'revoked' });
+          sendJSON(res, 200, { success: true });
+          return;
+        }
+      }
+      // /api/kiosk-devices - dispositivos de fichaje compartidos (solo admin)
+      if (parts[1] === 'kiosk-devices') {
+        if (!requireAdmin(res, actor)) return;
+        // GET /api/kiosk-devices - listado, los más recientes primero
+        if (method === 'GET' && parts.length === 2) {
+          sendJSON(res, 200, (data.kioskDevices || []).map(d => sanitizeKioskDevice(data, d)).reverse());
+          return;
+        }
+        // POST /api/kiosk-devices - registra el dispositivo desde el que se
+        // hace la petición.  El token solo se devuelve en esta respuesta.
+        if (method === 'POST' && parts.length === 2) {
+          const body = await parseRequestBody(req);
+          const name = String(body.name || '').trim().slice(0, 100);
+          if (!name) {
+            sendJSON(res, 400, { success: false, message: 'Indica un nombre para el dispositivo' });
+            return;
+          }
+          const token = crypto.randomBytes(32).toString('hex');
+          const device = {
+            id: 'kio_' + Math.random().toString(36).substr(2, 9),
+            name,
+            tokenHash: hashToken(token),
+            createdBy: actor.id,
+            createdAt: new Date().toISOString(),
+            lastUsedAt: null,
+            revokedAt: null
+          };
+          data.kioskDevices.push(device);
+          writeData(data);
+          recordAudit(req, actor, 'kiosk.device.register', { type: 'kioskDevice', id: device.id, name }, null, { name });
+          sendJSON(res, 201, { success: true, device: sanitizeKioskDevice(data, device), token });
+          return;
+        }
+        // DELETE /api/kiosk-devices/:id - revoca un dispositivo
+        if (method === 'DELETE' && parts.length === 3) {
+          const device = (data.kioskDevices || []).find(d => d.id === parts[2]);
+          if (!device) {
+            sendJSON(res, 404, { success: false, message: 'Dispositivo no encontrado' });
+            return;
+          }
+          if (device.revokedAt) {
+            sendJSON(res, 400, { success: false, message: 'El dispositivo ya está revocado' });
+            return;
+          }
+          device.revokedAt = new Date().toISOString();
+          writeData(data);
+          recordAudit(req, actor, 'kiosk.device.revoke', { type: 'kioskDevice', id: device.id, name: device.name }, { status: 'active' }, { status: 'revoked' });
+          sendJSON(res, 200, { success: true });
+          return;
+        }
+      }
+      // /api/kiosk - fichaje desde un dispositivo compartido.  No usa sesión:
+      // el dispositivo se identifica con su token (cabecera X-Kiosk-Token) y
+      // cada empleado con su PIN.
+      if (parts[1] === 'kiosk') {
+        const device = findKioskDevice(data, req.headers['x-kiosk-token']);
+        if (!device) {
+          sendJSON(res, 401, { success: false, message: 'Este dispositivo no está registrado como kiosco' });
+          return;
+        }
+        // GET /api/kiosk/employees - empleados con PIN y si tienen la jornada abierta
+        if (method === 'GET' && parts[2] === 'employees') {
+          const employees = data.users
+            .filter(u => u.kioskPinHash)
+            .map(u => ({
+              id: u.id,
+              firstName: u.firstName,
+              lastName: u.lastName,
+              clockedIn: u.times.length > 0 && !u.times[u.times.length - 1].clockOut
+            }))
+            .sort((a, b) => `${a.firstName} ${a.lastName}`.localeCompare(`${b.firstName} ${b.lastName}`, 'es'));
+          sendJSON(res, 200, { device: { id: device.id, name: device.name }, employees });
+          return;
+        }
+        // POST /api/kiosk/clock - alterna la jornada del empleado tras
+        // comprobar su PIN: { userId, pin, location }
+        if (method === 'POST' && parts[2] === 'clock') {
+          const body = await parseRequestBody(req);
+          const user = data.users.find(u => u.id === body.userId && u.kioskPinHash);
+          const valid = await verifyThrottled(req, res, kioskThrottleKeys(req, body.userId), () => verifyKioskPin(user, body.pin));
+          if (valid === null) return;
+          if (!valid) {
+            sendJSON(res, 403, { success: false, message: 'PIN incorrecto' });
+            return;
+          }
+          device.lastUsedAt = new Date().toISOString();
+          const record = toggleUserClock(req, res, data, user, user, parseLocation(body.location), { kioskDeviceId: device.id });
+          if (!record) return;
+          // La foto permite confirmar quién ha fichado
+          sendJSON(res, 200, {
+            success: true,
+            action: record.clockOut ? 'clock_out' : 'clock_in',
+            at: record.clockOut || record.clockIn,
+            employee: { firstName: user.firstName, lastName: user.lastName, photo: blobs.toDataUrl(user.photoData) }
+          });
+          return;
+        }
+        sendJSON(res, 404, { success: false, message: 'Ruta no encontrada' });
+        return;
+      }
+      // /api/shift-templates - plantillas semanales de turnos (solo admin)
+      if (parts[1] === 'shift-templates') {
+        if (!requireAdmin(res, actor)) return;
+        // GET /api/shift-templates
+        if (method === 'GET' && parts.length === 2) {
+          sendJSON(res, 200, data.shiftTemplates);
+          return;
+        }
+        // POST /api/shift-templates - crea una plantilla { name, days, notes }
+        if (method === 'POST' && parts.length === 2) {
+          const body = await parseRequestBody(req);
+          const parsed = parseShiftTemplate(body);
+          if (parsed.error) {
+            sendJSON(res, 400, { success: false, message: parsed.error });
+            return;
+          }
+          const template = { id: 'tpl_' + Math.random().toString(36).substr(2, 9), ...parsed.template, createdAt: new Date().toISOString() };
+          data.shiftTemplates.push(template);
+          writeData(data);
+          recordAudit(req, actor, 'schedule.template.create', { type: 'shiftTemplate', id: template.id, name: template.name }, null, parsed.template);
+          sendJSON(res, 201, { success: true, template });
+          return;
+        }
+        const template = data.shiftTemplates.find(t => t.id === parts[2]);
+        if (!template) {
+          sendJSON(res, 404, { success: false, message: 'Plantilla no encontrada' });
+          return;
+        }
+        // DELETE /api/shift-templates/:id - los turnos ya creados se conservan
+        if (method === 'DELETE' && parts.length === 3) {
+          data.shiftTemplates = data.shiftTemplates.filter(t => t.id !== template.id);
+          writeData(data);
+          recordAudit(req, actor, 'schedule.template.delete', { type: 'shiftTemplate', id: template.id, name: template.name }, { days: template.days }, null);
+          sendJSON(res, 200, { success: true });
+          return;
+        }
+        // POST /api/shift-templates/:id/apply - crea los turnos de la
+        // plantilla para los miembros de un grupo: { groupId, from, to }.
+        // Los turnos que ya existen (mismo día y hora de inicio) y los días de
+        // permiso aprobado se omiten.
+        if (method === 'POST' && parts[3] === 'apply') {
+          const body = await parseRequestBody(req);
+          const group = data.groups.find(g => g.id === body.groupId);
+          if (!group) {
+            sendJSON(res, 400, { success: false, message: 'Grupo no encontrado' });
+            return;
+          }
+          const planned = templateShifts(template, body.from, body.to);
+          if (planned.error) {
+            sendJSON(res, 400, { success: false, message: planned.error });
+            return;
+          }
+          let created = 0;
+          let skipped = 0;
+          group.members.forEach(memberId => {
+            const member = data.users.find(u => u.id === memberId);
+            if (!member) return;
+            planned.shifts.forEach(p => {
+              if (member.schedules.some(s => s.date === p.date && s.start === p.start) || isOnLeave(data, member, p.date)) {
+                skipped++;
+                return;
+              }
+              member.schedules.push({
+                id: 'shf_' + Math.random().toString(36).substr(2, 9),
+                ...p,
+                groupId: group.id,
+                notes: template.notes,
+                templateId: template.id
+              });
+              created++;
+            });
+          });
+          writeData(data);
+          recordAudit(req, actor, 'schedule.template.apply', { type: 'shiftTemplate', id: template.id, name: template.name }, null, {
+            groupId: group.id,
+            from: body.from,
+            to: body.to,
+            created,
+            skipped
+          });
+          sendJSON(res, 200, { success: true, created, skipped });
+          return;
+        }
+      }
+      // GET /api/attendance?from=&to=&groupId= - retrasos, salidas
+      // anticipadas y ausencias de los empleados con turnos (solo admin)
+      if (method === 'GET' && parts[1] === 'attendance' && parts.length === 2) {
+        if (!requireAdmin(res, actor)) return;
+        const period = periodFromQuery(query);
+        if (period.error) {
+          sendJSON(res, 400, { success: false, message: period.error });
+          return;
+        }
+        const groupId = query.get('groupId');
+        const group = groupId ? data.groups.find(g => g.id === groupId) : null;
+        const report = data.users
+          .filter(u => !group || group.members.includes(u.id))
+          .map(u => ({
+            userId: u.id,
+            userName: `${u.firstName} ${u.lastName}`,
+            timeZone: userTimeZone(data, u),
+            ...userAttendance(data, u, period.from, period.to)
+          }))
+          .filter(entry => entry.results.length > 0);
+        sendJSON(res, 200, report);
+        return;
+      }
+      // /api/open-shifts - jornadas abiertas y cerradas automáticamente sin
+      // revisar (solo admin)
+      if (parts[1] === 'open-shifts') {
+        if (!requireAdmin(res, actor)) return;
+        // GET /api/open-shifts - las más antiguas primero
+        if (method === 'GET' && parts.length === 2) {
+          const now = Date.now();
+          const shifts = [];
+          data.users.forEach(u => {
+            u.times.forEach(record => {
+              if (openShiftStatus(record)) shifts.push(describeOpenShift(data, u, record, now));
+            });
+          });
+          shifts.sort((a, b) => new Date(a.clockIn) - new Date(b.clockIn));
+          sendJSON(res, 200, shifts);
+          return;
+        }
+        // POST /api/open-shifts/:userId/:timeId/resolve - cierra una jornada
+        // abierta ({ clockOut }) o da por revisada una cerrada automáticamente,
+        // con la salida corregida opcional
+        if (method === 'POST' && parts.length === 5 && parts[4] === 'resolve') {
+          const body = await parseRequestBody(req);
+          const target = data.users.find(u => u.id === parts[2]);
+          const record = target ? target.times.find(t => t.id === parts[3]) : null;
+          if (!record || !openShiftStatus(record)) {
+            sendJSON(res, 404, { success: false, message: 'Jornada no encontrada' });
+            return;
+          }
+          const locked = lockedTimesheet(data, target, record.clockIn);
+          if (locked) {
+            sendPeriodLocked(res, locked);
+            return;
+          }
+          if (!record.clockOut && !body.clockOut) {
+            sendJSON(res, 400, { success: false, message: 'Indica la salida de la jornada' });
+            return;
+          }
+          const clockOut = body.clockOut ? new Date(body.clockOut).toISOString() : record.clockOut;
+          const error = body.clockOut ? validateTimeCorrection(target, record.id, record.clockIn, body.clockOut) : null;
+          if (error) {
+            sendJSON(res, 400, { success: false, message: error });
+            return;
+          }
+          const before = { timeId: record.id, clockOut: record.clockOut, status: openShiftStatus(record) };
+          if (record.clockOut) {
+            record.clockOut = clockOut;
+            // Los descansos cerrados con la salida automática terminan con la nueva
+            (record.breaks || []).forEach(b => {
+              if (b.end && b.end > clockOut) b.end = clockOut;
+            });
+          } else {
+            closeRecord(record, clockOut);
+          }
+          if (record.autoClosed) {
+            record.autoClosed.reviewedAt = new Date().toISOString();
+            record.autoClosed.reviewedBy = actor.id;
+          }
+          writeData(data);
+          recordAudit(req, actor, 'time.open_shift.resolve', auditUserTarget(target), before, { timeId: record.id, clockOut });
+          sendJSON(res, 200, { success: true, time: sanitizeTime(record) });
+          return;
+        }
+      }
+      // /api/timesheets - hojas de horas de todos los empleados (solo admin)
+      if (parts[1] === 'timesheets') {
+        if (!requireAdmin(res, actor)) return;
+        // GET /api/timesheets?date=&groupId= - estado de cada empleado en el
+        // periodo que contiene `date` (hoy por defecto)
+        if (method === 'GET' && parts.length === 2) {
+          const day = query.get('date') || dateKey(new Date().toISOString(), data.company.timeZone);
+          if (!isDateKey(day)) {
+            sendJSON(res, 400, { success: false, message: 'La fecha debe tener el formato AAAA-MM-DD' });
+            return;
+          }
+          const period = periodContaining(day, data.company.payPeriodRules);
+          const groupId = query.get('groupId');
+          const group = groupId ? data.groups.find(g => g.id === groupId) : null;
+          const employees = data.users
+            .filter(u => u.role === 'employee' || u.role === 'admin')
+            .filter(u => !group || group.members.includes(u.id))
+            .map(u => ({ ...describeTimesheet(data, u, period), groupId: (userGroup(data, u) || {}).id || null }));
+          sendJSON(res, 200, { ...period, employees });
+          return;
+        }
+        // POST /api/timesheets/:id/approve - aprueba y bloquea el periodo
+        // POST /api/timesheets/:id/reject - la devuelve al empleado ({ note })
+        // POST /api/timesheets/:id/reopen - desbloquea un periodo aprobado
+        if (method === 'POST' && parts.length === 4 && ['approve', 'reject', 'reopen'].includes(parts[3])) {
+          const body = await parseRequestBody(req);
+          const timesheet = data.timesheets.find(t => t.id === parts[2]);
+          const user = timesheet ? data.users.find(u => u.id === timesheet.userId) : null;
+          if (!user) {
+            sendJSON(res, 404, { success: false, message: 'Hoja de horas no encontrada' });
+            return;
+          }
+          const action = parts[3];
+          const expected = action === 'reopen' ? 'approved' : 'submitted';
+          if (timesheet.status !== expected) {
+            sendJSON(res, 409, {
+              success: false,
+              message: action === 'reopen' ? 'Solo se pueden reabrir las hojas aprobadas' : 'La hoja no está pendiente de aprobación'
+            });
+            return;
+          }
+          const summary = describeTimesheet(data, user, timesheet);
+          if (action === 'approve' && summary.openShifts > 0) {
+            sendJSON(res, 409, { success: false, message: 'El periodo tiene jornadas abiertas' });
+            return;
+          }
+          const before = { status: timesheet.status };
+          timesheet.status = { approve: 'approved', reject: 'rejected', reopen: 'open' }[action];
+          timesheet.reviewedAt = new Date().toISOString();
+          timesheet.reviewedBy = actor.id;
+          timesheet.reviewerName = `${actor.firstName} ${actor.lastName}`;
+          timesheet.note = String(body.note || '').trim().slice(0, 500);
+          // Importes en el momento de la aprobación
+          timesheet.totals = action === 'approve'
+            ? { hours: summary.hours, wages: summary.wages, receiptsCount: summary.receiptsCount, receiptsTotal: summary.receiptsTotal }
+            : null;
+          writeData(data);
+          recordAudit(req, actor, 'timesheet.' + action, auditUserTarget(user), before, {
+            timesheetId: timesheet.id,
+            from: timesheet.from,
+            to: timesheet.to,
+            status: timesheet.status,
+            note: timesheet.note,
+            totals: timesheet.totals
+          });
+          sendJSON(res, 200, { success: true, timesheet: describeTimesheet(data, user, timesheet) });
+          return;
+        }
+      }
+      // /api/leave - cola de solicitudes de permiso y saldos (solo admin)
+      if (parts[1] === 'leave') {
+        if (!requireAdmin(res, actor)) return;
+        // GET /api/leave?status=pending - solicitudes, las más recientes primero
+        if (method === 'GET' && parts.length === 2) {
+          const status = query.get('status') || '';
+          const requests = data.leaveRequests
+            .filter(r => !status || r.status === status)
+            .map(r => sanitizeLeaveRequest(data, r));
+          sendJSON(res, 200, requests.reverse());
+          return;
+        }
+        // GET /api/leave/balances - saldos de todos los empleados
+        if (method === 'GET' && parts[2] === 'balances' && parts.length === 3) {
+          const balances = data.users
+            .filter(u => u.role === 'employee' || u.role === 'admin')
+            .map(u => ({ userId: u.id, userName: `${u.firstName} ${u.lastName}`, balances: userLeaveBalances(data, u) }));
+          sendJSON(res, 200, balances);
+          return;
+        }
+        // POST /api/leave/:id/approve - aprueba el permiso
+        // POST /api/leave/:id/deny - lo deniega ({ note })
+        if (method === 'POST' && parts.length === 4 && (parts[3] === 'approve' || parts[3] === 'deny')) {
+          // El cuerpo se lee antes de comprobar el estado: entre la
+          // comprobación y el cambio no puede haber esperas, o una aprobación
+          // y una denegación simultáneas se aplicarían las dos
+          const body = await parseRequestBody(req);
+          const request = data.leaveRequests.find(r => r.id === parts[2]);
+          const user = request ? data.users.find(u => u.id === request.userId) : null;
+          if (!user) {
+            sendJSON(res, 404, { success: false, message: 'Solicitud no encontrada' });
+            return;
+          }
+          if (request.status !== 'pending') {
+            sendJSON(res, 400, { success: false, message: 'La solicitud ya no está pendiente' });
+            return;
+          }
+          const approve = parts[3] === 'approve';
+          if (approve) {
+            // Los saldos y los periodos pueden haber cambiado desde la solicitud
+            const locked = lockedLeave(data, user, request);
+            if (locked) {
+              sendPeriodLocked(res, locked);
+              return;
+            }
+            const conflict = leaveRequestConflict(data, user, request);
+            if (conflict) {
+              sendJSON(res, 409, { success: false, message: conflict });
+              return;
+            }
+          }
+          request.status = approve ? 'approved' : 'denied';
+          request.reviewedAt = new Date().toISOString();
+          request.reviewedBy = actor.id;
+          request.reviewerName = `${actor.firstName} ${actor.lastName}`;
+          request.reviewNote = String(body.note || '').trim().slice(0, 500);
+          writeData(data);
+          recordAudit(req, actor, approve ? 'leave.approve' : 'leave.deny', auditUserTarget(user),
+            { requestId: request.id, status: 'pending' },
+            { requestId: request.id, status: request.status, type: request.type, from: request.from, to: request.to, hours: request.hours, note: request.reviewNote });
+          sendJSON(res, 200, { success: true, request: sanitizeLeaveRequest(data, request) });
+          return;
+        }
+      }
+      // /api/ledger - saldos de las liquidaciones y anulación de movimientos (solo admin)
+      if (parts[1] === 'ledger') {
+        if (!requireAdmin(res, actor)) return;
+        // GET /api/ledger/balances - saldo de todos los empleados
+        if (method === 'GET' && parts[2] === 'balances' && parts.length === 3) {
+          const balances = data.users
+            .filter(u => u.role === 'employee' || u.role === 'admin')
+            .map(u => {
+              const { owed, paid, balance } = userLedger(data, u);
+              return { userId: u.id, userName: `${u.firstName} ${u.lastName}`, owed, paid, balance };
+            });
+          sendJSON(res, 200, balances);
+          return;
+        }
+        // POST /api/ledger/:id/void - anula un movimiento ({ note } con el
+        // motivo); los recibos de un pago anulado vuelven a aprobados
+        if (method === 'POST' && parts.length === 4 && parts[3] === 'void') {
+          const body = await parseRequestBody(req);
+          const entry = data.ledgerEntries.find(e => e.id === parts[2]);
+          const user = entry ? data.users.find(u => u.id === entry.userId) : null;
+          if (!user) {
+            sendJSON(res, 404, { success: false, message: 'Movimiento no encontrado' });
+            return;
+          }
+          if (entry.status !== 'active') {
+            sendJSON(res, 400, { success: false, message: 'El movimiento ya está anulado' });
+            return;
+          }
+          const note = String(body.note || '').trim().slice(0, 500);
+          if (!note) {
+            sendJSON(res, 400, { success: false, message: 'Indica el motivo de la anulación' });
+            return;
+          }
+          (user.receipts || []).filter(r => r.payoutId === entry.id).forEach(revertReimbursement);
+          entry.status = 'void';
+          entry.voidedAt = new Date().toISOString();
+          entry.voidedBy = actor.id;
+          entry.voidedByName = `${actor.firstName} ${actor.lastName}`;
+          entry.voidNote = note;
+          writeData(data);
+          recordAudit(req, actor, 'ledger.void', auditUserTarget(user),
+            { entryId: entry.id, type: entry.type, amount: entry.amount, status: 'active' },
+            { entryId: entry.id, status: 'void', note, receiptIds: entry.covers.receiptIds });
+          sendJSON(res, 200, { success: true, ledger: userLedger(data, user) });
+          return;
+        }
+      }
+      // /api/receipts - revisión y reembolso de los recibos (solo admin)
+      if (parts[1] === 'receipts') {
+        if (!requireAdmin(res, actor)) return;
+        // GET /api/receipts?status=pending - recibos de todos los empleados,
+        // los más recientes primero.  status=flagged devuelve los que tienen
+        // una alerta de posible duplicado abierta.
+        if (method === 'GET' && parts.length === 2) {
+          const status = query.get('status') || '';
+          const matches = r => !status ||
+            (status === 'flagged' ? Boolean(r.duplicateFlag && r.duplicateFlag.status === 'open') : r.status === status);
+          const receipts = [];
+          data.users.forEach(u => {
+            (u.receipts || [])
+              .filter(matches)
+              .forEach(r => receipts.push({ ...sanitizeReceipt(r), userId: u.id, userName: `${u.firstName} ${u.lastName}` }));
+          });
+          receipts.sort((a, b) => new Date(b.date) - new Date(a.date));
+          sendJSON(res, 200, receipts);
+          return;
+        }
+        // POST /api/receipts/:id/approve - lo aprueba ({ note } opcional)
+        // POST /api/receipts/:id/reject - lo rechaza ({ note } con el motivo)
+        // POST /api/receipts/:id/reimburse - marca como pagado uno aprobado
+        if (method === 'POST' && parts.length === 4 && ['approve', 'reject', 'reimburse'].includes(parts[3])) {
+          const body = await parseRequestBody(req);
+          const user = data.users.find(u => (u.receipts || []).some(r => r.id === parts[2]));
+          if (!user) {
+            sendJSON(res, 404, { success: false, message: 'Recibo no encontrado' });
+            return;
+          }
+          const receipt = user.receipts.find(r => r.id === parts[2]);
+          // Aprobar o rechazar cambia los recibos aceptados del periodo;
+          // reembolsar uno aprobado no
+          if (parts[3] !== 'reimburse') {
+            const locked = lockedTimesheet(data, user, receipt.date);
+            if (locked) {
+              sendPeriodLocked(res, locked);
+              return;
+            }
+          }
+          const before = { id: receipt.id, status: receipt.status };
+          const result = reviewReceipt(receipt, parts[3], actor, body.note);
+          if (result.error) {
+            sendJSON(res, 400, { success: false, message: result.error });
+            return;
+          }
+          writeData(data);
+          recordAudit(req, actor, 'receipt.' + parts[3], auditUserTarget(user), before, {
+            id: receipt.id,
+            status: receipt.status,
+            amount: receipt.amount,
+            note: parts[3] === 'reimburse' ? receipt.reimbursementNote : receipt.reviewNote
+          });
+          sendJSON(res, 200, { success: true, receipt: sanitizeReceipt(receipt) });
           return;
         }
-        // Verificar email único
-        if (data.users.some(u => u.email === email)) {
-          sendJSON(res, 400, { success: false, message: 'El correo ya está registrado' });
+        // POST /api/receipts/:id/dismiss-duplicate - descarta la alerta de
+        // posible duplicado como falso positivo ({ note } opcional)
+        if (method === 'POST' && parts.length === 4 && parts[3] === 'dismiss-duplicate') {
+          const user = data.users.find(u => (u.receipts || []).some(r => r.id === parts[2]));
+          if (!user) {
+            sendJSON(res, 404, { success: false, message: 'Recibo no encontrado' });
+            return;
+          }
+          const receipt = user.receipts.find(r => r.id === parts[2]);
+          const body = await parseRequestBody(req);
+          const result = dismissDuplicateFlag(receipt, actor, body.note);
+          if (result.error) {
+            sendJSON(res, 400, { success: false, message: result.error });
+            return;
+          }
+          writeData(data);
+          recordAudit(req, actor, 'receipt.dismiss_duplicate', auditUserTarget(user),
+            { id: receipt.id, duplicateStatus: 'open' },
+            { id: receipt.id, duplicateStatus: 'dismissed', matches: receipt.duplicateFlag.matches.map(m => m.receiptId), note: receipt.duplicateFlag.reviewNote });
+          sendJSON(res, 200, { success: true, receipt: sanitizeReceipt(receipt) });
           return;
         }
-        const newUser = {
-          id: 'usr_' + Math.random().toString(36).substr(2, 9),
-          firstName: body.firstName,
-          middleName: body.middleName || '',
-          lastName: body.lastName,
-          phone: body.phone || '',
-          email: email.toLowerCase(),
-          password: password,
-          ssn: body.ssn || '',
-          photoData: body.photoData || '',
-          govData: body.govData || '',
-          role: body.isAdmin ? 'admin' : 'employee',
-          times: [],
-          receipts: [],
-          // Fechas programadas por el administrador (YYYY-MM-DD)
-          schedules: []
-        };
-        // Añadir información de pago
-        newUser.payType = body.payType || 'hora';
-        newUser.payRate = typeof body.payRate === 'number' && !isNaN(body.payRate) ? body.payRate : 0;
-        data.users.push(newUser);
-        writeData(data);
-        sendJSON(res, 201, { success: true, user: newUser });
-        return;
       }
-      // /api/login
-      if (method === 'POST' && parts[1] === 'login') {
-        const body = await parseRequestBody(req);
-        const { email, password } = body;
-        const user = data.users.find(u => u.email === (email || '').toLowerCase());
-        if (!user || user.password !== password) {
-          sendJSON(res, 401, { success: false, message: 'Credenciales incorrectas' });
+      // /api/time-corrections - cola de revisión de correcciones de horario (solo admin)
+      if (parts[1] === 'time-corrections') {
+        if (!requireAdmin(res, actor)) return;
+        // GET /api/time-corrections?status=pending - solicitudes, las más recientes primero
+        if (method === 'GET' && parts.length === 2) {
+          const status = query.get('status') || '';
+          const corrections = data.timeCorrections
+            .filter(c => !status || c.status === status)
+            .map(c => sanitizeTimeCorrection(data, c));
+          sendJSON(res, 200, corrections.reverse());
+          return;
+        }
+        // POST /api/time-corrections/:id/approve - aplica la corrección al horario
+        // POST /api/time-corrections/:id/reject - la rechaza sin cambiar el horario
+        if (method === 'POST' && parts.length === 4 && (parts[3] === 'approve' || parts[3] === 'reject')) {
+          const body = await parseRequestBody(req);
+          const correction = data.timeCorrections.find(c => c.id === parts[2]);
+          if (!correction) {
+            sendJSON(res, 404, { success: false, message: 'Solicitud no encontrada' });
+            return;
+          }
+          if (correction.status !== 'pending') {
+            sendJSON(res, 400, { success: false, message: 'La solicitud ya no está pendiente' });
+            return;
+          }
+          const user = data.users.find(u => u.id === correction.userId);
+          if (!user) {
+            sendJSON(res, 404, { success: false, message: 'Usuario no encontrado' });
+            return;
+          }
+          const approve = parts[3] === 'approve';
+          let before = null;
+          let after = null;
+          if (approve) {
+            // El horario puede haber cambiado desde que se hizo la solicitud
+            const error = validateTimeCorrection(user, correction.timeId, correction.clockIn, correction.clockOut);
+            if (error) {
+              sendJSON(res, 409, { success: false, message: error });
+              return;
+            }
+            const existing = correction.timeId ? user.times.find(t => t.id === correction.timeId) : null;
+            // El periodo puede haberse aprobado desde la solicitud
+            const locked = lockedCorrection(data, user, existing, correction.clockIn);
+            if (locked) {
+              sendPeriodLocked(res, locked);
+              return;
+            }
+            before = existing ? { ...existing } : null;
+            after = { ...applyTimeCorrection(user, correction) };
+          }
+          correction.status = approve ? 'approved' : 'rejected';
+          correction.reviewedAt = new Date().toISOString();
+          correction.reviewedBy = actor.id;
+          correction.reviewerName = `${actor.firstName} ${actor.lastName}`;
+          correction.reviewNote = String(body.note || '').trim().slice(0, 500);
+          writeData(data);
+          recordAudit(req, actor, approve ? 'time.correction.approve' : 'time.correction.reject', auditUserTarget(user),
+            approve ? before : { correctionId: correction.id, status: 'pending' },
+            approve ? after : { correctionId: correction.id, status: 'rejected', note: correction.reviewNote });
+          sendJSON(res, 200, { success: true, correction: sanitizeTimeCorrection(data, correction) });
           return;
         }
-        sendJSON(res, 200, { success: true, user: { id: user.id, firstName: user.firstName, lastName: user.lastName, role: user.role } });
-        return;
       }
       // /api/users
       if (parts[1] === 'users') {
         // GET /api/users
         if (method === 'GET' && parts.length === 2) {
+          if (!requireAdmin(res, actor)) return;
           // Devuelve usuarios sin contraseñas
-          const users = data.users.map(u => ({ ...u, password: undefined }));
+          const users = data.users.map(sanitizeUser);
           sendJSON(res, 200, users);
           return;
         }
         const userId = parts[2];
+        // Un empleado solo puede acceder a sus propios recursos
+        if (!requireSelfOrAdmin(res, actor, userId)) return;
         const user = data.users.find(u => u.id === userId);
         if (!user) {
           sendJSON(res, 404, { message: 'Usuario no encontrado' });
@@ -254,117 +2651,547 @@ const server = http.createServer(async (req, res) => {
         }
         // GET /api/users/:id
         if (method === 'GET' && parts.length === 3) {
-          const { password, ...userSafe } = user;
-          sendJSON(res, 200, userSafe);
+          sendJSON(res, 200, sanitizeUser(user));
+          return;
+        }
+        // POST /api/users/:id/reveal - devuelve el SSN y la identificación sin
+        // enmascarar (solo admin).  Cada consulta queda registrada.
+        if (method === 'POST' && parts[3] === 'reveal') {
+          if (!requireAdmin(res, actor)) return;
+          const body = await parseRequestBody(req);
+          const requested = Array.isArray(body.fields) ? body.fields : SENSITIVE_FIELDS;
+          const fields = requested.filter(f => SENSITIVE_FIELDS.includes(f));
+          if (fields.length === 0) {
+            sendJSON(res, 400, { success: false, message: 'Campos no válidos' });
+            return;
+          }
+          const revealed = {};
+          fields.forEach(f => {
+            revealed[f] = readSensitiveField(user, f);
+          });
+          data.sensitiveAccessLog.push({
+            viewerId: actor.id,
+            viewerName: `${actor.firstName} ${actor.lastName}`,
+            userId: user.id,
+            fields,
+            at: new Date().toISOString()
+          });
+          writeData(data);
+          recordAudit(req, actor, 'user.sensitive.reveal', auditUserTarget(user), null, { fields });
+          sendJSON(res, 200, { success: true, ...revealed });
+          return;
+        }
+        // GET /api/users/:id/reveal - historial de consultas de datos sensibles (solo admin)
+        if (method === 'GET' && parts[3] === 'reveal') {
+          if (!requireAdmin(res, actor)) return;
+          const log = (data.sensitiveAccessLog || []).filter(entry => entry.userId === user.id);
+          sendJSON(res, 200, log);
           return;
         }
         // PUT /api/users/:id/password - actualizar contraseña
         if (method === 'PUT' && parts[3] === 'password') {
+          // Solo el propio usuario puede cambiar su contraseña
+          if (actor.id !== user.id) {
+            sendJSON(res, 403, { success: false, message: 'Solo puedes cambiar tu propia contraseña' });
+            return;
+          }
           const body = await parseRequestBody(req);
           const { oldPassword, newPassword } = body;
           if (!oldPassword || !newPassword) {
             sendJSON(res, 400, { success: false, message: 'Se requieren la contraseña actual y la nueva contraseña' });
             return;
           }
-          // Verificar contraseña actual
-          if (user.password !== oldPassword) {
+          // Verificar contraseña actual (con control de intentos)
+          const valid = await verifyPasswordThrottled(req, res, user.email, user, oldPassword);
+          if (valid === null) return;
+          if (!valid) {
             sendJSON(res, 403, { success: false, message: 'Contraseña actual incorrecta' });
             return;
           }
-          user.password = newPassword;
+          await setUserPassword(user, newPassword);
           writeData(data);
+          recordAudit(req, actor, 'user.password.change', auditUserTarget(user));
           sendJSON(res, 200, { success: true });
           return;
         }
+        // PUT /api/users/:id/kiosk-pin - fija el PIN del kiosco ({ pin }, 4 a 8
+        // dígitos; null lo elimina).  Lo cambian el propio usuario o un admin.
+        if (method === 'PUT' && parts[3] === 'kiosk-pin') {
+          const body = await parseRequestBody(req);
+          const hadPin = Boolean(user.kioskPinHash);
+          if (body.pin === null || body.pin === '') {
+            user.kioskPinHash = null;
+          } else if (isValidKioskPin(body.pin)) {
+            user.kioskPinHash = await hashPassword(body.pin);
+          } else {
+            sendJSON(res, 400, { success: false, message: 'El PIN debe tener entre 4 y 8 dígitos' });
+            return;
+          }
+          // Un PIN nuevo reinicia los intentos fallidos del empleado
+          loginFailures.delete('kiosk:' + user.id);
+          writeData(data);
+          recordAudit(req, actor, 'user.kiosk_pin.update', auditUserTarget(user), { hasPin: hadPin }, { hasPin: Boolean(user.kioskPinHash) });
+          sendJSON(res, 200, { success: true, hasKioskPin: Boolean(user.kioskPinHash) });
+          return;
+        }
         // POST /api/users/:id/clock
         if (method === 'POST' && parts[3] === 'clock') {
-          // Toggle clock
-          const times = user.times || [];
+          // Toggle clock.  El cuerpo puede incluir la ubicación del navegador:
+          // { location: { lat, lng, accuracy } }.  Los envíos diferidos del
+          // empleado añaden { action, recordedAt, sentAt } y la cabecera
+          // Idempotency-Key (ver lib/sync.js).
+          const submission = parseSubmission(req, res, data, user);
+          if (!submission) return;
+          const body = await parseRequestBody(req);
+          const options = { idempotencyKey: submission.key };
+          if (body.action !== undefined) {
+            if (body.action !== 'clock_in' && body.action !== 'clock_out') {
+              sendJSON(res, 400, { success: false, message: 'Acción de fichaje no válida' });
+              return;
+            }
+            options.action = body.action;
+          }
+          if (!deviceTimeFromBody(res, actor, user, submission, body, options)) return;
+          const auditExtra = options.sync ? { sync: options.sync } : {};
+          const record = toggleUserClock(req, res, data, actor, user, parseLocation(body.location), auditExtra, options);
+          if (!record) return;
+          sendJSON(res, 200, { success: true, times: user.times.map(sanitizeTime) });
+          return;
+        }
+        // POST /api/users/:id/break - inicia o termina un descanso en la jornada abierta
+        if (method === 'POST' && parts[3] === 'break') {
+          const record = user.times[user.times.length - 1];
+          if (!record || record.clockOut) {
+            sendJSON(res, 400, { success: false, message: 'No hay una jornada iniciada' });
+            return;
+          }
+          const locked = lockedTimesheet(data, user, record.clockIn);
+          if (locked) {
+            sendPeriodLocked(res, locked);
+            return;
+          }
           const now = new Date().toISOString();
-          if (times.length > 0 && !times[times.length - 1].clockOut) {
-            times[times.length - 1].clockOut = now;
+          if (!Array.isArray(record.breaks)) record.breaks = [];
+          const current = openBreak(record);
+          if (current) {
+            current.end = now;
           } else {
-            times.push({ clockIn: now, clockOut: null });
+            record.breaks.push({ start: now, end: null });
           }
-          user.times = times;
           writeData(data);
-          sendJSON(res, 200, { success: true, times });
+          recordAudit(req, actor, current ? 'time.break_end' : 'time.break_start', auditUserTarget(user), null, {
+            timeId: record.id,
+            at: now
+          });
+          sendJSON(res, 200, { success: true, onBreak: !current, times: user.times.map(sanitizeTime) });
           return;
         }
         // GET /api/users/:id/times
         if (method === 'GET' && parts[3] === 'times') {
-          sendJSON(res, 200, user.times || []);
+          sendJSON(res, 200, user.times.map(sanitizeTime));
+          return;
+        }
+        // GET /api/users/:id/earnings?from=&to= - pago del periodo con horas
+        // normales, extra, dobles y de festivos
+        if (method === 'GET' && parts[3] === 'earnings') {
+          const period = periodFromQuery(query);
+          if (period.error) {
+            sendJSON(res, 400, { success: false, message: period.error });
+            return;
+          }
+          sendJSON(res, 200, userEarnings(data, user, period.from, period.to));
+          return;
+        }
+        // GET /api/users/:id/timesheets?count= - hojas de horas de los
+        // últimos periodos (6 por defecto), el actual primero
+        if (method === 'GET' && parts[3] === 'timesheets') {
+          const count = Math.max(1, parseInt(query.get('count'), 10) || 6);
+          const today = dateKey(new Date().toISOString(), userTimeZone(data, user));
+          sendJSON(res, 200, recentPeriods(today, data.company.payPeriodRules, count)
+            .map(period => describeTimesheet(data, user, period)));
+          return;
+        }
+        // POST /api/users/:id/timesheets - envía la hoja del periodo que
+        // empieza en `from` para su aprobación ({ from })
+        if (method === 'POST' && parts[3] === 'timesheets') {
+          const body = await parseRequestBody(req);
+          const today = dateKey(new Date().toISOString(), userTimeZone(data, user));
+          const period = isDateKey(body.from) ? periodContaining(body.from, data.company.payPeriodRules) : null;
+          if (!period || period.from !== body.from || period.from > today) {
+            sendJSON(res, 400, { success: false, message: 'Periodo de pago no válido' });
+            return;
+          }
+          const summary = describeTimesheet(data, user, period);
+          if (summary.status === 'submitted' || summary.status === 'approved') {
+            sendJSON(res, 409, { success: false, message: 'La hoja de este periodo ya está enviada' });
+            return;
+          }
+          // Las hojas de una frecuencia anterior no pueden solaparse con la nueva
+          const overlapping = data.timesheets.find(t => t.userId === user.id && t.status !== 'open' && t.status !== 'rejected' &&
+            t.from <= period.to && period.from <= t.to && (t.from !== period.from || t.to !== period.to));
+          if (overlapping) {
+            sendJSON(res, 409, { success: false, message: `Se solapa con la hoja del ${overlapping.from} al ${overlapping.to}` });
+            return;
+          }
+          if (summary.openShifts > 0) {
+            sendJSON(res, 400, { success: false, message: 'Cierra las jornadas abiertas del periodo antes de enviarlo' });
+            return;
+          }
+          let timesheet = summary.timesheet;
+          const before = timesheet ? { status: timesheet.status } : null;
+          if (!timesheet) {
+            timesheet = { id: 'tms_' + Math.random().toString(36).substr(2, 9), userId: user.id, from: period.from, to: period.to };
+            data.timesheets.push(timesheet);
+          }
+          Object.assign(timesheet, {
+            status: 'submitted',
+            submittedAt: new Date().toISOString(),
+            submittedBy: actor.id,
+            reviewedAt: null,
+            reviewedBy: null,
+            reviewerName: null,
+            note: '',
+            totals: null
+          });
+          writeData(data);
+          recordAudit(req, actor, 'timesheet.submit', auditUserTarget(user), before, {
+            timesheetId: timesheet.id,
+            from: timesheet.from,
+            to: timesheet.to,
+            hours: summary.hours
+          });
+          sendJSON(res, 200, { success: true, timesheet: describeTimesheet(data, user, period) });
+          return;
+        }
+        // GET /api/users/:id/ledger - saldo y movimientos de la liquidación
+        if (method === 'GET' && parts[3] === 'ledger' && parts.length === 4) {
+          sendJSON(res, 200, userLedger(data, user));
+          return;
+        }
+        // POST /api/users/:id/ledger - registra un pago, anticipo o ajuste (solo admin)
+        // ({ type, amount, date, method, reference, note,
+        //    covers: { from, to, receiptIds } })
+        if (method === 'POST' && parts[3] === 'ledger' && parts.length === 4) {
+          if (!requireAdmin(res, actor)) return;
+          const body = await parseRequestBody(req);
+          const parsed = parseLedgerEntry(body, user.receipts || []);
+          if (parsed.error) {
+            sendJSON(res, 400, { success: false, message: parsed.error });
+            return;
+          }
+          const now = new Date().toISOString();
+          const entry = {
+            id: 'ldg_' + Math.random().toString(36).substr(2, 9),
+            userId: user.id,
+            ...parsed.entry,
+            status: 'active',
+            createdAt: now,
+            createdBy: actor.id,
+            createdByName: `${actor.firstName} ${actor.lastName}`,
+            voidedAt: null,
+            voidedBy: null,
+            voidedByName: null,
+            voidNote: ''
+          };
+          // Los recibos incluidos quedan reembolsados por este pago
+          entry.covers.receiptIds.forEach(id => {
+            const receipt = user.receipts.find(r => r.id === id);
+            reviewReceipt(receipt, 'reimburse', actor, entry.reference, now);
+            receipt.payoutId = entry.id;
+          });
+          data.ledgerEntries.push(entry);
+          writeData(data);
+          recordAudit(req, actor, 'ledger.' + entry.type, auditUserTarget(user), null, {
+            entryId: entry.id,
+            amount: entry.amount,
+            date: entry.date,
+            method: entry.method,
+            reference: entry.reference,
+            covers: entry.covers
+          });
+          sendJSON(res, 201, { success: true, entry, ledger: userLedger(data, user) });
+          return;
+        }
+        // GET /api/users/:id/leave - saldos y solicitudes de permiso del usuario
+        if (method === 'GET' && parts[3] === 'leave' && parts.length === 4) {
+          const requests = data.leaveRequests
+            .filter(r => r.userId === user.id)
+            .map(r => sanitizeLeaveRequest(data, r));
+          sendJSON(res, 200, { balances: userLeaveBalances(data, user), requests: requests.reverse() });
+          return;
+        }
+        // POST /api/users/:id/leave - solicita un permiso
+        // ({ type, from, to, hours, note }; hours solo en permisos de un día)
+        if (method === 'POST' && parts[3] === 'leave' && parts.length === 4) {
+          const body = await parseRequestBody(req);
+          const parsed = parseLeaveRequest(body, data.company.leavePolicies);
+          if (parsed.error) {
+            sendJSON(res, 400, { success: false, message: parsed.error });
+            return;
+          }
+          const request = {
+            id: 'lve_' + Math.random().toString(36).substr(2, 9),
+            userId: user.id,
+            ...parsed.request
+          };
+          const locked = lockedLeave(data, user, request);
+          if (locked) {
+            sendPeriodLocked(res, locked);
+            return;
+          }
+          const conflict = leaveRequestConflict(data, user, request);
+          if (conflict) {
+            sendJSON(res, 409, { success: false, message: conflict });
+            return;
+          }
+          Object.assign(request, {
+            status: 'pending',
+            createdAt: new Date().toISOString(),
+            createdBy: actor.id,
+            reviewedAt: null,
+            reviewedBy: null,
+            reviewerName: null,
+            reviewNote: ''
+          });
+          data.leaveRequests.push(request);
+          writeData(data);
+          recordAudit(req, actor, 'leave.request', auditUserTarget(user), null, {
+            requestId: request.id,
+            type: request.type,
+            from: request.from,
+            to: request.to,
+            hours: request.hours,
+            note: request.note
+          });
+          sendJSON(res, 201, { success: true, request: sanitizeLeaveRequest(data, request) });
+          return;
+        }
+        // DELETE /api/users/:id/leave/:requestId - retira una solicitud pendiente
+        if (method === 'DELETE' && parts[3] === 'leave' && parts.length === 5) {
+          const request = data.leaveRequests.find(r => r.id === parts[4] && r.userId === user.id);
+          if (!request) {
+            sendJSON(res, 404, { success: false, message: 'Solicitud no encontrada' });
+            return;
+          }
+          if (request.status !== 'pending') {
+            sendJSON(res, 400, { success: false, message: 'La solicitud ya no está pendiente' });
+            return;
+          }
+          request.status = 'cancelled';
+          writeData(data);
+          recordAudit(req, actor, 'leave.cancel', auditUserTarget(user),
+            { requestId: request.id, status: 'pending' }, { requestId: request.id, status: 'cancelled' });
+          sendJSON(res, 200, { success: true });
+          return;
+        }
+        // GET /api/users/:id/time-corrections - solicitudes de corrección del usuario
+        if (method === 'GET' && parts[3] === 'time-corrections' && parts.length === 4) {
+          const corrections = data.timeCorrections
+            .filter(c => c.userId === user.id)
+            .map(c => sanitizeTimeCorrection(data, c));
+          sendJSON(res, 200, corrections.reverse());
+          return;
+        }
+        // POST /api/users/:id/time-corrections - solicita corregir un registro
+        // ({ timeId, clockIn, clockOut, reason }) o añadir uno que falta (sin timeId)
+        if (method === 'POST' && parts[3] === 'time-corrections' && parts.length === 4) {
+          const body = await parseRequestBody(req);
+          const timeId = body.timeId || null;
+          const reason = String(body.reason || '').trim().slice(0, 500);
+          if (!reason) {
+            sendJSON(res, 400, { success: false, message: 'Indica el motivo de la corrección' });
+            return;
+          }
+          const error = validateTimeCorrection(user, timeId, body.clockIn, body.clockOut);
+          if (error) {
+            sendJSON(res, 400, { success: false, message: error });
+            return;
+          }
+          if (timeId && data.timeCorrections.some(c => c.timeId === timeId && c.status === 'pending')) {
+            sendJSON(res, 409, { success: false, message: 'Ya hay una solicitud pendiente para este registro' });
+            return;
+          }
+          const record = timeId ? user.times.find(t => t.id === timeId) : null;
+          const locked = lockedCorrection(data, user, record, body.clockIn);
+          if (locked) {
+            sendPeriodLocked(res, locked);
+            return;
+          }
+          const correction = {
+            id: 'cor_' + Math.random().toString(36).substr(2, 9),
+            userId: user.id,
+            timeId,
+            // Valores del registro al hacer la solicitud (null si faltaba)
+            current: record ? { clockIn: record.clockIn, clockOut: record.clockOut } : null,
+            clockIn: new Date(body.clockIn).toISOString(),
+            clockOut: new Date(body.clockOut).toISOString(),
+            reason,
+            status: 'pending',
+            createdBy: actor.id,
+            createdAt: new Date().toISOString(),
+            reviewedAt: null,
+            reviewedBy: null,
+            reviewerName: null,
+            reviewNote: ''
+          };
+          data.timeCorrections.push(correction);
+          writeData(data);
+          recordAudit(req, actor, 'time.correction.request', auditUserTarget(user), correction.current, {
+            correctionId: correction.id,
+            timeId,
+            clockIn: correction.clockIn,
+            clockOut: correction.clockOut,
+            reason
+          });
+          sendJSON(res, 201, { success: true, correction: sanitizeTimeCorrection(data, correction) });
+          return;
+        }
+        // DELETE /api/users/:id/time-corrections/:correctionId - retira una solicitud pendiente
+        if (method === 'DELETE' && parts[3] === 'time-corrections' && parts.length === 5) {
+          const correction = data.timeCorrections.find(c => c.id === parts[4] && c.userId === user.id);
+          if (!correction) {
+            sendJSON(res, 404, { success: false, message: 'Solicitud no encontrada' });
+            return;
+          }
+          if (correction.status !== 'pending') {
+            sendJSON(res, 400, { success: false, message: 'La solicitud ya no está pendiente' });
+            return;
+          }
+          correction.status = 'cancelled';
+          writeData(data);
+          recordAudit(req, actor, 'time.correction.cancel', auditUserTarget(user),
+            { correctionId: correction.id, status: 'pending' }, { correctionId: correction.id, status: 'cancelled' });
+          sendJSON(res, 200, { success: true });
           return;
         }
-        // GET /api/users/:id/schedules - devuelve fechas programadas
+        // GET /api/users/:id/schedules - devuelve los turnos programados
         if (method === 'GET' && parts[3] === 'schedules') {
           sendJSON(res, 200, user.schedules || []);
           return;
         }
+        // GET /api/users/:id/attendance?from=&to= - asistencia en los turnos
+        if (method === 'GET' && parts[3] === 'attendance') {
+          const period = periodFromQuery(query);
+          if (period.error) {
+            sendJSON(res, 400, { success: false, message: period.error });
+            return;
+          }
+          sendJSON(res, 200, userAttendance(data, user, period.from, period.to));
+          return;
+        }
         // GET /api/users/:id/receipts
         if (method === 'GET' && parts[3] === 'receipts') {
-          sendJSON(res, 200, user.receipts || []);
+          sendJSON(res, 200, (user.receipts || []).map(r => receiptForActor(actor, r)));
           return;
         }
         // POST /api/users/:id/receipts
+        // Admite los envíos diferidos del empleado igual que el fichaje:
+        // { recordedAt, sentAt } y la cabecera Idempotency-Key
         if (method === 'POST' && parts[3] === 'receipts') {
+          const submission = parseSubmission(req, res, data, user);
+          if (!submission) return;
           const body = await parseRequestBody(req);
           const { category, imageData, note, amount } = body;
           if (!category || !imageData) {
             sendJSON(res, 400, { success: false, message: 'Faltan datos del recibo' });
             return;
           }
+          const options = {};
+          if (!deviceTimeFromBody(res, actor, user, submission, body, options)) return;
+          // El recibo lleva la fecha de hoy (o la del envío diferido)
+          const receiptDate = options.at || new Date().toISOString();
+          const locked = lockedTimesheet(data, user, receiptDate);
+          if (locked) {
+            sendPeriodLocked(res, locked);
+            return;
+          }
+          const imageRef = storeImage(imageData);
+          if (!imageRef) {
+            sendJSON(res, 400, { success: false, message: 'El recibo debe ser una imagen' });
+            return;
+          }
           // Registrar recibo con monto (puede ser nulo)
           const receipt = {
             id: 'rcp_' + Math.random().toString(36).substr(2, 9),
-            date: new Date().toISOString(),
+            date: receiptDate,
             category,
-            imageData,
+            imageData: imageRef,
             note: note || '',
-            amount: amount !== undefined && !isNaN(amount) ? Number(amount) : null
+            amount: amount !== undefined && !isNaN(amount) ? Number(amount) : null,
+            ...newReceiptReview()
           };
+          if (options.sync) receipt.sync = options.sync;
+          // Huella de la imagen y comparación con los recibos de todos
+          receipt.fingerprint = receiptFingerprint(imageRef, blobs);
+          flagDuplicates(receipt, allReceipts(data));
           user.receipts = user.receipts || [];
           user.receipts.push(receipt);
+          if (submission.key) {
+            data.idempotencyKeys = rememberIdempotencyKey(data.idempotencyKeys, { key: submission.key, userId: user.id, kind: 'receipt', resultId: receipt.id });
+          }
           writeData(data);
-          sendJSON(res, 201, { success: true, receipt });
+          recordAudit(req, actor, 'receipt.create', auditUserTarget(user), null, {
+            id: receipt.id,
+            category: receipt.category,
+            amount: receipt.amount,
+            note: receipt.note,
+            ...(receipt.sync ? { sync: receipt.sync } : {}),
+            ...(receipt.duplicateFlag ? { duplicateOf: receipt.duplicateFlag.matches.map(m => m.receiptId) } : {})
+          });
+          sendJSON(res, 201, { success: true, receipt: receiptForActor(actor, receipt) });
           return;
         }
 
-        // POST /api/users/:id/schedules - añade una fecha programada
+        // POST /api/users/:id/schedules - programa un turno
+        // { date, start, end, groupId, notes } (sin horas: todo el día)
         if (method === 'POST' && parts[3] === 'schedules') {
+          if (!requireAdmin(res, actor)) return;
           const body = await parseRequestBody(req);
-          const date = body.date;
-          if (!date) {
-            sendJSON(res, 400, { success: false, message: 'Fecha requerida' });
+          const parsed = parseShift(body);
+          if (parsed.error) {
+            sendJSON(res, 400, { success: false, message: parsed.error });
+            return;
+          }
+          if (parsed.shift.groupId && !data.groups.some(g => g.id === parsed.shift.groupId)) {
+            sendJSON(res, 400, { success: false, message: 'Grupo no encontrado' });
             return;
           }
           if (!user.schedules) user.schedules = [];
-          if (!user.schedules.includes(date)) {
-            user.schedules.push(date);
-            writeData(data);
+          if (user.schedules.some(s => s.date === parsed.shift.date && s.start === parsed.shift.start)) {
+            sendJSON(res, 409, { success: false, message: 'El empleado ya tiene un turno ese día a esa hora' });
+            return;
           }
-          sendJSON(res, 200, { success: true, schedules: user.schedules });
+          if (isOnLeave(data, user, parsed.shift.date)) {
+            sendJSON(res, 409, { success: false, message: 'El empleado tiene un permiso aprobado ese día' });
+            return;
+          }
+          const shift = { id: 'shf_' + Math.random().toString(36).substr(2, 9), ...parsed.shift };
+          user.schedules.push(shift);
+          writeData(data);
+          recordAudit(req, actor, 'schedule.add', auditUserTarget(user), null, { ...shift });
+          sendJSON(res, 201, { success: true, shift, schedules: user.schedules });
           return;
         }
-        // DELETE /api/users/:id/schedules - elimina una fecha programada
-        if (method === 'DELETE' && parts[3] === 'schedules') {
-          const body = await parseRequestBody(req);
-          const date = body.date;
-          if (!date) {
-            sendJSON(res, 400, { success: false, message: 'Fecha requerida' });
+        // DELETE /api/users/:id/schedules/:shiftId - elimina un turno
+        if (method === 'DELETE' && parts[3] === 'schedules' && parts.length === 5) {
+          if (!requireAdmin(res, actor)) return;
+          const shift = (user.schedules || []).find(s => s.id === parts[4]);
+          if (!shift) {
+            sendJSON(res, 404, { success: false, message: 'Turno no encontrado' });
             return;
           }
-          if (Array.isArray(user.schedules)) {
-            user.schedules = user.schedules.filter(d => d !== date);
-            writeData(data);
-          }
-          sendJSON(res, 200, { success: true, schedules: user.schedules || [] });
+          user.schedules = user.schedules.filter(s => s.id !== shift.id);
+          writeData(data);
+          recordAudit(req, actor, 'schedule.remove', auditUserTarget(user), { ...shift }, null);
+          sendJSON(res, 200, { success: true, schedules: user.schedules });
           return;
         }
 
         // PUT /api/users/:id/pay - actualizar tipo y tarifa de pago
         if (method === 'PUT' && parts[3] === 'pay') {
+          if (!requireAdmin(res, actor)) return;
           const body = await parseRequestBody(req);
+          const before = { payType: user.payType, payRate: user.payRate };
           if (body.payType) {
             user.payType = body.payType;
           }
@@ -372,6 +3199,7 @@ const server = http.createServer(async (req, res) => {
             user.payRate = Number(body.payRate);
           }
           writeData(data);
+          recordAudit(req, actor, 'user.pay.update', auditUserTarget(user), before, { payType: user.payType, payRate: user.payRate });
           sendJSON(res, 200, { success: true, user: { id: user.id, payType: user.payType, payRate: user.payRate } });
           return;
         }
@@ -395,18 +3223,53 @@ const server = http.createServer(async (req, res) => {
               g.members = (g.members || []).filter(mid => mid !== userId);
             });
           }
+          // Y sus solicitudes de corrección de horario y de permiso, sus hojas
+          // de horas y los movimientos de su liquidación
+          data.timeCorrections = data.timeCorrections.filter(c => c.userId !== userId);
+          data.leaveRequests = data.leaveRequests.filter(r => r.userId !== userId);
+          data.timesheets = data.timesheets.filter(t => t.userId !== userId);
+          data.ledgerEntries = data.ledgerEntries.filter(e => e.userId !== userId);
+          data.idempotencyKeys = data.idempotencyKeys.filter(k => k.userId !== userId);
           writeData(data);
+          recordAudit(req, actor, 'user.delete', auditUserTarget(user), {
+            email: user.email,
+            role: user.role,
+            payType: user.payType,
+            payRate: user.payRate,
+            times: (user.times || []).length,
+            receipts: (user.receipts || []).length
+          }, null);
+          destroyUserSessions(userId);
+          if (actor.id === userId) {
+            res.setHeader('Set-Cookie', sessionCookie('', 0));
+          }
           sendJSON(res, 200, { success: true });
           return;
         }
       }
       // /api/groups
       if (parts[1] === 'groups') {
-        // GET /api/groups
+        // GET /api/groups (los empleados solo ven los grupos a los que pertenecen)
         if (method === 'GET' && parts.length === 2) {
-          sendJSON(res, 200, data.groups);
+          if (actor.role === 'admin') {
+            sendJSON(res, 200, data.groups);
+          } else {
+            sendJSON(res, 200, data.groups.filter(g => (g.members || []).includes(actor.id)));
+          }
+          return;
+        }
+        // GET /api/groups/:id (administradores o miembros del grupo)
+        if (method === 'GET' && parts.length === 3) {
+          const group = data.groups.find(g => g.id === parts[2]);
+          if (!group || (actor.role !== 'admin' && !(group.members || []).includes(actor.id))) {
+            sendJSON(res, 404, { message: 'Grupo no encontrado' });
+            return;
+          }
+          sendJSON(res, 200, group);
           return;
         }
+        // El resto de operaciones sobre grupos son exclusivas de administradores
+        if (!requireAdmin(res, actor)) return;
         // POST /api/groups
         if (method === 'POST' && parts.length === 2) {
           const body = await parseRequestBody(req);
@@ -419,9 +3282,10 @@ const server = http.createServer(async (req, res) => {
             sendJSON(res, 400, { success: false, message: 'Ya existe un grupo con ese nombre' });
             return;
           }
-          const group = { id: 'grp_' + Math.random().toString(36).substr(2, 9), name, members: [] };
+          const group = { id: 'grp_' + Math.random().toString(36).substr(2, 9), name, members: [], timeZone: null, geofence: null };
           data.groups.push(group);
           writeData(data);
+          recordAudit(req, actor, 'group.create', auditGroupTarget(group), null, { name });
           sendJSON(res, 201, { success: true, group });
           return;
         }
@@ -431,9 +3295,34 @@ const server = http.createServer(async (req, res) => {
           sendJSON(res, 404, { message: 'Grupo no encontrado' });
           return;
         }
-        // GET /api/groups/:id
-        if (method === 'GET' && parts.length === 3) {
-          sendJSON(res, 200, group);
+        // PUT /api/groups/:id -> ajustes del grupo; solo cambian los campos
+        // enviados:
+        //   timeZone  zona horaria (null para usar la de la compañía)
+        //   geofence  zona de trabajo (null para quitarla)
+        if (method === 'PUT' && parts.length === 3) {
+          const body = await parseRequestBody(req);
+          const timeZone = 'timeZone' in body ? body.timeZone || null : group.timeZone || null;
+          if (timeZone !== null && !isValidTimeZone(timeZone)) {
+            sendJSON(res, 400, { success: false, message: 'Zona horaria no válida' });
+            return;
+          }
+          const parsedFence = 'geofence' in body ? parseGeofence(body.geofence) : { geofence: group.geofence || null };
+          if (parsedFence.error) {
+            sendJSON(res, 400, { success: false, message: parsedFence.error });
+            return;
+          }
+          const beforeTimeZone = group.timeZone || null;
+          const beforeFence = group.geofence || null;
+          group.timeZone = timeZone;
+          group.geofence = parsedFence.geofence;
+          writeData(data);
+          if (beforeTimeZone !== timeZone) {
+            recordAudit(req, actor, 'group.time_zone.update', auditGroupTarget(group), { timeZone: beforeTimeZone }, { timeZone });
+          }
+          if (JSON.stringify(beforeFence) !== JSON.stringify(group.geofence)) {
+            recordAudit(req, actor, 'group.geofence.update', auditGroupTarget(group), { geofence: beforeFence }, { geofence: group.geofence });
+          }
+          sendJSON(res, 200, { success: true, group });
           return;
         }
         // POST /api/groups/:id/users
@@ -445,6 +3334,7 @@ const server = http.createServer(async (req, res) => {
             return;
           }
           if (!group.members.includes(uid)) {
+            const previousGroup = data.groups.find(g => g.id !== groupId && (g.members || []).includes(uid));
             // Ensure each user belongs to only one group: remove from any other group
             if (Array.isArray(data.groups)) {
               data.groups.forEach(g => {
@@ -455,6 +3345,9 @@ const server = http.createServer(async (req, res) => {
             }
             group.members.push(uid);
             writeData(data);
+            recordAudit(req, actor, 'group.member.add', auditGroupTarget(group),
+              { userId: uid, groupId: previousGroup ? previousGroup.id : null },
+              { userId: uid, groupId: group.id });
           }
           sendJSON(res, 200, { success: true, group });
           return;
@@ -462,8 +3355,12 @@ const server = http.createServer(async (req, res) => {
         // DELETE /api/groups/:id/users/:userId
         if (method === 'DELETE' && parts[3] === 'users' && parts[4]) {
           const uid = parts[4];
+          const wasMember = group.members.includes(uid);
           group.members = group.members.filter(mid => mid !== uid);
           writeData(data);
+          if (wasMember) {
+            recordAudit(req, actor, 'group.member.remove', auditGroupTarget(group), { userId: uid, groupId: group.id }, { userId: uid, groupId: null });
+          }
           sendJSON(res, 200, { success: true });
           return;
         }
@@ -471,12 +3368,44 @@ const server = http.createServer(async (req, res) => {
         if (method === 'DELETE' && parts.length === 3) {
           data.groups = data.groups.filter(g => g.id !== groupId);
           writeData(data);
+          recordAudit(req, actor, 'group.delete', auditGroupTarget(group), { name: group.name, members: group.members.slice() }, null);
           sendJSON(res, 200, { success: true });
           return;
         }
       }
+      // GET /api/audit - consulta del registro de auditoría (solo admin).
+      // Filtros: ?userId=&action=&from=YYYY-MM-DD&to=YYYY-MM-DD&limit=
+      if (method === 'GET' && parts[1] === 'audit') {
+        if (!requireAdmin(res, actor)) return;
+        const entries = readAudit(auditFiltersFromQuery(query));
+        const limit = Number(query.get('limit')) || 500;
+        sendJSON(res, 200, { total: entries.length, entries: entries.slice(0, limit) });
+        return;
+      }
       // Exports
       if (parts[1] === 'exports') {
+        if (!requireAdmin(res, actor)) return;
+        // GET /api/exports/audit - registro de auditoría en CSV (mismos filtros que /api/audit)
+        if (parts[2] === 'audit') {
+          const rows = [['Fecha', 'Autor', 'Acción', 'Tipo', 'Objetivo', 'Antes', 'Después', 'IP']];
+          readAudit(auditFiltersFromQuery(query)).forEach(e => {
+            rows.push([
+              formatDateTime(e.at, data.company.timeZone),
+              e.actorName || e.actorId || 'Sistema',
+              e.action,
+              e.targetType,
+              e.targetName || e.targetId || '',
+              e.before ? JSON.stringify(e.before) : '',
+              e.after ? JSON.stringify(e.after) : '',
+              e.ip || ''
+            ]);
+          });
+          const csv = rows.map(r => r.map(escapeCsv).join(',')).join('\n');
+          res.setHeader('Content-Type', 'text/csv');
+          res.setHeader('Content-Disposition', 'attachment; filename="auditoria.csv"');
+          res.end(csv);
+          return;
+        }
         // Exports user times/receipts
         if (parts[2] === 'user') {
           const userId = parts[3];
@@ -488,20 +3417,47 @@ const server = http.createServer(async (req, res) => {
             res.end('Usuario no encontrado');
             return;
           }
+          // Fechas en la zona horaria del usuario
+          const timeZone = userTimeZone(data, user);
+          // Desglose de pagos del periodo ?from=&to=
+          if (type === 'earnings') {
+            const period = periodFromQuery(query);
+            if (period.error) {
+              res.writeHead(400);
+              res.end(period.error);
+              return;
+            }
+            const rows = earningsRows(data, user, period.from, period.to);
+            if (format === 'pdf') {
+              const pdfBuffer = generatePDF(`Pagos de ${user.firstName} ${user.lastName}`, EARNINGS_HEADERS, rows);
+              res.writeHead(200, {
+                'Content-Type': 'application/pdf',
+                'Content-Disposition': `attachment; filename="pagos_${user.firstName}_${user.lastName}.pdf"`
+              });
+              res.end(pdfBuffer);
+            } else {
+              const csv = [EARNINGS_HEADERS, ...rows].map(r => r.map(escapeCsv).join(',')).join('\n');
+              res.setHeader('Content-Type', 'text/csv');
+              res.setHeader('Content-Disposition', `attachment; filename="pagos_${user.firstName}_${user.lastName}.csv"`);
+              res.end(csv);
+            }
+            return;
+          }
           // Datos para CSV o PDF
           if (type === 'times') {
             const rows = [];
-            rows.push(['Nombre', 'Entrada', 'Salida', 'Horas']);
+            rows.push(['Nombre', 'Entrada', 'Salida', 'Descanso', 'Horas', 'Corrección', 'Ubicación entrada', 'Ubicación salida']);
             (user.times || []).forEach(t => {
-              const start = t.clockIn ? formatDateTime(t.clockIn) : '';
-              const end = t.clockOut ? formatDateTime(t.clockOut) : '';
-              const hours = t.clockOut ? calcHours(t.clockIn, t.clockOut).toFixed(2) : '';
-              rows.push([`${user.firstName} ${user.lastName}`, start, end, hours]);
+              const start = t.clockIn ? formatDateTime(t.clockIn, timeZone) : '';
+              const end = t.clockOut ? formatDateTime(t.clockOut, timeZone) : '';
+              const [breakHours, hours] = exportHours(data, t);
+              rows.push([`${user.firstName} ${user.lastName}`, start, end, breakHours, hours, describeTimeCorrection(t, timeZone),
+                describePunchLocation(t.clockInLocation), describePunchLocation(t.clockOutLocation)]);
             });
             if (format === 'pdf') {
               const pdfBuffer = generatePDF(
                 `Horas de ${user.firstName} ${user.lastName}`,
-                ['Nombre', 'Entrada', 'Salida', 'Horas'],
+                ['Nombre', 'Entrada', 'Salida', 'Descanso', 'Horas', 'Corrección', 'Ubicación entrada', 'Ubicación salida'],
                 rows.slice(1)
               );
               res.writeHead(200, {
@@ -520,21 +3476,28 @@ const server = http.createServer(async (req, res) => {
           }
           if (type === 'receipts') {
             const rows = [];
-            // Cabeceras: incluimos la columna Monto
-            rows.push(['Nombre', 'Fecha', 'Categoría', 'Descripción', 'Monto']);
+            // Cabeceras: incluimos la columna Monto y lo pendiente de
+            // reembolsar (solo los recibos aprobados)
+            const headers = ['Nombre', 'Fecha', 'Categoría', 'Descripción', 'Monto', 'Estado', 'Por reembolsar'];
+            rows.push(headers);
+            let owed = 0;
             (user.receipts || []).forEach(r => {
+              owed += owedAmount(r);
               rows.push([
                 `${user.firstName} ${user.lastName}`,
-                formatDateTime(r.date),
+                formatDateTime(r.date, timeZone),
                 r.category,
                 (r.note || '').replace(/\n/g, ' '),
-                r.amount !== null && r.amount !== undefined ? r.amount.toFixed(2) : ''
+                r.amount !== null && r.amount !== undefined ? r.amount.toFixed(2) : '',
+                describeReceiptStatus(r),
+                owedAmount(r).toFixed(2)
               ]);
             });
+            rows.push(['Total', '', '', '', '', '', owed.toFixed(2)]);
             if (format === 'pdf') {
               const pdfBuffer = generatePDF(
                 `Recibos de ${user.firstName} ${user.lastName}`,
-                ['Nombre', 'Fecha', 'Categoría', 'Descripción', 'Monto'],
+                headers,
                 rows.slice(1)
               );
               res.writeHead(200, {
@@ -563,9 +3526,43 @@ const server = http.createServer(async (req, res) => {
             res.end('Grupo no encontrado');
             return;
           }
+          // Fechas en la zona horaria del grupo
+          const timeZone = groupTimeZone(data, group);
+          // Desglose de pagos de los miembros en el periodo ?from=&to=
+          if (type === 'earnings') {
+            const period = periodFromQuery(query);
+            if (period.error) {
+              res.writeHead(400);
+              res.end(period.error);
+              return;
+            }
+            const headers = ['Grupo', ...EARNINGS_HEADERS];
+            const rows = [];
+            group.members
+              .map(uid => data.users.find(u => u.id === uid))
+              .filter(Boolean)
+              .sort((a, b) => `${a.firstName} ${a.lastName}`.toLowerCase().localeCompare(`${b.firstName} ${b.lastName}`.toLowerCase()))
+              .forEach(user => {
+                earningsRows(data, user, period.from, period.to).forEach(row => rows.push([group.name, ...row]));
+              });
+            if (format === 'pdf') {
+              const pdfBuffer = generatePDF(`Pagos del grupo ${group.name}`, headers, rows);
+              res.writeHead(200, {
+                'Content-Type': 'application/pdf',
+                'Content-Disposition': `attachment; filename="pagos_grupo_${group.name}.pdf"`
+              });
+              res.end(pdfBuffer);
+            } else {
+              const csv = [headers, ...rows].map(r => r.map(escapeCsv).join(',')).join('\n');
+              res.setHeader('Content-Type', 'text/csv');
+              res.setHeader('Content-Disposition', `attachment; filename="pagos_grupo_${group.name}.csv"`);
+              res.end(csv);
+            }
+            return;
+          }
           if (type === 'times') {
             const rows = [];
-            rows.push(['Grupo', 'Nombre', 'Entrada', 'Salida', 'Horas']);
+            rows.push(['Grupo', 'Nombre', 'Entrada', 'Salida', 'Descanso', 'Horas', 'Corrección', 'Ubicación entrada', 'Ubicación salida']);
             // Ordenar miembros alfabéticamente por nombre completo
             const sortedMembers = (group.members || []).slice().sort((a, b) => {
               const ua = data.users.find(u => u.id === a);
@@ -580,16 +3577,17 @@ const server = http.createServer(async (req, res) => {
               // Ordenar registros de tiempo por fecha de entrada
               const sortedTimes = (user.times || []).slice().sort((a, b) => new Date(a.clockIn) - new Date(b.clockIn));
               sortedTimes.forEach(t => {
-                const start = t.clockIn ? formatDateTime(t.clockIn) : '';
-                const end = t.clockOut ? formatDateTime(t.clockOut) : '';
-                const hours = t.clockOut ? calcHours(t.clockIn, t.clockOut).toFixed(2) : '';
-                rows.push([group.name, `${user.firstName} ${user.lastName}`, start, end, hours]);
+                const start = t.clockIn ? formatDateTime(t.clockIn, timeZone) : '';
+                const end = t.clockOut ? formatDateTime(t.clockOut, timeZone) : '';
+                const [breakHours, hours] = exportHours(data, t);
+                rows.push([group.name, `${user.firstName} ${user.lastName}`, start, end, breakHours, hours, describeTimeCorrection(t, timeZone),
+                  describePunchLocation(t.clockInLocation), describePunchLocation(t.clockOutLocation)]);
               });
             });
             if (format === 'pdf') {
               const pdfBuffer = generatePDF(
                 `Horas del grupo ${group.name}`,
-                ['Grupo', 'Nombre', 'Entrada', 'Salida', 'Horas'],
+                ['Grupo', 'Nombre', 'Entrada', 'Salida', 'Descanso', 'Horas', 'Corrección', 'Ubicación entrada', 'Ubicación salida'],
                 rows.slice(1)
               );
               res.writeHead(200, {
@@ -609,7 +3607,9 @@ const server = http.createServer(async (req, res) => {
           if (type === 'receipts') {
             const rows = [];
             // Cabeceras con columna Monto
-            rows.push(['Grupo', 'Nombre', 'Fecha', 'Categoría', 'Descripción', 'Monto']);
+            const headers = ['Grupo', 'Nombre', 'Fecha', 'Categoría', 'Descripción', 'Monto', 'Estado', 'Por reembolsar'];
+            rows.push(headers);
+            let owed = 0;
             // Ordenar miembros alfabéticamente
             const sortedMembers = (group.members || []).slice().sort((a, b) => {
               const ua = data.users.find(u => u.id === a);
@@ -624,20 +3624,24 @@ const server = http.createServer(async (req, res) => {
               // Ordenar recibos por fecha
               const sortedReceipts = (user.receipts || []).slice().sort((a, b) => new Date(a.date) - new Date(b.date));
               sortedReceipts.forEach(r => {
+                owed += owedAmount(r);
                 rows.push([
                   group.name,
                   `${user.firstName} ${user.lastName}`,
-                  formatDateTime(r.date),
+                  formatDateTime(r.date, timeZone),
                   r.category,
                   (r.note || '').replace(/\n/g, ' '),
-                  r.amount !== null && r.amount !== undefined ? r.amount.toFixed(2) : ''
+                  r.amount !== null && r.amount !== undefined ? r.amount.toFixed(2) : '',
+                  describeReceiptStatus(r),
+                  owedAmount(r).toFixed(2)
                 ]);
               });
             });
+            rows.push(['Total', '', '', '', '', '', '', owed.toFixed(2)]);
             if (format === 'pdf') {
               const pdfBuffer = generatePDF(
                 `Recibos del grupo ${group.name}`,
-                ['Grupo', 'Nombre', 'Fecha', 'Categoría', 'Descripción', 'Monto'],
+                headers,
                 rows.slice(1)
               );
               res.writeHead(200, {
@@ -670,6 +3674,15 @@ const server = http.createServer(async (req, res) => {
   filePath = decodeURIComponent(filePath);
   const safeSuffix = path.normalize(filePath).replace(/^\.+/,'');
   const finalPath = path.join(PUBLIC_DIR, safeSuffix);
+  // Bloquear datos, código del servidor y archivos ocultos (.env, .git)
+  const relPath = path.relative(PUBLIC_DIR, finalPath);
+  const segments = relPath.split(path.sep);
+  const isStorageFile = relPath === STORAGE_REL_PATH || relPath.startsWith(STORAGE_REL_PATH + '-');
+  if (segments.some(seg => seg.startsWith('.')) || PRIVATE_FILES.includes(relPath) || PRIVATE_DIRS.includes(segments[0]) || isStorageFile) {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not Found');
+    return;
+  }
   // Extensión para tipo de contenido
   const ext = path.extname(finalPath).toLowerCase();
   const mimeTypes = {
@@ -682,7 +3695,8 @@ const server = http.createServer(async (req, res) => {
     '.jpeg': 'image/jpeg',
     '.svg': 'image/svg+xml',
     '.txt': 'text/plain',
-    '.ico': 'image/x-icon'
+    '.ico': 'image/x-icon',
+    '.webmanifest': 'application/manifest+json'
   };
   const contentType = mimeTypes[ext] || 'application/octet-stream';
   fs.readFile(finalPath, (err, content) => {
@@ -697,15 +3711,6 @@ const server = http.createServer(async (req, res) => {
 });
 
 // Utilidades para CSV en exportaciones
-function formatDateTime(iso) {
-  const d = new Date(iso);
-  return d.toLocaleString('es-ES', { dateStyle: 'short', timeStyle: 'short' });
-}
-function calcHours(startIso, endIso) {
-  const start = new Date(startIso);
-  const end = new Date(endIso);
-  return (end - start) / (1000 * 60 * 60);
-}
 function escapeCsv(value) {
   const str = String(value);
   if (/[",\n]/.test(str)) {
@@ -714,6 +3719,81 @@ function escapeCsv(value) {
   return str;
 }
 
-server.listen(PORT, () => {
-  console.log(`Server listening on port ${PORT}`);
-});
+if (!FIELD_ENCRYPTION_KEY) {
+  console.error('FIELD_ENCRYPTION_KEY no está definida o no es una clave de 32 bytes (base64 o hex).');
+  console.error("Genera una con: node -e \"console.log(require('crypto').randomBytes(32).toString('base64'))\"");
+  console.error('y añádela a .env como FIELD_ENCRYPTION_KEY=<clave>.');
+  process.exit(1);
+}
+
+// Cargar los datos.  Si el archivo existe pero no se puede leer, no se
+// arranca: hacerlo con un estado vacío borraría los datos en la primera
+// escritura.
+try {
+  readData();
+} catch (err) {
+  console.error('No se pudieron cargar los datos:', err.message);
+  console.error(`Repara el archivo o sustitúyelo por una instantánea de ${SNAPSHOT_DIR} y vuelve a arrancar.`);
+  process.exit(1);
+}
+
+// Arranca el servidor una vez migrados los datos
+function startServer() {
+  // La instantánea de arranque se toma tras las migraciones para que las
+  // copias periódicas nunca contengan contraseñas ni datos sensibles sin proteger
+  takeSnapshot('startup');
+  server.listen(PORT, () => {
+    console.log(`Server listening on port ${PORT} (almacenamiento: ${storage.name}, ${storage.location}, esquema v${CURRENT_SCHEMA_VERSION})`);
+  });
+  // Instantánea periódica, solo si hubo cambios desde la anterior
+  setInterval(() => {
+    if (dataVersion === snapshotVersion) return;
+    try {
+      takeSnapshot('auto');
+    } catch (err) {
+      console.error('Error al crear la instantánea automática', err);
+    }
+  }, SNAPSHOT_INTERVAL_MINUTES * 60 * 1000).unref();
+  // Revisión de jornadas olvidadas, también al arrancar
+  const checkOpenShiftsSafely = () => {
+    try {
+      runOpenShiftCheck();
+    } catch (err) {
+      console.error('Error al revisar las jornadas abiertas', err);
+    }
+  };
+  checkOpenShiftsSafely();
+  setInterval(checkOpenShiftsSafely, OPEN_SHIFT_CHECK_MINUTES * 60 * 1000).unref();
+}
+
+// `node server.js --migrate-dry-run` muestra las migraciones pendientes y lo
+// que cambiarían, sin guardar nada.  `node server.js --migrate` las aplica y
+// termina sin arrancar el servidor.
+if (process.argv.includes('--migrate-dry-run')) {
+  const copy = structuredClone(readData());
+  const from = schemaVersionOf(copy);
+  runMigrations(copy, migrationContext(true))
+    .then(report => {
+      console.log(`Simulación de migración (no se guarda ningún cambio). Esquema de los datos: v${from}; esquema actual: v${CURRENT_SCHEMA_VERSION}.`);
+      console.log(formatReport(report));
+      storage.close();
+    })
+    .catch(err => {
+      console.error('Error al simular la migración:', err.message);
+      process.exit(1);
+    });
+} else {
+  migrateData()
+    .then(() => {
+      if (process.argv.includes('--migrate')) {
+        console.log(`Datos en el esquema v${CURRENT_SCHEMA_VERSION}.`);
+        storage.close();
+        return;
+      }
+      startServer();
+    })
+    .catch(err => {
+      console.error('Error al migrar los datos', err);
+      process.exit(1);
+    });
+}
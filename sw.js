@@ -0,0 +1,82 @@
+/*
+ * Service worker del panel del empleado (employee.html).
+ *
+ * Guarda la interfaz para que la aplicación instalada abra sin conexión y
+ * las últimas respuestas de las consultas que usa el panel, para mostrar el
+ * horario, los recibos y los permisos conocidos.  Se pide primero a la red y
+ * solo sin conexión se usa lo guardado.  Los fichajes y recibos pendientes
+ * no pasan por aquí: los guarda la bandeja de salida de js/app.js.
+ */
+
+const SHELL_CACHE = 'settleme-shell-v1';
+// Mismo nombre que OFFLINE_API_CACHE en js/app.js, que lo borra al cerrar sesión
+const API_CACHE = 'settleme-api-v1';
+
+const SHELL_FILES = [
+  'employee.html',
+  'index.html',
+  'css/style.css',
+  'js/app.js',
+  'js/background.js',
+  'manifest.webmanifest',
+  'assets/icon.svg',
+  'dummy.png'
+];
+
+// Consultas de la API que se guardan para el uso sin conexión
+const OFFLINE_API_PATHS = [
+  /^\/api\/users\/[^/]+(\/(times|receipts|leave|ledger|time-corrections|timesheets))?$/,
+  /^\/api\/groups$/,
+  /^\/api\/company\/logo$/,
+  /^\/api\/files\/[^/]+$/
+];
+
+self.addEventListener('install', event => {
+  event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_FILES)).then(() => self.skipWaiting()));
+});
+
+// Borra las cachés de versiones anteriores
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key !== SHELL_CACHE && key !== API_CACHE)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+  if (url.pathname.startsWith('/api/')) {
+    if (OFFLINE_API_PATHS.some(pattern => pattern.test(url.pathname))) {
+      event.respondWith(networkFirst(request, API_CACHE, offlineApiResponse));
+    }
+    return;
+  }
+  event.respondWith(networkFirst(request, SHELL_CACHE, () => Response.error()));
+});
+
+// Pide a la red y guarda la respuesta; sin conexión devuelve la guardada
+async function networkFirst(request, cacheName, fallback) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(cacheName);
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (err) {
+    const cached = await caches.match(request, { cacheName, ignoreSearch: cacheName === SHELL_CACHE });
+    return cached || fallback();
+  }
+}
+
+function offlineApiResponse() {
+  return new Response(JSON.stringify({ success: false, offline: true, message: 'Sin conexión' }), {
+    status: 503,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}